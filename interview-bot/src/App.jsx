@@ -1,46 +1,261 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useEffectEvent, useRef } from 'react';
 import {
   Send, User, Bot, Settings, Play, RefreshCw, FileText,
   Award, Briefcase, Code, Cpu, Mic, MicOff, Video, VideoOff,
-  Clock, XCircle
+  Clock, XCircle, Square, Volume2, HistoryIcon, Trash2, RotateCcw, ArrowLeft,
+  TrendingUp, ChevronDown, ChevronRight, Layers, Save, Upload, Download, Plus, PenTool, Film, Languages,
+  Keyboard, AlertTriangle, CheckCircle, MinusCircle, Printer, WifiOff, Users, Target, Gauge
 } from 'lucide-react';
+import { PROVIDERS, DEFAULT_PROVIDER, getProviderDefaults, generateReply } from './lib/providers';
+import { withRetries, isOffline } from './lib/apiErrors';
+import { TTS_LANGUAGES, isSpeechSynthesisSupported, loadVoices, speak, cancelSpeech } from './lib/speech';
+import { createLevelMonitor } from './lib/audioLevel';
+import { createSessionId, buildSessionRecord, saveSession, listSessions, deleteSession, pairQuestionsAndAnswers } from './lib/sessions';
+import { saveCheckpoint, loadCheckpoint, clearCheckpoint } from './lib/checkpoint';
+import {
+  CONTEXT_TOKEN_BUDGET, NOTES_SCHEMA, NOTES_INSTRUCTION, estimateMessageTokens, formatTokens, getRecentMessages,
+  planCompaction, buildNotesPrompt, describeNotes, measureContext
+} from './lib/context';
+import { buildRatingTrends, clusterImprovements } from './lib/analytics';
+import RatingTrendChart from './components/RatingTrendChart';
+import CodingPanel from './components/CodingPanel';
+import Whiteboard from './components/Whiteboard';
+import RecordingPlayback from './components/RecordingPlayback';
+import { generateStructured, describeSchema } from './lib/structured';
+import { FEEDBACK_SCHEMA, FEEDBACK_MAX_ATTEMPTS } from './lib/feedbackSchema';
+import {
+  DEFAULT_TIME_LIMIT, normalizeTemplate, listTemplates, saveTemplate,
+  deleteTemplate, parsePack, serializePack, describeQuestionBank
+} from './lib/templates';
+import {
+  PHASE_KINDS, DEFAULT_PLAN, getTotalQuestions, resolvePlan,
+  getPlanPosition, describePlan, describeCurrentPhase
+} from './lib/interviewPlan';
+import {
+  PERSONA_PRESETS, DEFAULT_PANEL, ROTATIONS, getPersonaStyle, getInitials, describePersona,
+  resolvePanel, getPersonaForTurn, describePanel, describeSpeaker, describePanelForFeedback, mergePanelAssessments
+} from './lib/panel';
+import {
+  INTERVIEW_MODES, COMPETENCIES, BEHAVIORAL_PLAN, STAR_PARTS, STAR_ASSESSMENT, getMissingStarParts,
+  describeMode, describeCompetenciesForFeedback, mergeCompetencyMatrix
+} from './lib/behavioral';
+import {
+  ASSESSMENT_SCHEMA, ASSESSOR_INSTRUCTION, MAX_FOLLOW_UPS, getInitialDifficulty, isFollowUp,
+  applyDecision, buildAssessmentPrompt, describeDecision, countTrailingFollowUps
+} from './lib/assessment';
+import {
+  CODING_PROBLEM_SCHEMA, buildCodingProblemPrompt, validateCodingProblem, normalizeCodingProblem,
+  summarizeRun, describeProblemForInterviewer, describeSubmission, describeCodingRoundsForFeedback
+} from './lib/codingProblem';
+import { runInSandbox } from './lib/codeRunner';
+import { EMPTY_DIAGRAM, isDiagramEmpty, describeDiagram, renderDiagramPng } from './lib/diagram';
+import { extractDocumentText, DOCUMENT_EXTENSIONS } from './lib/documents';
+import { isRecordingSupported, startRecording, salvageRecording, discardRecording, deleteRecording } from './lib/recording';
+import {
+  PACE_RANGE, LONG_PAUSE_SECONDS, createDeliveryTracker, summarizeDelivery, describeDeliveryForFeedback, formatFillers
+} from './lib/delivery';
+import { PROFILE_SCHEMA, hasBackground, buildProfilePrompt, describeProfile } from './lib/candidateProfile';
+import { LANGUAGES, DEFAULT_LANGUAGE, getLanguage, createTranslator, describeLanguage } from './lib/i18n';
+import { isSpeechRecognitionSupported, createRecognizer } from './lib/speechRecognition';
+import { listMediaDevices, hasDeviceLabels, watchMediaDevices, buildMediaConstraints, unlockDeviceLabels } from './lib/devices';
+import { MIC_CHECK_LEVEL, MIC_SILENCE_SECONDS, describeMediaError, classifyApiError, matchesPhrase } from './lib/preflight';
+import { serializeReportBundle, parseReportBundle, buildReportMarkdown, buildReportHtml, printHtml } from './lib/reportExport';
 
 // --- Configuration ---
-const DEFAULT_API_KEY = import.meta.env.VITE_GEMINI_API_KEY || "";
-const MODEL_NAME = "gemini-2.5-flash-preview-09-2025";
+
+// Barge-in: mic level (RMS) that counts as speech, and how many consecutive
+// animation frames (~330ms) it must last before the interviewer stops talking.
+const BARGE_IN_LEVEL = 0.05;
+const BARGE_IN_FRAMES = 20;
+
+// While the candidate answers, the draft is checkpointed once it has been still this long,
+// and the clock at least this often
+const DRAFT_CHECKPOINT_DELAY_MS = 2000;
+const DRAFT_CHECKPOINT_SECONDS = 15;
+
+// Dot colour for each recognition state in the interview's status pill
+const SPEECH_STATUS_COLORS = {
+  listening: 'bg-green-400',
+  starting: 'bg-amber-400',
+  restarting: 'bg-amber-400',
+  error: 'bg-red-500',
+};
+
+// Each lobby check is checking, ok, skipped or failed (with a `code` picking the fix to show)
+const INITIAL_LOBBY_CHECKS = {
+  camera: { status: 'checking' },
+  mic: { status: 'checking' },
+  speech: { status: 'checking' },
+  api: { status: 'checking' },
+};
+
+// Returns `checks` itself when nothing changed, so per-frame updates don't re-render
+const withCheck = (checks, name, check) => (
+  checks[name].status === check.status && checks[name].code === check.code ? checks : { ...checks, [name]: check }
+);
+
+const LOBBY_STATUS_ICONS = {
+  checking: <RefreshCw className="w-5 h-5 text-indigo-400 animate-spin" />,
+  ok: <CheckCircle className="w-5 h-5 text-green-500" />,
+  skipped: <MinusCircle className="w-5 h-5 text-gray-400" />,
+  failed: <XCircle className="w-5 h-5 text-red-500" />,
+};
+
+const RECOMMENDATION_STYLES = {
+  strong_hire: 'bg-green-100 text-green-800',
+  hire: 'bg-green-50 text-green-700',
+  lean_hire: 'bg-lime-50 text-lime-700',
+  lean_no_hire: 'bg-orange-50 text-orange-700',
+  no_hire: 'bg-red-50 text-red-700',
+};
+
+const STAR_COVERAGE_STYLES = {
+  complete: 'bg-green-100 text-green-800 border-green-200',
+  partial: 'bg-amber-50 text-amber-700 border-amber-200',
+  missing: 'bg-red-50 text-red-700 border-red-200',
+};
+
+// Values go into prompts and saved configs, so only the labels are translated
+const EXPERIENCE_LEVELS = [
+  { value: 'Intern / Junior', labelKey: 'experience.junior' },
+  { value: 'Mid-Level', labelKey: 'experience.mid' },
+  { value: 'Senior (5+ years)', labelKey: 'experience.senior' },
+  { value: 'Staff / Principal', labelKey: 'experience.staff' },
+  { value: 'Executive', labelKey: 'experience.executive' },
+];
+
+// Older or imported sessions may hold a value that isn't in the list; it shows as saved
+const getExperienceLabel = (value, t) => {
+  const level = EXPERIENCE_LEVELS.find(l => l.value === value);
+  return level ? t(level.labelKey) : value;
+};
 
 const MockInterviewBot = () => {
   // --- State ---
-  const [apiKey, setApiKey] = useState(DEFAULT_API_KEY);
+  const [apiKey, setApiKey] = useState(''); // typed in on the setup screen, never built into the bundle
   const [hasCustomKey, setHasCustomKey] = useState(false);
-  const [screen, setScreen] = useState('setup'); // setup, interview, feedback
+  const [llmSettings, setLlmSettings] = useState(() => getProviderDefaults(DEFAULT_PROVIDER));
+  const [screen, setScreen] = useState('setup'); // setup, lobby, interview, feedback, history, progress
 
   // Setup State
+  const [mode, setMode] = useState('technical'); // key of INTERVIEW_MODES
   const [role, setRole] = useState('Senior Software Engineer');
   const [skills, setSkills] = useState('React, Node.js, System Design');
   const [experience, setExperience] = useState('Senior (5+ years)');
   const [rubric, setRubric] = useState('Focus on architectural patterns, scalability, and edge cases. Be strict but polite.');
+  const [language, setLanguage] = useState(DEFAULT_LANGUAGE); // key of LANGUAGES
+  const [plan, setPlan] = useState(DEFAULT_PLAN); // [{ kind, questions, label?, competency? }]
+  const [panel, setPanel] = useState(null); // { rotation, personas: [{ name, title, focus, tone }] }; null for one interviewer
+  const [timeLimit, setTimeLimit] = useState(DEFAULT_TIME_LIMIT); // minutes
+  const [questionBank, setQuestionBank] = useState(null); // { name, questions: [{ text, topic, difficulty }] }
+  const [resume, setResume] = useState(null); // { name, text, truncated }
+  const [jobDescription, setJobDescription] = useState('');
+  const [resumeNotice, setResumeNotice] = useState(null); // { type: 'error' | 'info', text }
+  const resumeInputRef = useRef(null);
   const [loading, setLoading] = useState(false);
 
+  // Template State
+  const [templates, setTemplates] = useState([]);
+  const [selectedTemplateId, setSelectedTemplateId] = useState('');
+  const [templateNotice, setTemplateNotice] = useState(null); // { type: 'error' | 'success', text }
+  const importInputRef = useRef(null);
+
   // Interview State
   const [chatHistory, setChatHistory] = useState([]);
   const [currentInput, setCurrentInput] = useState('');
-  const [questionCount, setQuestionCount] = useState(0);
+  const [questionCount, setQuestionCount] = useState(0); // main questions answered; follow-ups don't count
+  const [difficulty, setDifficulty] = useState('medium');
+  const [streamingText, setStreamingText] = useState('');
+  const [isAssessing, setIsAssessing] = useState(false); // the answer is graded before the next turn streams
+  const [pendingPersona, setPendingPersona] = useState(null); // panelist whose turn is being generated
+  const abortControllerRef = useRef(null);
+  const [retryStatus, setRetryStatus] = useState(null); // { attempt, maxAttempts, delayMs, kind } while a call waits to retry
+  const [failedTurn, setFailedTurn] = useState(null); // { stage: 'opening' | 'answer', kind, message, ... } kept out of chatHistory
+  const [isOnline, setIsOnline] = useState(!isOffline());
+
+  // Coding Round State
+  const [codingRounds, setCodingRounds] = useState([]); // [{ questionIndex, problem, code, runs }]
+  const [isRunningCode, setIsRunningCode] = useState(false);
+  const codingRoundsRef = useRef([]); // latest rounds, since a submission can end the interview in the same tick
+
+  // Context State
+  const [interviewNotes, setInterviewNotes] = useState(null); // { text, coveredCount }: earlier turns folded out of the model's context
+  const [contextUsage, setContextUsage] = useState(null); // measureContext() of the last request
+  const [isCompacting, setIsCompacting] = useState(false);
+  const [isContextPanelOpen, setIsContextPanelOpen] = useState(false);
+  const interviewNotesRef = useRef(null); // latest notes, read by turns already in flight
+  const notesGenerationRef = useRef(0); // bumped on reset so a late summary can't land in the next interview
+  const compactingRef = useRef(false); // one summary at a time
+
+  // Whiteboard State
+  const [diagram, setDiagram] = useState(EMPTY_DIAGRAM);
+  const [isWhiteboardOpen, setIsWhiteboardOpen] = useState(false);
+  const sharedDiagramRef = useRef(EMPTY_DIAGRAM); // the version last attached to an answer
 
   // Video & Audio State
   const [isVideoEnabled, setIsVideoEnabled] = useState(true);
   const [isMicEnabled, setIsMicEnabled] = useState(true);
   const [interimInput, setInterimInput] = useState('');
   const [timer, setTimer] = useState(0);
+  const [elapsedTime, setElapsedTime] = useState(0); // whole interview, in seconds
   const [isTimerRunning, setIsTimerRunning] = useState(false);
+  const timeUpSessionRef = useRef(null); // session whose time budget already triggered the wrap-up
+  const [recognitionStatus, setRecognitionStatus] = useState({ state: isSpeechRecognitionSupported() ? 'idle' : 'unsupported', error: null });
+  const [isTypingAnswer, setIsTypingAnswer] = useState(false);
+  const [devices, setDevices] = useState({ audioInputs: [], videoInputs: [] });
+  const [selectedDevices, setSelectedDevices] = useState({ micId: '', cameraId: '' }); // '' is the system default
+  const [isStreamReady, setIsStreamReady] = useState(false);
+  const [liveDelivery, setLiveDelivery] = useState(null); // current answer's delivery metrics, for the HUD
+  const deliveryRef = useRef(null); // tracker for the answer in progress
+
+  // Interviewer Voice State
+  const [voiceSettings, setVoiceSettings] = useState({ enabled: true, voiceURI: '', rate: 1, lang: 'en-US' });
+  const [voices, setVoices] = useState([]);
+  const [isBotSpeaking, setIsBotSpeaking] = useState(false);
 
   const videoRef = useRef(null);
   const streamRef = useRef(null);
   const recognitionRef = useRef(null);
+  const spokenMessageRef = useRef(null);
+
+  // Recording State (opt-in; the video never leaves the device)
+  const [recordingEnabled, setRecordingEnabled] = useState(false);
+  const [isRecording, setIsRecording] = useState(false);
+  const [recordingInterrupted, setRecordingInterrupted] = useState(false); // resumed after a crash; the video ends there
+  const recorderRef = useRef(null);
+  const mediaConstraintsRef = useRef(buildMediaConstraints({})); // read by startVideo
+
+  // Lobby State
+  const [lobbyConfig, setLobbyConfig] = useState(null); // the interview waiting on the device check
+  const [lobbyChecks, setLobbyChecks] = useState(INITIAL_LOBBY_CHECKS);
+  const [micLevel, setMicLevel] = useState(0); // 0..1 for the lobby's meter
 
   // Feedback State
   const [feedbackReport, setFeedbackReport] = useState(null);
   const [isGeneratingFeedback, setIsGeneratingFeedback] = useState(false);
+  const [expandedAnswer, setExpandedAnswer] = useState(null);
+  const [feedbackError, setFeedbackError] = useState(null); // { message, details }
+
+  // History State
+  const [sessionInfo, setSessionInfo] = useState(null); // { id, createdAt, completedAt?, config, profile } of the current interview
+  const [sessions, setSessions] = useState([]);
+  const [savedInterview, setSavedInterview] = useState(null); // checkpoint of an unfinished interview, offered on setup
+  const checkpointedMessageRef = useRef(null);
+  const [reportImportError, setReportImportError] = useState(null);
+  const reportInputRef = useRef(null);
+
+  // Setup, the lobby, history and progress follow the language selector; an interview and its report stay in the language it was held in
+  const uiLanguage = ['setup', 'lobby', 'history', 'progress'].includes(screen) || !sessionInfo ? language : sessionInfo.config.language || DEFAULT_LANGUAGE;
+  const t = createTranslator(uiLanguage);
+
+  // The speech check passes once the recognizer has caught most of the test phrase
+  const getSpeechCheck = () => {
+    if (lobbyChecks.speech.status === 'skipped') return lobbyChecks.speech;
+    if (recognitionStatus.state === 'unsupported') return { status: 'skipped', code: 'unsupported' };
+    if (recognitionStatus.state === 'error') return { status: 'failed', code: recognitionStatus.error };
+    return { status: matchesPhrase(`${currentInput} ${interimInput}`, t('lobby.testPhrase')) ? 'ok' : 'checking' };
+  };
+  const isSpeechTestRunning = screen === 'lobby' && getSpeechCheck().status === 'checking';
 
   // --- Effects ---
 
@@ -50,31 +265,46 @@ const MockInterviewBot = () => {
     if (isTimerRunning) {
       interval = setInterval(() => {
         setTimer(prev => prev + 1);
+        setLiveDelivery(deliveryRef.current?.summarize(performance.now()) || null);
       }, 1000);
     }
     return () => clearInterval(interval);
   }, [isTimerRunning]);
 
+  // Overall clock for the time budget; keeps running while the interviewer is thinking
+  const isInterviewActive = screen === 'interview' && chatHistory.length > 0 && !isGeneratingFeedback;
+  useEffect(() => {
+    if (!isInterviewActive) return;
+    const interval = setInterval(() => setElapsedTime(prev => prev + 1), 1000);
+    return () => clearInterval(interval);
+  }, [isInterviewActive]);
+
+  // Whatever the candidate has said or typed so far becomes the final answer;
+  // with nothing pending the interview goes straight to feedback
+  const wrapUpOnTimeUp = useEffectEvent(() => {
+    timeUpSessionRef.current = sessionInfo.id;
+    if ((currentInput + interimInput).trim()) {
+      handleSendMessage();
+    } else {
+      endInterview();
+    }
+  });
+
+  // Time budget spent while the candidate has the floor. A reply in flight finishes first (its
+  // own submit ends the interview), and a failed turn waits for the candidate's retry.
+  useEffect(() => {
+    if (!isInterviewActive || loading || failedTurn || !sessionInfo) return;
+    if (timeUpSessionRef.current === sessionInfo.id) return;
+    if (elapsedTime < (sessionInfo.config.timeLimit || DEFAULT_TIME_LIMIT) * 60) return;
+    wrapUpOnTimeUp();
+  }, [isInterviewActive, loading, failedTurn, sessionInfo, elapsedTime]);
+
   // Speech Recognition Setup
+  // The recognizer restarts itself after silence and reports its state for the status pill
   useEffect(() => {
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
-      const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
-      const recognition = new SpeechRecognition();
-      recognition.continuous = true;
-      recognition.interimResults = true;
-      recognition.lang = 'en-US';
-
-      recognition.onresult = (event) => {
-        let interim = '';
-        let final = '';
-
-        for (let i = event.resultIndex; i < event.results.length; ++i) {
-          if (event.results[i].isFinal) {
-            final += event.results[i][0].transcript;
-          } else {
-            interim += event.results[i][0].transcript;
-          }
-        }
+    const recognizer = createRecognizer({
+      onResult: ({ final, interim }) => {
+        deliveryRef.current?.onResult({ final, interim, time: performance.now() });
 
         if (final) {
           setCurrentInput(prev => {
@@ -85,41 +315,210 @@ const MockInterviewBot = () => {
         } else {
           setInterimInput(interim);
         }
-      };
+      },
+      onStatusChange: setRecognitionStatus,
+      // The chosen mic, once the camera stream is up
+      getAudioTrack: () => streamRef.current?.getAudioTracks()[0],
+    });
+    recognitionRef.current = recognizer;
+    return () => recognizer?.stop();
+  }, []);
 
-      recognition.onerror = (event) => {
-        console.error("Speech recognition error", event.error);
-        // Don't auto-stop on error, try to keep going unless strictly fatal
-      };
+  // Lets the browser pick fonts and screen readers pick pronunciation for the UI language
+  useEffect(() => {
+    document.documentElement.lang = uiLanguage;
+  }, [uiLanguage]);
 
-      recognitionRef.current = recognition;
-    }
-  }, []);
+  // Recognition uses the interviewer's accent, which follows the interview language
+  useEffect(() => {
+    recognitionRef.current?.setLang(voiceSettings.lang);
+  }, [voiceSettings.lang]);
 
   // Manage Mic State based on UI toggle
+  // Recognition is paused while the interviewer speaks so it doesn't transcribe itself,
+  // and while the candidate types so dictation doesn't land in the middle of their text.
+  // In the lobby it only runs until the test phrase is heard.
   useEffect(() => {
     if (!recognitionRef.current) return;
 
-    if (screen === 'interview' && isMicEnabled && !loading) {
-      try {
-        recognitionRef.current.start();
-      } catch (e) {
-        // Already started
-      }
+    if ((screen === 'interview' && isMicEnabled && !isTypingAnswer && !loading && !isBotSpeaking) || isSpeechTestRunning) {
+      recognitionRef.current.start();
     } else {
       recognitionRef.current.stop();
     }
-  }, [screen, isMicEnabled, loading]);
+  }, [screen, isMicEnabled, isTypingAnswer, loading, isBotSpeaking, isSpeechTestRunning]);
+
+  // Camera and mic lists for the setup screen, kept current as devices come and go
+  useEffect(() => {
+    if (screen !== 'setup') return;
+    const refresh = () => listMediaDevices()
+      .then(setDevices)
+      .catch(err => console.error("Error listing devices:", err));
+    refresh();
+    return watchMediaDevices(refresh);
+  }, [screen]);
+
+  // Load TTS voices for the setup screen
+  useEffect(() => {
+    loadVoices().then(setVoices);
+  }, []);
+
+  // Read each new interviewer message aloud
+  useEffect(() => {
+    if (screen !== 'interview' || loading || !voiceSettings.enabled) return;
+
+    const lastBotMessage = chatHistory.filter(m => m.role === 'bot').slice(-1)[0];
+    if (!lastBotMessage || spokenMessageRef.current === lastBotMessage) return;
+    spokenMessageRef.current = lastBotMessage;
+
+    // Panelists are told apart by pitch, since most browsers offer only a few voices per language
+    const pitch = lastBotMessage.persona !== undefined ? getPersonaStyle(lastBotMessage.persona).pitch : 1;
+    speak(lastBotMessage.text, { ...voiceSettings, pitch, onStart: () => setIsBotSpeaking(true) })
+      .then(() => {
+        setIsBotSpeaking(false);
+        // Time to first word counts from the end of the question, not its arrival
+        deliveryRef.current?.markReady(performance.now());
+      });
+  }, [chatHistory, screen, loading, voiceSettings]);
+
+  const saveInterviewCheckpoint = useEffectEvent(() => {
+    saveCheckpoint({
+      session: sessionInfo,
+      chatHistory,
+      questionCount,
+      difficulty,
+      elapsedTime,
+      codingRounds,
+      diagram,
+      sharedDiagram: sharedDiagramRef.current,
+      isWhiteboardOpen,
+      interviewNotes,
+      draftInput: currentInput,
+      media: { devices: selectedDevices, isVideoEnabled, isMicEnabled, isTypingAnswer }
+    }).catch(err => console.error("Error saving checkpoint:", err));
+  });
+
+  // Autosave: checkpoint once per interviewer message, after its turn has fully settled
+  useEffect(() => {
+    if (screen !== 'interview' || loading || !sessionInfo) return;
+
+    const lastMessage = chatHistory[chatHistory.length - 1];
+    if (lastMessage?.role !== 'bot' || checkpointedMessageRef.current === lastMessage) return;
+    checkpointedMessageRef.current = lastMessage;
+    saveInterviewCheckpoint();
+  }, [screen, loading, sessionInfo, chatHistory]);
+
+  // ...and again while the candidate answers, so the typed answer, the editor's code, the
+  // whiteboard and the clock survive a crash too
+  const clockTick = Math.floor(elapsedTime / DRAFT_CHECKPOINT_SECONDS);
+  useEffect(() => {
+    if (screen !== 'interview' || loading || !checkpointedMessageRef.current) return;
+    if (chatHistory[chatHistory.length - 1] !== checkpointedMessageRef.current) return;
+
+    const timeout = setTimeout(saveInterviewCheckpoint, DRAFT_CHECKPOINT_DELAY_MS);
+    return () => clearTimeout(timeout);
+  }, [screen, loading, chatHistory, currentInput, codingRounds, diagram, isWhiteboardOpen, clockTick]);
+
+  // Leaving mid-interview asks first; the checkpoint covers whatever gets past this
+  useEffect(() => {
+    if (screen !== 'interview') return;
+    const warn = (e) => e.preventDefault();
+    window.addEventListener('beforeunload', warn);
+    return () => window.removeEventListener('beforeunload', warn);
+  }, [screen]);
+
+  // An interview interrupted by a reload or crash is offered for resuming on the setup screen
+  useEffect(() => {
+    loadCheckpoint()
+      .then(setSavedInterview)
+      .catch(err => console.error("Error loading checkpoint:", err));
+  }, []);
+
+  // Never keep talking once the interview screen is gone
+  useEffect(() => {
+    if (screen !== 'interview') cancelSpeech();
+  }, [screen]);
+
+  // Barge-in: stop speaking as soon as the candidate starts talking
+  useEffect(() => {
+    if (!isBotSpeaking || !isMicEnabled) return;
+
+    let loudFrames = 0;
+    return createLevelMonitor(streamRef.current, (level) => {
+      loudFrames = level > BARGE_IN_LEVEL ? loudFrames + 1 : 0;
+      if (loudFrames >= BARGE_IN_FRAMES) cancelSpeech();
+    });
+  }, [isBotSpeaking, isMicEnabled]);
+
+  // Voice activity for delivery analytics while the candidate has the floor
+  useEffect(() => {
+    if (!isTimerRunning || !isMicEnabled || isBotSpeaking) return;
+    return createLevelMonitor(streamRef.current, (level) => deliveryRef.current?.onLevel(level, performance.now()));
+  }, [isTimerRunning, isMicEnabled, isBotSpeaking]);
+
+  // Lobby mic meter: hearing the candidate once passes the check, a long silence fails it
+  useEffect(() => {
+    if (screen !== 'lobby' || !isStreamReady) return;
+
+    let startedAt = null;
+    let heard = false;
+    return createLevelMonitor(streamRef.current, (level, time) => {
+      startedAt ??= time;
+      setMicLevel(Math.min(1, Math.round(level * 50) / 10));
+      if (level > MIC_CHECK_LEVEL) {
+        heard = true;
+        setLobbyChecks(prev => withCheck(prev, 'mic', { status: 'ok' }));
+      } else if (!heard && time - startedAt > MIC_SILENCE_SECONDS) {
+        setLobbyChecks(prev => (prev.mic.status === 'skipped' ? prev : withCheck(prev, 'mic', { status: 'failed', code: 'silent' })));
+      }
+    });
+  }, [screen, isStreamReady]);
+
+  useEffect(() => {
+    const update = () => setIsOnline(!isOffline());
+    window.addEventListener('online', update);
+    window.addEventListener('offline', update);
+    return () => {
+      window.removeEventListener('online', update);
+      window.removeEventListener('offline', update);
+    };
+  }, []);
+
+  // Load saved templates for the setup screen
+  useEffect(() => {
+    if (screen !== 'setup') return;
+    listTemplates()
+      .then(setTemplates)
+      .catch(err => console.error("Error loading templates:", err));
+  }, [screen]);
+
+  // Load saved sessions whenever the history or progress screen opens
+  useEffect(() => {
+    if (screen !== 'history' && screen !== 'progress') return;
+    listSessions()
+      .then(setSessions)
+      .catch(err => console.error("Error loading sessions:", err));
+  }, [screen]);
 
   // Manage Video Stream
+  // The lobby opens the camera and the interview carries on with the same stream,
+  // so the devices that passed the check are the ones the interview uses
+  const needsCamera = screen === 'lobby' || screen === 'interview';
   useEffect(() => {
-    if (screen === 'interview') {
+    if (needsCamera) {
       startVideo();
     } else {
       stopVideo();
     }
     return () => stopVideo();
-  }, [screen]);
+  }, [needsCamera]);
+
+  // The lobby and the interview each render their own <video>, as does turning the camera back on
+  useEffect(() => {
+    if (videoRef.current && streamRef.current) {
+      videoRef.current.srcObject = streamRef.current;
+    }
+  }, [screen, isStreamReady, isVideoEnabled]);
 
   // Toggle Video Track Enabled/Disabled
   useEffect(() => {
@@ -130,119 +529,422 @@ const MockInterviewBot = () => {
     }
   }, [isVideoEnabled]);
 
+  // The audio track feeds barge-in, delivery analytics and (where supported) recognition;
+  // the <video> element stays muted
   const startVideo = async () => {
+    const constraints = mediaConstraintsRef.current;
+    let stream;
     try {
-      const stream = await navigator.mediaDevices.getUserMedia({ video: true, audio: false });
-      streamRef.current = stream;
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-      }
+      stream = await navigator.mediaDevices.getUserMedia(constraints);
+      setLobbyChecks(prev => withCheck(prev, 'camera', { status: 'ok' }));
     } catch (err) {
       console.error("Error accessing camera:", err);
       setIsVideoEnabled(false);
+      setLobbyChecks(prev => withCheck(prev, 'camera', { status: 'failed', code: describeMediaError(err) }));
+      // A missing or busy camera shouldn't take the microphone down with it
+      try {
+        stream = await navigator.mediaDevices.getUserMedia({ audio: constraints.audio });
+      } catch (audioErr) {
+        console.error("Error accessing microphone:", audioErr);
+        setLobbyChecks(prev => withCheck(prev, 'mic', { status: 'failed', code: describeMediaError(audioErr) }));
+        return;
+      }
     }
+    streamRef.current = stream;
+    setIsStreamReady(true);
   };
 
   const stopVideo = () => {
+    // Anything still recording here wasn't finished by endInterview, so it's discarded
+    if (recorderRef.current) {
+      recorderRef.current.discard().catch(err => console.error("Error discarding recording:", err));
+      recorderRef.current = null;
+      setIsRecording(false);
+    }
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
       streamRef.current = null;
     }
+    setIsStreamReady(false);
   };
 
   // --- API Interaction ---
-  const callGemini = async (prompt, history = [], isSystemInstruction = false) => {
-    const keyToUse = apiKey || "";
-    const API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${MODEL_NAME}:generateContent?key=${keyToUse}`;
 
-    const formattedHistory = history.map(msg => ({
-      role: msg.role === 'bot' ? 'model' : 'user',
-      parts: [{ text: msg.text }]
+  // Whiteboard diagrams reach the model as text on every turn, but only the latest as an image
+  const toModelMessages = (history) => {
+    const lastDiagramIndex = history.findLastIndex(m => m.diagram);
+    return history.map((msg, i) => ({
+      role: msg.role,
+      text: msg.diagram ? `${msg.text}\n\n[Whiteboard diagram]\n${describeDiagram(msg.diagram)}` : msg.text,
+      ...(i === lastDiagramIndex && msg.image && { images: [msg.image] })
     }));
+  };
+
+  // Retries rate limits, server errors and dropped connections (see apiErrors.js) while the
+  // interview screen shows the countdown. `onRetry` runs before each new attempt.
+  const requestWithRetries = (request, { signal, onRetry } = {}) => withRetries(request, {
+    signal,
+    onRetry: (info) => {
+      onRetry?.();
+      setRetryStatus({ attempt: info.attempt, maxAttempts: info.maxAttempts, delayMs: info.delayMs, kind: info.error.kind });
+    }
+  }).finally(() => setRetryStatus(null));
 
-    let contents = formattedHistory;
+  // Pass `onToken` to stream the reply; `onRetry` fires when a failed attempt is about to be
+  // repeated, so streamed text can be discarded. If `signal` aborts mid-stream, whatever
+  // arrived so far is returned. Any other failure throws an ApiError once retries run out.
+  const callGemini = async (prompt, history = [], isSystemInstruction = false, { onToken, onRetry, signal } = {}) => {
+    const messages = toModelMessages(history);
+    let partial = '';
 
     if (prompt) {
-      contents.push({
-        role: "user",
-        parts: [{ text: prompt }]
-      });
+      messages.push({ role: 'user', text: prompt });
     }
 
     try {
-      const response = await fetch(API_URL, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: contents,
-          systemInstruction: isSystemInstruction ? {
-            parts: [{ text: isSystemInstruction }]
-          } : undefined
-        })
-      });
+      return await requestWithRetries(() => {
+        partial = '';
+        return generateReply({ ...llmSettings, apiKey }, {
+          messages,
+          systemInstruction: isSystemInstruction || undefined,
+          signal,
+          onToken: onToken && ((chunk) => {
+            partial += chunk;
+            onToken(chunk);
+          })
+        });
+      }, { signal, onRetry });
+    } catch (error) {
+      if (error.name === 'AbortError') return partial;
+      console.error("LLM API Error:", error);
+      throw error;
+    }
+  };
 
-      if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        console.error("API Error Details:", errorData);
-        throw new Error(`API Error: ${response.status} - ${errorData.error?.message || response.statusText}`);
-      }
+  // A one-word round trip for the lobby. It isn't retried, so the lobby reports
+  // a rejected key, a wrong model name or an unreachable server right away.
+  const pingModel = () => generateReply({ ...llmSettings, apiKey }, {
+    messages: [{ role: 'user', text: 'Reply with the single word OK.' }]
+  });
+
+  // Requests JSON matching `schema`, re-prompting on validation errors.
+  // Throws StructuredOutputError, the ApiError once retries run out, or the AbortError.
+  const callStructured = (prompt, history, systemInstruction, schema, maxAttempts, validate, { signal } = {}) => generateStructured({
+    schema,
+    validate,
+    maxAttempts,
+    signal,
+    messages: [
+      ...toModelMessages(history),
+      { role: 'user', text: prompt }
+    ],
+    generate: (messages, attemptSignal) => requestWithRetries(() => generateReply({ ...llmSettings, apiKey }, {
+      messages,
+      systemInstruction: systemInstruction || undefined,
+      responseSchema: schema,
+      signal: attemptSignal
+    }), { signal: attemptSignal })
+  });
+
+  // Streams a bot turn into the question overlay; the controller lets the user stop it.
+  // A turn that did other work first passes in the controller that already covered it.
+  const streamBotTurn = async (prompt, history, systemPrompt, controller = new AbortController()) => {
+    abortControllerRef.current = controller;
+    setStreamingText('');
 
-      const data = await response.json();
-      if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
-        throw new Error("No candidates returned from API");
-      }
-      return data.candidates[0].content.parts[0].text;
-    } catch (error) {
-      console.error("Gemini API Error:", error);
-      return `Error: ${error.message}`;
+    try {
+      const text = await callGemini(prompt, history, systemPrompt, {
+        signal: controller.signal,
+        onToken: (chunk) => setStreamingText(prev => prev + chunk),
+        onRetry: () => setStreamingText('')
+      });
+      return { text, aborted: controller.signal.aborted };
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingText('');
     }
   };
 
+  const stopGenerating = () => {
+    if (abortControllerRef.current) abortControllerRef.current.abort();
+  };
+
   // --- Handlers ---
 
-  const startInterview = async () => {
+  const getSetupConfig = () => ({ mode, role, experience, skills, rubric, language, plan, panel, timeLimit, questionBank, resume, jobDescription });
+
+  // Switches the accent too, unless the current one already belongs to the new language
+  const changeLanguage = (code) => {
+    setLanguage(code);
+    setVoiceSettings(prev => (prev.lang.startsWith(`${code}-`) ? prev : { ...prev, lang: getLanguage(code).speechLang, voiceURI: '' }));
+  };
+
+  // Sessions saved before templates existed have no limits or bank. Templates never
+  // carry a resume or job description, so selecting one keeps the current ones.
+  const applySetupConfig = (config) => {
+    if ('resume' in config) setResume(config.resume || null);
+    if ('jobDescription' in config) setJobDescription(config.jobDescription || '');
+    setMode(config.mode || 'technical');
+    setRole(config.role);
+    setExperience(config.experience);
+    setSkills(config.skills);
+    setRubric(config.rubric);
+    changeLanguage(config.language || DEFAULT_LANGUAGE);
+    setPlan(resolvePlan(config));
+    setPanel(config.panel || null);
+    setTimeLimit(config.timeLimit || DEFAULT_TIME_LIMIT);
+    setQuestionBank(config.questionBank || null);
+  };
+
+  // The stored system prompt plus where the interview stands in its plan, rebuilt every turn
+  const buildTurnInstruction = (systemPrompt, config, answered, elapsedSeconds) => {
+    const interviewPlan = resolvePlan(config);
+    const minutesLeft = (config.timeLimit || DEFAULT_TIME_LIMIT) - elapsedSeconds / 60;
+    return `${systemPrompt}\n\n${describeCurrentPhase(getPlanPosition(interviewPlan, answered), interviewPlan, minutesLeft)}`;
+  };
+
+  // Each mode starts from its own plan; behavioral plans have a phase per competency
+  const changeMode = (value) => {
+    setMode(value);
+    setPlan(value === 'behavioral' ? BEHAVIORAL_PLAN : DEFAULT_PLAN);
+  };
+
+  const updatePersona = (index, changes) => {
+    setPanel(prev => ({ ...prev, personas: prev.personas.map((p, i) => (i === index ? { ...p, ...changes } : p)) }));
+  };
+
+  // The next preset nobody on the panel uses yet, or a blank persona once they're all taken
+  const addPersona = () => {
+    setPanel(prev => {
+      const preset = PERSONA_PRESETS.find(p => !prev.personas.some(persona => persona.name === p.name));
+      return { ...prev, personas: [...prev.personas, preset || { name: '', title: '', focus: '', tone: '' }] };
+    });
+  };
+
+  const resetInterviewNotes = (notes = null) => {
+    notesGenerationRef.current++;
+    interviewNotesRef.current = notes;
+    setInterviewNotes(notes);
+  };
+
+  // The notes plus the recent turns, in place of the full history (see context.js)
+  const buildModelContext = (visibleHistory, systemInstruction) => {
+    const notes = interviewNotesRef.current;
+    const recent = getRecentMessages(visibleHistory, notes);
+    const instruction = [systemInstruction, describeNotes(notes)].filter(Boolean).join('\n\n');
+    setContextUsage(measureContext({
+      systemInstruction: instruction,
+      notes,
+      recentMessages: toModelMessages(recent),
+      fullMessages: toModelMessages(visibleHistory)
+    }));
+    return { history: recent, systemInstruction: instruction };
+  };
+
+  // Runs in the background after a turn settles; the next turn uses whatever notes exist by
+  // then. If summarizing fails the turns simply stay verbatim until the next attempt.
+  const compactContext = async (visibleHistory) => {
+    const notes = interviewNotesRef.current;
+    const messages = toModelMessages(visibleHistory);
+    const range = planCompaction(messages, notes);
+    if (!range || compactingRef.current) return;
+
+    const generation = notesGenerationRef.current;
+    compactingRef.current = true;
+    setIsCompacting(true);
+    try {
+      const result = await callStructured(
+        buildNotesPrompt(notes?.text, messages.slice(range.from, range.to)),
+        [],
+        NOTES_INSTRUCTION,
+        NOTES_SCHEMA,
+        2
+      );
+      if (generation !== notesGenerationRef.current) return;
+      interviewNotesRef.current = { text: result.notes, coveredCount: range.to };
+      setInterviewNotes(interviewNotesRef.current);
+    } catch (err) {
+      console.error("Context compaction failed:", err);
+    } finally {
+      compactingRef.current = false;
+      setIsCompacting(false);
+    }
+  };
+
+  const updateCodingRounds = (update) => {
+    codingRoundsRef.current = update(codingRoundsRef.current);
+    setCodingRounds(codingRoundsRef.current);
+  };
+
+  // Generates the problem when the plan reaches a coding question. Resolves to null when
+  // there is nothing new to introduce or generation failed or was stopped.
+  const generateCodingProblem = async (config, answered, level, { signal } = {}) => {
+    const position = getPlanPosition(resolvePlan(config), answered);
+    if (position.phase?.kind !== 'coding') return null;
+    if (codingRoundsRef.current.some(r => r.questionIndex === answered)) return null;
+
+    try {
+      return normalizeCodingProblem(await callStructured(
+        buildCodingProblemPrompt({
+          role: config.role,
+          skills: config.skills,
+          difficulty: level,
+          language: config.language,
+          previousTitles: codingRoundsRef.current.map(r => r.problem.title)
+        }),
+        [],
+        undefined,
+        CODING_PROBLEM_SCHEMA,
+        3,
+        validateCodingProblem,
+        { signal }
+      ));
+    } catch (err) {
+      // The interviewer can still pose a verbal coding question
+      if (err.name !== 'AbortError') console.error("Coding problem generation failed:", err);
+      return null;
+    }
+  };
+
+  // Returns the extra interviewer instruction for a generated problem, or '' without one
+  const addCodingRound = (answered, problem) => {
+    if (!problem) return '';
+    updateCodingRounds(prev => [...prev, { questionIndex: answered, problem, code: problem.starterCode, runs: [] }]);
+    return describeProblemForInterviewer(problem);
+  };
+
+  const prepareCodingRound = async (config, answered, level) => addCodingRound(answered, await generateCodingProblem(config, answered, level));
+
+  const startInterview = async (config = getSetupConfig()) => {
     setLoading(true);
+    setFailedTurn(null);
+    discardSavedInterview();
     setChatHistory([]);
     setQuestionCount(0);
+    resetInterviewNotes();
+    setContextUsage(null);
+    updateCodingRounds(() => []);
+    setDiagram(EMPTY_DIAGRAM);
+    sharedDiagramRef.current = EMPTY_DIAGRAM;
+    setIsWhiteboardOpen(resolvePlan(config)[0]?.kind === 'system_design');
     setFeedbackReport(null);
+    setFeedbackError(null);
     setTimer(0);
+    setElapsedTime(0);
     setIsTimerRunning(false);
+    setDifficulty(getInitialDifficulty(config.experience));
+    setRecordingInterrupted(false);
+
+    // The lobby already opened the camera, so recording starts with the interview itself
+    const sessionId = createSessionId();
+    if (recordingEnabled && streamRef.current && isRecordingSupported()) {
+      recorderRef.current = startRecording(streamRef.current, sessionId);
+      setIsRecording(true);
+    }
+    // Switch screens first so the opening question streams into the overlay
+    setScreen('interview');
+
+    const profile = await buildCandidateProfile(config);
+    setSessionInfo({ id: sessionId, createdAt: Date.now(), config, profile });
 
     const systemPrompt = `
-      You are an expert interviewer for a ${role} position. 
-      The candidate has the following experience: ${experience}.
-      Key skills to assess: ${skills}.
-      Rubric: ${rubric}.
+      You are an expert interviewer for a ${config.role} position. 
+      The candidate has the following experience: ${config.experience}.
+      Key skills to assess: ${config.skills}.
+      Rubric: ${config.rubric}.
+      Starting difficulty: ${getInitialDifficulty(config.experience)}. You will be told when to adapt it.
+      ${describePlan(resolvePlan(config), config.timeLimit || DEFAULT_TIME_LIMIT)}
+      ${describeQuestionBank(config.questionBank)}
+      ${describeProfile(profile)}
+      ${describeLanguage(config.language, 'every question and reply to the candidate')}
+      ${describePanel(resolvePanel(config))}
+      ${describeMode(config.mode)}
       
       Your Goal: Conduct a mock interview. 
       1. Keep your questions CONCISE (1-2 sentences max) so they fit on the screen.
       2. Ask ONE question at a time.
       3. Do not provide feedback yet, just interview.
+      4. Stick to the plan and the current position you are given each turn.
     `;
 
-    const initialGreeting = await callGemini("Start the interview. Ask the first question.", [], systemPrompt);
+    const codingInstruction = await prepareCodingRound(config, 0, getInitialDifficulty(config.experience));
+    await askOpeningQuestion(config, systemPrompt, codingInstruction);
+  };
+
+  // Separate from startInterview so a failed opening question can be retried without rebuilding the session
+  const askOpeningQuestion = async (config, systemPrompt, codingInstruction) => {
+    setLoading(true);
+    const interviewPanel = resolvePanel(config);
+    const persona = getPersonaForTurn(interviewPanel, resolvePlan(config), 0);
+    setPendingPersona(persona);
+    const context = buildModelContext([], `${buildTurnInstruction(systemPrompt, config, 0, 0)}\n${describeSpeaker(interviewPanel, persona, null)}\n${codingInstruction}`);
+    let reply;
+    try {
+      reply = await streamBotTurn("Start the interview. Ask the first question.", context.history, context.systemInstruction);
+    } catch (err) {
+      setFailedTurn({ stage: 'opening', kind: err.kind, message: err.message, config, systemPrompt, codingInstruction });
+      setLoading(false);
+      return;
+    }
+    const { text: initialGreeting, aborted } = reply;
+
+    if (aborted && !initialGreeting) {
+      setScreen('setup');
+      setLoading(false);
+      return;
+    }
 
+    const competency = resolvePlan(config)[0]?.competency;
     setChatHistory([
       { role: 'system_hidden', text: systemPrompt },
-      { role: 'bot', text: initialGreeting }
+      { role: 'bot', text: initialGreeting, at: Date.now(), ...(persona !== null && { persona }), ...(competency && { competency }) }
     ]);
 
-    setScreen('interview');
     setLoading(false);
+    deliveryRef.current = createDeliveryTracker(performance.now(), config.language);
+    setLiveDelivery(null);
     setIsTimerRunning(true);
   };
 
-  const handleSendMessage = async () => {
-    const finalMsg = currentInput + interimInput;
+  // Condenses the resume and job description; without them (or if it fails) the interview is generic
+  const buildCandidateProfile = async (config) => {
+    if (!hasBackground(config)) return null;
+    try {
+      return await callStructured(buildProfilePrompt(config), [], undefined, PROFILE_SCHEMA, 2);
+    } catch (err) {
+      console.error("Resume analysis failed:", err);
+      return null;
+    }
+  };
+
+  // `submission` is the code submission text from the editor, sent along with anything spoken
+  const handleSendMessage = async (submission) => {
+    const spoken = currentInput + interimInput;
+    const finalMsg = submission ? [spoken.trim(), submission].filter(Boolean).join('\n\n') : spoken;
     if (!finalMsg.trim()) return;
 
     // Stop recording temporarily while processing
-    if (recognitionRef.current) recognitionRef.current.stop();
+    recognitionRef.current?.stop();
+    cancelSpeech();
     setIsTimerRunning(false);
-
-    const userMsg = { role: 'user', text: finalMsg };
+    setFailedTurn(null);
+
+    // The whiteboard rides along whenever it changed since the last answer
+    const sharedBefore = sharedDiagramRef.current;
+    const diagramChanged = !isDiagramEmpty(diagram) && diagram !== sharedBefore;
+    if (diagramChanged) sharedDiagramRef.current = diagram;
+    // Typed answers have nothing to measure; spoken ones are measured on the text as submitted
+    const heard = deliveryRef.current?.summarize(performance.now());
+    const delivery = heard?.words > 0 ? deliveryRef.current.summarize(performance.now(), spoken) : null;
+
+    const userMsg = {
+      role: 'user',
+      text: finalMsg,
+      duration: timer,
+      at: Date.now(),
+      ...(delivery?.words > 0 && { delivery }),
+      ...(diagramChanged && { diagram, image: renderDiagramPng(diagram) })
+    };
     const updatedHistory = [...chatHistory, userMsg];
 
     setChatHistory(updatedHistory);
@@ -250,95 +952,568 @@ const MockInterviewBot = () => {
     setInterimInput('');
     setLoading(true);
 
-    const visibleHistory = updatedHistory.filter(m => m.role !== 'system_hidden');
+    const config = sessionInfo?.config || getSetupConfig();
     const systemPrompt = chatHistory.find(m => m.role === 'system_hidden')?.text;
+    const roundsBefore = codingRoundsRef.current;
+
+    // Hands the answer back so it can be resent, leaving the conversation as it was before it
+    const restoreTurn = () => {
+      setChatHistory(chatHistory);
+      setDifficulty(difficulty);
+      updateCodingRounds(() => roundsBefore);
+      sharedDiagramRef.current = sharedBefore;
+      setCurrentInput(submission ? spoken : finalMsg);
+      setLoading(false);
+      setIsTimerRunning(true);
+    };
+
+    // One controller covers the whole turn, so Stop also works while the answer is being graded
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    // A coding problem for the next question doesn't wait for the grade: it's generated
+    // alongside it at the current difficulty, and dropped if the assessor wants a follow-up
+    const problemRequest = generateCodingProblem(config, questionCount + 1, difficulty, { signal: controller.signal });
+
+    // Grade the answer first: the assessor's decision shapes the interviewer's next turn
+    const lastQuestion = chatHistory.filter(m => m.role === 'bot').slice(-1)[0]?.text;
+    const followUpsSoFar = countTrailingFollowUps(chatHistory);
+    setIsAssessing(true);
+    const assessment = await assessAnswer(lastQuestion, toModelMessages([userMsg])[0].text, config, MAX_FOLLOW_UPS - followUpsSoFar, { signal: controller.signal });
+    setIsAssessing(false);
+    if (controller.signal.aborted) {
+      abortControllerRef.current = null;
+      restoreTurn();
+      return;
+    }
+    const followUp = isFollowUp(assessment?.decision) && followUpsSoFar < MAX_FOLLOW_UPS;
+    const decision = followUp || !isFollowUp(assessment?.decision) ? assessment?.decision : 'move_on';
+    const nextDifficulty = applyDecision(difficulty, decision);
+
+    const assessedHistory = [
+      ...chatHistory,
+      { ...userMsg, assessment: assessment && { ...assessment, decision, difficulty } }
+    ];
+    setChatHistory(assessedHistory);
+    setDifficulty(nextDifficulty);
+
+    // Plan exhausted or time budget spent: that was the final answer
+    const answered = followUp ? questionCount : questionCount + 1;
+    const planDone = getPlanPosition(resolvePlan(config), answered).done;
+    const timeUp = elapsedTime >= (config.timeLimit || DEFAULT_TIME_LIMIT) * 60;
+    if (planDone || timeUp) {
+      abortControllerRef.current = null;
+      await endInterview(assessedHistory);
+      return;
+    }
 
-    const botResponse = await callGemini(null, visibleHistory, systemPrompt);
+    const codingInstruction = followUp ? '' : addCodingRound(answered, await problemRequest);
+    const visibleHistory = assessedHistory.filter(m => m.role !== 'system_hidden');
+    // Follow-ups stay with the panelist who asked; a new question goes to whoever the rotation picks
+    const interviewPanel = resolvePanel(config);
+    const previousPersona = chatHistory.filter(m => m.role === 'bot').slice(-1)[0]?.persona ?? null;
+    const persona = followUp && previousPersona !== null ? previousPersona : getPersonaForTurn(interviewPanel, resolvePlan(config), answered);
+    setPendingPersona(persona);
+    const turnInstruction = `${buildTurnInstruction(systemPrompt, config, answered, elapsedTime)}\n${describeDecision({ ...assessment, decision }, nextDifficulty)}\n${describeSpeaker(interviewPanel, persona, previousPersona)}\n${codingInstruction}`;
+
+    const context = buildModelContext(visibleHistory, turnInstruction);
+    let reply;
+    try {
+      reply = await streamBotTurn(null, context.history, context.systemInstruction, controller);
+    } catch (err) {
+      restoreTurn();
+      setFailedTurn({ stage: 'answer', kind: err.kind, message: err.message, submission });
+      return;
+    }
+    const { text: botResponse, aborted } = reply;
 
-    setChatHistory(prev => [...prev, { role: 'bot', text: botResponse }]);
-    setQuestionCount(prev => prev + 1);
+    if (aborted && !botResponse) {
+      // Stopped before anything arrived
+      restoreTurn();
+      return;
+    }
+
+    const competency = getPlanPosition(resolvePlan(config), answered).phase?.competency;
+    const botMessage = {
+      role: 'bot',
+      text: botResponse,
+      followUp,
+      difficulty: nextDifficulty,
+      at: Date.now(),
+      ...(persona !== null && { persona }),
+      ...(competency && { competency })
+    };
+    setChatHistory(prev => [...prev, botMessage]);
+    compactContext([...visibleHistory, botMessage]);
+    if (!followUp) setQuestionCount(answered);
+    if (getPlanPosition(resolvePlan(config), answered).phase?.kind === 'system_design') setIsWhiteboardOpen(true);
     setLoading(false);
 
     // Reset for next question
     setTimer(0);
+    deliveryRef.current = createDeliveryTracker(performance.now(), config.language);
+    setLiveDelivery(null);
     setIsTimerRunning(true);
-    if (isMicEnabled && recognitionRef.current) {
-      try { recognitionRef.current.start(); } catch (e) { }
+    if (isMicEnabled && !isTypingAnswer) recognitionRef.current?.start();
+  };
+
+  // The failed turn never reached chatHistory, so retrying simply runs it again
+  const retryTurn = () => {
+    const turn = failedTurn;
+    setFailedTurn(null);
+    if (turn.stage === 'opening') {
+      askOpeningQuestion(turn.config, turn.systemPrompt, turn.codingInstruction);
+    } else {
+      handleSendMessage(turn.submission);
     }
   };
 
-  const endInterview = async () => {
-    setLoading(true);
-    setIsGeneratingFeedback(true);
+  // --- Lobby Handlers ---
+  // Setup leads here instead of straight into the interview. Camera, mic, speech
+  // recognition and the API are checked first, and nothing (the clock included)
+  // starts until the candidate confirms.
+
+  const openLobby = (config) => {
+    mediaConstraintsRef.current = buildMediaConstraints(selectedDevices);
+    setLobbyConfig(config);
+    setLobbyChecks(INITIAL_LOBBY_CHECKS);
+    setMicLevel(0);
+    setCurrentInput('');
+    setInterimInput('');
+    setIsVideoEnabled(true);
+    setIsMicEnabled(true);
+    setIsTypingAnswer(false);
+    setScreen('lobby');
+    checkConnection();
+  };
+
+  const checkConnection = async () => {
+    setLobbyChecks(prev => withCheck(prev, 'api', { status: 'checking' }));
+    if (PROVIDERS[llmSettings.provider].requiresKey && !apiKey) {
+      setLobbyChecks(prev => withCheck(prev, 'api', { status: 'failed', code: 'missing-key' }));
+      return;
+    }
+
+    const startedAt = performance.now();
+    try {
+      await pingModel();
+      setLobbyChecks(prev => ({ ...prev, api: { status: 'ok', ms: Math.round(performance.now() - startedAt) } }));
+    } catch (err) {
+      console.error("Connection check failed:", err);
+      setLobbyChecks(prev => ({ ...prev, api: { status: 'failed', code: classifyApiError(err), message: err.message } }));
+    }
+  };
+
+  // Reopens the camera and mic, e.g. after the candidate unblocks them in the browser
+  const retryDevices = () => {
+    stopVideo();
+    setLobbyChecks(prev => ({ ...prev, camera: { status: 'checking' }, mic: { status: 'checking' } }));
+    setIsVideoEnabled(true);
+    startVideo();
+  };
+
+  const skipLobbyChecks = (...names) => {
+    setLobbyChecks(prev => names.reduce((checks, name) => withCheck(checks, name, { status: 'skipped' }), prev));
+  };
+
+  // Skipped checks decide how the interview starts: without the camera, or with typed answers
+  const confirmLobby = () => {
+    if (lobbyChecks.mic.status === 'skipped') setIsMicEnabled(false);
+    if (getSpeechCheck().status === 'skipped') setIsTypingAnswer(true);
+    // The test phrase isn't part of the first answer
+    setCurrentInput('');
+    setInterimInput('');
+    startInterview(lobbyConfig);
+  };
+
+  // --- Coding Round Handlers ---
+
+  const updateCode = (round, code) => {
+    updateCodingRounds(prev => prev.map(r => (r.questionIndex === round.questionIndex ? { ...r, code } : r)));
+  };
+
+  const runCode = async (round, submitted = false) => {
+    setIsRunningCode(true);
+    const outcome = await runInSandbox({ code: round.code, functionName: round.problem.functionName, tests: round.problem.tests });
+    const run = { ...outcome, code: round.code, submitted, at: Date.now() };
+    updateCodingRounds(prev => prev.map(r => (r.questionIndex === round.questionIndex ? { ...r, runs: [...r.runs, run] } : r)));
+    setIsRunningCode(false);
+    return run;
+  };
+
+  // A submission is a normal answer turn, so it gets assessed and followed up like any other
+  const submitCode = async (round) => {
+    const run = await runCode(round, true);
+    const updatedRound = codingRoundsRef.current.find(r => r.questionIndex === round.questionIndex);
+    await handleSendMessage(describeSubmission(updatedRound, run));
+  };
+
+  // Failures fall back to plain "move on" so a flaky assessor never stalls the interview
+  const assessAnswer = async (question, answer, config, followUpsLeft, { signal } = {}) => {
+    try {
+      return await callStructured(
+        buildAssessmentPrompt({
+          question,
+          answer,
+          difficulty,
+          rubric: config.mode === 'behavioral' ? `${config.rubric} ${STAR_ASSESSMENT}`.trim() : config.rubric,
+          followUpsLeft
+        }),
+        [],
+        ASSESSOR_INSTRUCTION,
+        ASSESSMENT_SCHEMA,
+        2,
+        undefined,
+        { signal }
+      );
+    } catch (err) {
+      if (err.name !== 'AbortError') console.error("Answer assessment failed:", err);
+      return null;
+    }
+  };
+
+  // Lines the model's per-answer evaluations up with the locally tracked Q/A pairs and timings
+  const mergeAnswerEvaluations = (answerPairs, evaluations) => answerPairs.map((pair, i) => {
+    const evaluation = (Array.isArray(evaluations) ? evaluations : [])
+      .find(e => Number(e.index) === i + 1) || {};
+    return {
+      ...pair,
+      score: evaluation.score || "N/A",
+      assessment: evaluation.assessment || "",
+      strong_answer: evaluation.strong_answer || "",
+      star: evaluation.star || null
+    };
+  });
+
+  const endInterview = async (history = chatHistory) => {
     setIsTimerRunning(false);
-    if (recognitionRef.current) recognitionRef.current.stop();
+    recognitionRef.current?.stop();
+    await finishRecording();
+    await generateFeedback(history);
+  };
 
-    const visibleHistory = chatHistory.filter(m => m.role !== 'system_hidden');
-    const systemPrompt = chatHistory.find(m => m.role === 'system_hidden')?.text;
+  // Saved under the session id even if the feedback report later fails
+  const finishRecording = async () => {
+    const recorder = recorderRef.current;
+    if (!recorder) return;
+    recorderRef.current = null;
+    setIsRecording(false);
+    try {
+      await recorder.stop();
+    } catch (err) {
+      console.error("Error saving recording:", err);
+    }
+  };
+
+  // Also used by the "Retry feedback" action, so it only reads the finished transcript
+  const generateFeedback = async (history = chatHistory) => {
+    setLoading(true);
+    setIsGeneratingFeedback(true);
+    setFeedbackError(null);
+
+    const visibleHistory = history.filter(m => m.role !== 'system_hidden');
+    const systemPrompt = history.find(m => m.role === 'system_hidden')?.text;
+    const answerPairs = pairQuestionsAndAnswers(visibleHistory);
+
+    const interviewPanel = resolvePanel(sessionInfo?.config);
+    const isBehavioral = sessionInfo?.config.mode === 'behavioral';
+    const interviewPlan = resolvePlan(sessionInfo?.config);
+    const answerList = answerPairs
+      .map((pair, i) => `${i + 1}. Q${pair.competency ? ` [${pair.competency}]` : ''}${interviewPanel && pair.persona !== null ? ` (asked by ${interviewPanel.personas[pair.persona]?.name})` : ''}: ${pair.question}\n   A: ${pair.answer}\n   Time spent: ${pair.seconds ?? '?'}s${pair.delivery ? `\n   Delivery: ${describeAnswerDelivery(pair.delivery, createTranslator(DEFAULT_LANGUAGE))}` : ''}`)
+      .join('\n');
+    const deliverySummary = summarizeDelivery(answerPairs.map(pair => pair.delivery));
+    const rounds = codingRoundsRef.current;
+    const finalDiagram = visibleHistory.filter(m => m.diagram).slice(-1)[0]?.diagram || null;
 
     const feedbackPrompt = `
-      The interview is concluded. Provide detailed feedback in JSON format:
-      {
-        "summary": "string",
-        "strengths": ["string"],
-        "improvements": ["string"],
-        "rating": "string (e.g. 8/10)",
-        "technical_analysis": "string",
-        "communication_analysis": "string"
-      }
+      The interview is concluded. Provide detailed feedback as JSON in this shape:
+      ${describeSchema(FEEDBACK_SCHEMA)}
+
+      Evaluate every numbered answer against the rubric, considering the time spent:
+      ${answerList}
+      ${rounds.length ? `\nAlso fill "coding_analysis", judging correctness, code quality and how the solution evolved across runs:\n${describeCodingRoundsForFeedback(rounds)}` : ''}
+      ${deliverySummary ? `\n${describeDeliveryForFeedback(deliverySummary)}\nBase "communication_analysis" on these measurements as well as the transcript.` : ''}
+      ${interviewPanel ? `\nThis was a panel interview. Also fill "panel" with one entry per panelist, judging mainly the answers to their own questions, from their focus area and in their voice:\n${describePanelForFeedback(interviewPanel, answerPairs)}` : ''}
+      ${isBehavioral ? `\nThis was a behavioral interview. For every answer about a past situation, fill "star", judging whether the Situation, Task, Action and Result were each complete, partial or missing. Use "technical_analysis" for the substance of the examples: judgement, scope and impact. Also fill "competencies" with one entry per competency below, rating the evidence across all answers from 1 to 5:\n${describeCompetenciesForFeedback(interviewPlan, answerPairs)}` : ''}
+      ${sessionInfo?.profile?.requirements.length ? `\nAlso fill "jd_fit", judging the answers and background against the job description.\n${describeProfile(sessionInfo.profile)}` : ''}
+      ${describeLanguage(sessionInfo?.config.language, 'every text value of the report')}
+      ${finalDiagram ? `\nAlso fill "design_analysis", critiquing the final whiteboard diagram: components, data flow, scalability and single points of failure.\nFinal whiteboard diagram:\n${describeDiagram(finalDiagram)}` : ''}
     `;
 
     try {
-      const rawFeedback = await callGemini(feedbackPrompt, visibleHistory, systemPrompt);
+      // The numbered answers above are the originals, so the conversation itself can be the compacted one
+      const context = buildModelContext(visibleHistory, systemPrompt);
+      const parsedFeedback = await callStructured(feedbackPrompt, context.history, context.systemInstruction, FEEDBACK_SCHEMA, FEEDBACK_MAX_ATTEMPTS);
+      const report = {
+        ...parsedFeedback,
+        answers: mergeAnswerEvaluations(answerPairs, parsedFeedback.answers),
+        panel: interviewPanel ? mergePanelAssessments(interviewPanel, parsedFeedback.panel) : undefined,
+        competencies: isBehavioral ? mergeCompetencyMatrix(interviewPlan, parsedFeedback.competencies) : undefined,
+        coding: rounds,
+        diagram: finalDiagram,
+        delivery: deliverySummary
+      };
+      setFeedbackReport(report);
+      clearCheckpoint().catch(err => console.error("Error clearing checkpoint:", err));
 
-      if (rawFeedback.startsWith("Error:")) {
-        throw new Error(rawFeedback);
+      if (sessionInfo) {
+        saveSession(buildSessionRecord({ ...sessionInfo, chatHistory: history, feedback: report }))
+          .catch(err => console.error("Error saving session:", err));
       }
-
-      const cleanJson = rawFeedback.replace(/```json/g, '').replace(/```/g, '').trim();
-      const parsedFeedback = JSON.parse(cleanJson);
-
-      // Ensure arrays exist to prevent render crashes
-      setFeedbackReport({
-        summary: parsedFeedback.summary || "No summary available.",
-        strengths: Array.isArray(parsedFeedback.strengths) ? parsedFeedback.strengths : [],
-        improvements: Array.isArray(parsedFeedback.improvements) ? parsedFeedback.improvements : [],
-        rating: parsedFeedback.rating || "N/A",
-        technical_analysis: parsedFeedback.technical_analysis || "No analysis available.",
-        communication_analysis: parsedFeedback.communication_analysis || "No analysis available."
-      });
-      setScreen('feedback');
     } catch (e) {
-      console.error("Parsing error", e);
-      setFeedbackReport({
-        summary: "Could not generate structured JSON.",
-        strengths: [],
-        improvements: [],
-        rating: "?/10",
-        technical_analysis: "Raw output: " + (typeof rawFeedback === 'string' ? rawFeedback : "Error"),
-        communication_analysis: ""
-      });
-      setScreen('feedback');
+      console.error("Feedback generation failed", e);
+      setFeedbackReport(null);
+      setFeedbackError({ message: e.message, details: e.errors || [] });
     } finally {
       setLoading(false);
       setIsGeneratingFeedback(false);
+      setExpandedAnswer(null);
+      setScreen('feedback');
     }
   };
 
-  const downloadTranscript = () => {
-    const transcript = chatHistory
-      .filter(m => m.role !== 'system_hidden')
-      .map(m => `${m.role.toUpperCase()}: ${m.text}`)
-      .join('\n\n');
+  // Giving up on a failed report still ends the interview, so its checkpoint must not be offered for resuming
+  const leaveFailedReport = () => {
+    clearCheckpoint().catch(err => console.error("Error clearing checkpoint:", err));
+    setFeedbackError(null);
+    setScreen('setup');
+  };
+
+  // --- Resume Handlers ---
+  // The checkpoint holds the state as of the interviewer's last message plus the candidate's
+  // draft since, so resuming lands on that question with the typed answer, code, whiteboard,
+  // clock and camera/mic choices as they were. Speech not yet transcribed and the answer's
+  // delivery metrics are lost. A recording is saved up to the interruption but not
+  // continued: a second MediaRecorder can't append to the first one's file.
+
+  const resumeInterview = () => {
+    const checkpoint = savedInterview;
+    setSavedInterview(null);
+    applySetupConfig(checkpoint.session.config);
+    setSessionInfo(checkpoint.session);
+    setChatHistory(checkpoint.chatHistory);
+    checkpointedMessageRef.current = checkpoint.chatHistory[checkpoint.chatHistory.length - 1];
+    setQuestionCount(checkpoint.questionCount);
+    setDifficulty(checkpoint.difficulty);
+    setElapsedTime(checkpoint.elapsedTime);
+    updateCodingRounds(() => checkpoint.codingRounds);
+    setDiagram(checkpoint.diagram);
+    sharedDiagramRef.current = checkpoint.sharedDiagram;
+    setIsWhiteboardOpen(checkpoint.isWhiteboardOpen);
+    resetInterviewNotes(checkpoint.interviewNotes || null);
+    setContextUsage(null);
+    setFeedbackReport(null);
+    setFeedbackError(null);
+    setFailedTurn(null);
+    setCurrentInput(checkpoint.draftInput || '');
+    setInterimInput('');
+    setTimer(0);
+    deliveryRef.current = createDeliveryTracker(performance.now(), checkpoint.session.config.language);
+    setLiveDelivery(null);
+    // Checkpoints from before the media state was saved keep the current choices
+    const media = checkpoint.media || { devices: selectedDevices, isVideoEnabled, isMicEnabled, isTypingAnswer };
+    setSelectedDevices(media.devices);
+    setIsVideoEnabled(media.isVideoEnabled);
+    setIsMicEnabled(media.isMicEnabled);
+    setIsTypingAnswer(media.isTypingAnswer);
+    mediaConstraintsRef.current = buildMediaConstraints(media.devices);
+    setScreen('interview');
+    setIsTimerRunning(true);
+    salvageRecording(checkpoint.session.id)
+      .then(recording => setRecordingInterrupted(Boolean(recording)))
+      .catch(err => console.error("Error saving recording:", err));
+  };
+
+  const discardSavedInterview = () => {
+    if (savedInterview) {
+      discardRecording(savedInterview.session.id).catch(err => console.error("Error discarding recording:", err));
+    }
+    setSavedInterview(null);
+    clearCheckpoint().catch(err => console.error("Error clearing checkpoint:", err));
+  };
+
+  // --- History Handlers ---
+
+  const openSession = (session) => {
+    setSessionInfo({ id: session.id, createdAt: session.createdAt, completedAt: session.completedAt, config: session.config });
+    setChatHistory(session.transcript);
+    setFeedbackReport(session.feedback);
+    setFeedbackError(null);
+    setExpandedAnswer(null);
+    setScreen('feedback');
+  };
 
-    const blob = new Blob([transcript], { type: 'text/plain' });
+  const rerunSession = (session) => {
+    applySetupConfig(session.config);
+    openLobby(session.config);
+  };
+
+  // Report bundles from another browser (or an older export) open like any saved session
+  const importReport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const session = parseReportBundle(await file.text(), { filename: file.name, t });
+      await saveSession(session);
+      setSessions(await listSessions());
+      setReportImportError(null);
+      openSession(session);
+    } catch (err) {
+      console.error("Error importing report:", err);
+      setReportImportError(err.message);
+    }
+  };
+
+  const removeSession = async (session) => {
+    if (!confirm(t('history.confirmDelete'))) return;
+    try {
+      await deleteSession(session.id);
+      await deleteRecording(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+    } catch (err) {
+      console.error("Error deleting session:", err);
+    }
+  };
+
+  const uploadResume = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    setResumeNotice({ type: 'info', text: t('setup.readingFile', { name: file.name }) });
+    try {
+      const { text, truncated } = await extractDocumentText(file, { t });
+      setResume({ name: file.name, text, truncated });
+      setResumeNotice(truncated ? { type: 'info', text: t('setup.resumeTruncated') } : null);
+    } catch (err) {
+      console.error("Error reading resume:", err);
+      setResumeNotice({ type: 'error', text: err.message });
+    }
+  };
+
+  const showDeviceNames = async () => {
+    try {
+      setDevices(await unlockDeviceLabels());
+    } catch (err) {
+      console.error("Error accessing devices:", err);
+    }
+  };
+
+  // --- Template Handlers ---
+
+  const selectTemplate = (id) => {
+    setSelectedTemplateId(id);
+    setTemplateNotice(null);
+    const template = templates.find(item => item.id === id);
+    if (template) applySetupConfig(template);
+  };
+
+  const saveCurrentAsTemplate = async () => {
+    const current = templates.find(item => item.id === selectedTemplateId);
+    const name = prompt(t('setup.templateName'), current?.name || role);
+    if (!name) return;
+
+    // Saving under the selected template's name updates it in place
+    const id = current && current.name === name ? current.id : null;
+    const template = normalizeTemplate({ ...getSetupConfig(), name, id });
+    try {
+      await saveTemplate(template);
+      setTemplates(await listTemplates());
+      setSelectedTemplateId(template.id);
+      setTemplateNotice({ type: 'success', text: t('setup.templateSaved', { name }) });
+    } catch (err) {
+      console.error("Error saving template:", err);
+      setTemplateNotice({ type: 'error', text: t('setup.templateSaveFailed') });
+    }
+  };
+
+  const removeTemplate = async () => {
+    const current = templates.find(item => item.id === selectedTemplateId);
+    if (!current || !confirm(t('setup.confirmDeleteTemplate', { name: current.name }))) return;
+    try {
+      await deleteTemplate(current.id);
+      setTemplates(prev => prev.filter(item => item.id !== current.id));
+      setSelectedTemplateId('');
+    } catch (err) {
+      console.error("Error deleting template:", err);
+    }
+  };
+
+  const importPack = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const imported = parsePack(await file.text(), { filename: file.name, t });
+      await Promise.all(imported.map(saveTemplate));
+      setTemplates(await listTemplates());
+      setSelectedTemplateId(imported[0].id);
+      applySetupConfig(imported[0]);
+      setTemplateNotice({ type: 'success', text: t('setup.packImported', { count: imported.length, file: file.name }) });
+    } catch (err) {
+      console.error("Error importing pack:", err);
+      setTemplateNotice({ type: 'error', text: err.message });
+    }
+  };
+
+  const exportPack = (format) => {
+    const current = templates.find(item => item.id === selectedTemplateId);
+    const template = normalizeTemplate({ ...getSetupConfig(), name: current?.name || role });
+    downloadFile(
+      serializePack([template], format),
+      `${toFileSlug(template.name)}.${format === 'yaml' ? 'yaml' : 'json'}`,
+      format === 'yaml' ? 'application/yaml' : 'application/json'
+    );
+  };
+
+  const toFileSlug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'interview';
+
+  const downloadFile = (content, filename, type) => {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `interview-transcript.txt`;
+    a.download = filename;
     a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const downloadTranscript = () => {
+    const personas = resolvePanel(sessionInfo?.config)?.personas || [];
+    const transcript = chatHistory
+      .filter(m => m.role !== 'system_hidden')
+      .map(m => `${(personas[m.persona]?.name || m.role).toUpperCase()}: ${m.text}`)
+      .join('\n\n');
+
+    downloadFile(transcript, `interview-transcript.txt`, 'text/plain');
   };
 
+  // 'pdf' opens the print dialog; 'markdown' and 'json' download a file
+  const exportReport = (format) => {
+    const session = buildSessionRecord({ ...sessionInfo, chatHistory, feedback: feedbackReport });
+    const options = { t, locale: uiLanguage, describeDelivery: describeAnswerDelivery };
+    const name = `interview-report-${toFileSlug(session.config.role)}-${new Date(session.createdAt).toISOString().slice(0, 10)}`;
+
+    if (format === 'pdf') {
+      printHtml(buildReportHtml(session, options));
+    } else if (format === 'markdown') {
+      downloadFile(buildReportMarkdown(session, options), `${name}.md`, 'text/markdown');
+    } else {
+      downloadFile(serializeReportBundle(session), `${name}.json`, 'application/json');
+    }
+  };
+
+  // The feedback prompt passes an English translator; the report shows it in the interview's language
+  const describeAnswerDelivery = (delivery, translate = t) => [
+    delivery.wpm ? translate('delivery.wpm', { wpm: delivery.wpm }) : null,
+    `${translate('delivery.fillers', { count: delivery.fillerCount })}${delivery.fillerCount ? ` (${formatFillers(delivery.fillers)})` : ''}`,
+    delivery.longPauses ? `${translate('delivery.longPauses', { count: delivery.longPauses })} ${translate('delivery.longest', { seconds: delivery.longestPause })}` : null,
+    delivery.timeToFirstWord !== null ? translate('delivery.firstWord', { seconds: delivery.timeToFirstWord }) : null,
+  ].filter(Boolean).join(' · ');
+
   const formatTime = (seconds) => {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
@@ -354,158 +1529,1040 @@ const MockInterviewBot = () => {
           <div className="bg-indigo-100 w-16 h-16 rounded-full flex items-center justify-center mx-auto mb-4">
             <Bot className="w-8 h-8 text-indigo-600" />
           </div>
-          <h1 className="text-3xl font-bold text-gray-800">Mock Interview AI</h1>
-          <p className="text-gray-500 mt-2">Immersive Video Interface</p>
-        </div>
+          <h1 className="text-3xl font-bold text-gray-800">{t('app.title')}</h1>
+          <p className="text-gray-500 mt-2">{t('app.tagline')}</p>
+        </div>
+
+        {savedInterview && (
+          <div className="mb-6 p-4 rounded-xl border border-amber-200 bg-amber-50">
+            <p className="font-semibold text-gray-800">{t('unfinished.title')}</p>
+            <p className="text-sm text-gray-600 mt-1">
+              {t('unfinished.details', {
+                role: savedInterview.session.config.role,
+                count: savedInterview.questionCount,
+                time: formatTime(savedInterview.elapsedTime),
+                saved: new Date(savedInterview.savedAt).toLocaleString(uiLanguage)
+              })}
+            </p>
+            <div className="flex gap-2 mt-3">
+              <button
+                onClick={resumeInterview}
+                className="flex items-center px-4 py-2 text-sm font-semibold rounded-lg bg-indigo-600 hover:bg-indigo-700 text-white"
+              >
+                <Play className="w-4 h-4 mr-1" />
+                {t('unfinished.resume')}
+              </button>
+              <button
+                onClick={() => {
+                  if (confirm(t('unfinished.confirmDiscard'))) discardSavedInterview();
+                }}
+                className="flex items-center px-4 py-2 text-sm rounded-lg text-gray-600 hover:text-red-600"
+              >
+                <Trash2 className="w-4 h-4 mr-1" />
+                {t('unfinished.discard')}
+              </button>
+            </div>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          {/* Templates */}
+          <div className="pb-4 border-b border-gray-100">
+            <div className="flex items-center space-x-2">
+              <Layers className="w-5 h-5 text-gray-400 shrink-0" />
+              <select
+                value={selectedTemplateId}
+                onChange={(e) => selectTemplate(e.target.value)}
+                className="flex-1 px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              >
+                <option value="">{t('setup.customInterview')}</option>
+                {templates.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+              <button onClick={saveCurrentAsTemplate} title={t('setup.saveTemplate')} className="p-2 text-gray-500 hover:text-indigo-600">
+                <Save className="w-4 h-4" />
+              </button>
+              {selectedTemplateId && (
+                <button onClick={removeTemplate} title={t('setup.deleteTemplate')} className="p-2 text-gray-500 hover:text-red-600">
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              )}
+              <button onClick={() => importInputRef.current?.click()} title={t('setup.importPack')} className="p-2 text-gray-500 hover:text-indigo-600">
+                <Upload className="w-4 h-4" />
+              </button>
+              <button onClick={() => exportPack('json')} title={t('setup.exportJson')} className="flex items-center p-2 text-xs text-gray-500 hover:text-indigo-600">
+                <Download className="w-4 h-4 mr-1" />JSON
+              </button>
+              <button onClick={() => exportPack('yaml')} title={t('setup.exportYaml')} className="flex items-center p-2 text-xs text-gray-500 hover:text-indigo-600">
+                <Download className="w-4 h-4 mr-1" />YAML
+              </button>
+              <input
+                ref={importInputRef}
+                type="file"
+                accept=".json,.yaml,.yml"
+                onChange={importPack}
+                className="hidden"
+              />
+            </div>
+            {templateNotice && (
+              <p className={`text-xs mt-2 whitespace-pre-line ${templateNotice.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                {templateNotice.text}
+              </p>
+            )}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.language')}</label>
+            <div className="relative">
+              <Languages className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <select
+                value={language}
+                onChange={(e) => changeLanguage(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              >
+                {Object.entries(LANGUAGES).map(([code, info]) => (
+                  <option key={code} value={code}>{info.label}</option>
+                ))}
+              </select>
+            </div>
+            <p className="text-xs text-gray-400 mt-1">{t('setup.languageHint')}</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.mode')}</label>
+            <div className="grid grid-cols-2 gap-2">
+              {INTERVIEW_MODES.map(value => (
+                <button
+                  key={value}
+                  onClick={() => changeMode(value)}
+                  className={`px-4 py-2 text-sm rounded-lg border ${mode === value ? 'bg-indigo-50 border-indigo-500 text-indigo-700 font-semibold' : 'border-gray-300 text-gray-600 hover:bg-gray-50'}`}
+                >
+                  {t(`mode.${value}`)}
+                </button>
+              ))}
+            </div>
+            <p className="text-xs text-gray-400 mt-1">{t(`setup.modeHint.${mode}`)}</p>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.role')}</label>
+            <div className="relative">
+              <Briefcase className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <input
+                type="text"
+                value={role}
+                onChange={(e) => setRole(e.target.value)}
+                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              />
+            </div>
+          </div>
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.experience')}</label>
+              <select
+                value={experience}
+                onChange={(e) => setExperience(e.target.value)}
+                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+              >
+                {EXPERIENCE_LEVELS.map(level => (
+                  <option key={level.value} value={level.value}>{t(level.labelKey)}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.skills')}</label>
+              <div className="relative">
+                <Code className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+                <input
+                  type="text"
+                  value={skills}
+                  onChange={(e) => setSkills(e.target.value)}
+                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                />
+              </div>
+            </div>
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">{t('setup.rubric')}</label>
+            <textarea
+              value={rubric}
+              onChange={(e) => setRubric(e.target.value)}
+              rows={2}
+              className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 text-sm"
+            />
+          </div>
+
+          {/* Interview Plan */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">
+                {t('setup.plan')} <span className="text-gray-400 font-normal">({t('common.questions', { count: getTotalQuestions(plan) })})</span>
+              </label>
+              <label className="flex items-center text-xs text-gray-500 space-x-2">
+                <Clock className="w-3 h-3" />
+                <input
+                  type="number"
+                  min="1"
+                  max="240"
+                  value={timeLimit}
+                  onChange={(e) => setTimeLimit(Math.max(1, Number(e.target.value) || 1))}
+                  className="w-16 px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+                />
+                <span>{t('setup.minBudget')}</span>
+              </label>
+            </div>
+            <div className="space-y-2">
+              {plan.map((phase, i) => (
+                <div key={i} className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-400 w-4 text-right">{i + 1}</span>
+                  <select
+                    value={phase.kind}
+                    onChange={(e) => setPlan(prev => prev.map((p, j) => (j === i ? { kind: e.target.value, questions: p.questions } : p)))}
+                    className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {Object.keys(PHASE_KINDS).map(kind => (
+                      <option key={kind} value={kind}>{t(`phase.${kind}`)}</option>
+                    ))}
+                  </select>
+                  {phase.kind === 'behavioral' && (
+                    <select
+                      value={phase.competency || ''}
+                      onChange={(e) => setPlan(prev => prev.map((p, j) => (j === i ? { kind: p.kind, questions: p.questions, ...(e.target.value && { competency: e.target.value }) } : p)))}
+                      title={t('setup.competency')}
+                      className="flex-1 px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                    >
+                      <option value="">{t('setup.anyCompetency')}</option>
+                      {Object.keys(COMPETENCIES).map(key => (
+                        <option key={key} value={key}>{t(`competency.${key}`)}</option>
+                      ))}
+                    </select>
+                  )}
+                  <input
+                    type="number"
+                    min="1"
+                    max="20"
+                    value={phase.questions}
+                    onChange={(e) => setPlan(prev => prev.map((p, j) => (j === i ? { ...p, questions: Math.max(1, Number(e.target.value) || 1) } : p)))}
+                    className="w-16 px-2 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  />
+                  <span className="text-xs text-gray-400">{t('setup.questionsUnit')}</span>
+                  <button
+                    onClick={() => setPlan(prev => prev.filter((_, j) => j !== i))}
+                    disabled={plan.length === 1}
+                    title={t('setup.removePhase')}
+                    className="p-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ))}
+              <button
+                onClick={() => setPlan(prev => [...prev, { kind: 'technical', questions: 1 }])}
+                className="text-xs text-gray-500 flex items-center hover:text-indigo-600 ml-6"
+              >
+                <Plus className="w-3 h-3 mr-1" />
+                {t('setup.addPhase')}
+              </button>
+            </div>
+          </div>
 
-        <div className="space-y-4">
+          {/* Interview Panel */}
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">Target Role</label>
-            <div className="relative">
-              <Briefcase className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+            <label className="flex items-center text-sm font-medium text-gray-700">
               <input
-                type="text"
-                value={role}
-                onChange={(e) => setRole(e.target.value)}
-                className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                type="checkbox"
+                checked={Boolean(panel)}
+                onChange={(e) => setPanel(e.target.checked ? DEFAULT_PANEL : null)}
+                className="mr-2"
               />
-            </div>
+              <Users className="w-4 h-4 mr-1 text-gray-400" />
+              {t('setup.panel')}
+              <span className="ml-1 text-gray-400 font-normal">{t('setup.panelHint')}</span>
+            </label>
+            {panel && (
+              <div className="space-y-2 mt-2">
+                {panel.personas.map((persona, i) => (
+                  <div key={i} className="flex items-start space-x-2">
+                    <div className={`${getPersonaStyle(i).avatar} w-8 h-8 mt-0.5 rounded-full flex items-center justify-center shrink-0 text-white text-xs font-bold`}>
+                      {getInitials(persona.name)}
+                    </div>
+                    <div className="flex-1 grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={persona.name}
+                        onChange={(e) => updatePersona(i, { name: e.target.value })}
+                        placeholder={t('setup.personaName')}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                      />
+                      <input
+                        type="text"
+                        value={persona.title}
+                        onChange={(e) => updatePersona(i, { title: e.target.value })}
+                        placeholder={t('setup.personaTitle')}
+                        className="px-3 py-1 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                      />
+                      <input
+                        type="text"
+                        value={persona.focus}
+                        onChange={(e) => updatePersona(i, { focus: e.target.value })}
+                        placeholder={t('setup.personaFocus')}
+                        className="px-3 py-1 text-xs border border-gray-200 rounded-lg bg-gray-50 focus:ring-2 focus:ring-indigo-500"
+                      />
+                      <input
+                        type="text"
+                        value={persona.tone}
+                        onChange={(e) => updatePersona(i, { tone: e.target.value })}
+                        placeholder={t('setup.personaTone')}
+                        className="px-3 py-1 text-xs border border-gray-200 rounded-lg bg-gray-50 focus:ring-2 focus:ring-indigo-500"
+                      />
+                    </div>
+                    <button
+                      onClick={() => setPanel(prev => ({ ...prev, personas: prev.personas.filter((_, j) => j !== i) }))}
+                      disabled={panel.personas.length === 1}
+                      title={t('setup.removePersona')}
+                      className="p-1 mt-1 text-gray-400 hover:text-red-600 disabled:opacity-30"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                ))}
+                <div className="flex items-center justify-between ml-10">
+                  <button
+                    onClick={addPersona}
+                    className="text-xs text-gray-500 flex items-center hover:text-indigo-600"
+                  >
+                    <Plus className="w-3 h-3 mr-1" />
+                    {t('setup.addPersona')}
+                  </button>
+                  <label className="flex items-center text-xs text-gray-500 space-x-2">
+                    <span>{t('setup.rotation')}</span>
+                    <select
+                      value={panel.rotation}
+                      onChange={(e) => setPanel(prev => ({ ...prev, rotation: e.target.value }))}
+                      className="px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-indigo-500"
+                    >
+                      {Object.keys(ROTATIONS).map(rotation => (
+                        <option key={rotation} value={rotation}>{t(`rotation.${rotation}`)}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className="text-xs text-gray-500 flex items-center justify-between">
+            {questionBank ? (
+              <>
+                <span>{t('setup.questionBank')} <span className="font-medium text-gray-700">{questionBank.name || t('setup.untitled')}</span> ({t('common.questions', { count: questionBank.questions.length })})</span>
+                <button onClick={() => setQuestionBank(null)} className="hover:text-red-600">{t('setup.remove')}</button>
+              </>
+            ) : (
+              <span>{t('setup.noQuestionBank')}</span>
+            )}
           </div>
 
+          {/* Resume & Job Description */}
           <div className="grid grid-cols-2 gap-4">
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Experience Level</label>
-              <select
-                value={experience}
-                onChange={(e) => setExperience(e.target.value)}
-                className="w-full px-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
-              >
-                <option>Intern / Junior</option>
-                <option>Mid-Level</option>
-                <option>Senior (5+ years)</option>
-                <option>Staff / Principal</option>
-                <option>Executive</option>
-              </select>
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('setup.resume')} <span className="text-gray-400 font-normal">{t('common.optional')}</span>
+              </label>
+              {resume ? (
+                <div className="flex items-center justify-between px-3 py-2 text-sm border border-gray-300 rounded-lg bg-gray-50">
+                  <span className="flex items-center truncate text-gray-700">
+                    <FileText className="w-4 h-4 mr-2 text-gray-400 shrink-0" />
+                    <span className="truncate">{resume.name}</span>
+                  </span>
+                  <button onClick={() => setResume(null)} title={t('setup.removeResume')} className="text-gray-400 hover:text-red-600 ml-2">
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              ) : (
+                <button
+                  onClick={() => resumeInputRef.current?.click()}
+                  className="w-full flex items-center justify-center px-3 py-2 text-sm border border-dashed border-gray-300 rounded-lg text-gray-500 hover:border-indigo-400 hover:text-indigo-600"
+                >
+                  <Upload className="w-4 h-4 mr-2" />
+                  {t('setup.resumeFormats')}
+                </button>
+              )}
+              <input
+                ref={resumeInputRef}
+                type="file"
+                accept={DOCUMENT_EXTENSIONS.map(ext => `.${ext}`).join(',')}
+                onChange={uploadResume}
+                className="hidden"
+              />
+              {resumeNotice && (
+                <p className={`text-xs mt-1 ${resumeNotice.type === 'error' ? 'text-red-600' : 'text-gray-500'}`}>{resumeNotice.text}</p>
+              )}
+              <p className="text-xs text-gray-400 mt-1">{t('setup.resumeHint')}</p>
             </div>
             <div>
-              <label className="block text-sm font-medium text-gray-700 mb-1">Tech Stack</label>
-              <div className="relative">
-                <Code className="absolute left-3 top-3 w-5 h-5 text-gray-400" />
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                {t('setup.jobDescription')} <span className="text-gray-400 font-normal">{t('common.optional')}</span>
+              </label>
+              <textarea
+                value={jobDescription}
+                onChange={(e) => setJobDescription(e.target.value)}
+                rows={3}
+                placeholder={t('setup.jobDescriptionPlaceholder')}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500 text-sm"
+              />
+            </div>
+          </div>
+
+          {/* Interviewer Voice */}
+          {isSpeechSynthesisSupported() && (
+            <div className="space-y-2">
+              <label className="flex items-center text-sm font-medium text-gray-700">
                 <input
-                  type="text"
-                  value={skills}
-                  onChange={(e) => setSkills(e.target.value)}
-                  className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  type="checkbox"
+                  checked={voiceSettings.enabled}
+                  onChange={(e) => setVoiceSettings(prev => ({ ...prev, enabled: e.target.checked }))}
+                  className="mr-2"
                 />
+                <Volume2 className="w-4 h-4 mr-1 text-gray-400" />
+                {t('setup.readAloud')}
+              </label>
+
+              {voiceSettings.enabled && (
+                <div className="grid grid-cols-3 gap-4">
+                  <select
+                    value={voiceSettings.lang}
+                    onChange={(e) => setVoiceSettings(prev => ({ ...prev, lang: e.target.value, voiceURI: '' }))}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  >
+                    {TTS_LANGUAGES.filter(l => l.code.startsWith(`${language}-`)).map(l => (
+                      <option key={l.code} value={l.code}>{l.label}</option>
+                    ))}
+                  </select>
+                  <select
+                    value={voiceSettings.voiceURI}
+                    onChange={(e) => setVoiceSettings(prev => ({ ...prev, voiceURI: e.target.value }))}
+                    className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                  >
+                    <option value="">{t('setup.defaultVoice')}</option>
+                    {voices
+                      .filter(v => v.lang.replace('_', '-').startsWith(voiceSettings.lang.split('-')[0]))
+                      .map(v => (
+                        <option key={v.voiceURI} value={v.voiceURI}>{v.name}</option>
+                      ))}
+                  </select>
+                  <label className="flex items-center text-xs text-gray-500 space-x-2">
+                    <span>{t('setup.rate', { rate: voiceSettings.rate.toFixed(1) })}</span>
+                    <input
+                      type="range"
+                      min="0.5"
+                      max="2"
+                      step="0.1"
+                      value={voiceSettings.rate}
+                      onChange={(e) => setVoiceSettings(prev => ({ ...prev, rate: Number(e.target.value) }))}
+                      className="flex-1"
+                    />
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+
+          {/* Devices */}
+          <div>
+            <div className="flex items-center justify-between mb-1">
+              <label className="block text-sm font-medium text-gray-700">{t('setup.devices')}</label>
+              {!hasDeviceLabels(devices) && (
+                <button onClick={showDeviceNames} className="text-xs text-gray-500 hover:text-indigo-600">
+                  {t('setup.showDeviceNames')}
+                </button>
+              )}
+            </div>
+            <div className="grid grid-cols-2 gap-4">
+              <div className="relative">
+                <Mic className="absolute left-3 top-2.5 w-4 h-4 text-gray-400" />
+                <select
+                  value={selectedDevices.micId}
+                  onChange={(e) => setSelectedDevices(prev => ({ ...prev, micId: e.target.value }))}
+                  className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="">{t('setup.defaultMicrophone')}</option>
+                  {devices.audioInputs.map((d, i) => (
+                    <option key={d.deviceId} value={d.deviceId}>{d.label || t('setup.microphoneN', { number: i + 1 })}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="relative">
+                <Video className="absolute left-3 top-2.5 w-4 h-4 text-gray-400" />
+                <select
+                  value={selectedDevices.cameraId}
+                  onChange={(e) => setSelectedDevices(prev => ({ ...prev, cameraId: e.target.value }))}
+                  className="w-full pl-9 pr-3 py-2 text-sm border border-gray-300 rounded-lg focus:ring-2 focus:ring-indigo-500"
+                >
+                  <option value="">{t('setup.defaultCamera')}</option>
+                  {devices.videoInputs.map((d, i) => (
+                    <option key={d.deviceId} value={d.deviceId}>{d.label || t('setup.cameraN', { number: i + 1 })}</option>
+                  ))}
+                </select>
               </div>
             </div>
+            {!isSpeechRecognitionSupported() && (
+              <p className="text-xs text-amber-600 mt-1">{t('speech.unsupportedHint')}</p>
+            )}
           </div>
 
-          {/* API Key Override */}
+          {isRecordingSupported() && (
+            <label className="flex items-center text-sm font-medium text-gray-700">
+              <input
+                type="checkbox"
+                checked={recordingEnabled}
+                onChange={(e) => setRecordingEnabled(e.target.checked)}
+                className="mr-2"
+              />
+              <Film className="w-4 h-4 mr-1 text-gray-400" />
+              {t('setup.record')}
+              <span className="ml-1 text-gray-400 font-normal">{t('setup.recordHint')}</span>
+            </label>
+          )}
+
+          {/* API Settings */}
           <div className="pt-4 border-t border-gray-100">
             <button
               onClick={() => setHasCustomKey(!hasCustomKey)}
               className="text-xs text-gray-500 flex items-center hover:text-indigo-600"
             >
               <Settings className="w-3 h-3 mr-1" />
-              {hasCustomKey ? "Hide API Settings" : "Use Custom API Key"}
+              {hasCustomKey ? t('setup.hideApiSettings') : t('setup.apiSettings')}
             </button>
 
             {hasCustomKey && (
-              <div className="mt-2">
-                <input
-                  type="password"
-                  value={apiKey}
-                  onChange={(e) => setApiKey(e.target.value)}
-                  placeholder="Paste your Gemini API Key here"
+              <div className="mt-2 space-y-2">
+                <select
+                  value={llmSettings.provider}
+                  onChange={(e) => setLlmSettings(getProviderDefaults(e.target.value))}
                   className="w-full px-3 py-1 text-sm border border-gray-200 rounded bg-gray-50"
-                />
+                >
+                  {Object.values(PROVIDERS).map(p => (
+                    <option key={p.id} value={p.id}>{p.label}</option>
+                  ))}
+                </select>
+
+                {llmSettings.provider === 'mock' ? (
+                  <p className="text-xs text-gray-400">{t('setup.mockProvider')}</p>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-2 gap-2">
+                      <input
+                        type="text"
+                        value={llmSettings.model}
+                        onChange={(e) => setLlmSettings(prev => ({ ...prev, model: e.target.value }))}
+                        placeholder={t('setup.modelName')}
+                        className="w-full px-3 py-1 text-sm border border-gray-200 rounded bg-gray-50"
+                      />
+                      <input
+                        type="text"
+                        value={llmSettings.baseUrl}
+                        onChange={(e) => setLlmSettings(prev => ({ ...prev, baseUrl: e.target.value }))}
+                        placeholder={t('setup.baseUrl')}
+                        className="w-full px-3 py-1 text-sm border border-gray-200 rounded bg-gray-50"
+                      />
+                    </div>
+                    {llmSettings.provider === 'proxy' && (
+                      <p className="text-xs text-gray-400">{t('setup.proxyProvider')}</p>
+                    )}
+                    {!['ollama', 'proxy'].includes(llmSettings.provider) && (
+                      <input
+                        type="password"
+                        value={apiKey}
+                        onChange={(e) => setApiKey(e.target.value)}
+                        placeholder={PROVIDERS[llmSettings.provider].requiresKey ? t('setup.apiKeyRequired') : t('setup.apiKeyOptional')}
+                        className="w-full px-3 py-1 text-sm border border-gray-200 rounded bg-gray-50"
+                      />
+                    )}
+                  </>
+                )}
               </div>
             )}
           </div>
 
           <button
-            onClick={startInterview}
+            onClick={() => openLobby(getSetupConfig())}
             disabled={loading}
             className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-semibold py-3 rounded-lg shadow-md transition-all flex items-center justify-center space-x-2 mt-4"
           >
             {loading ? <RefreshCw className="w-5 h-5 animate-spin" /> : <Play className="w-5 h-5" />}
-            <span>Start Video Interview</span>
+            <span>{t('setup.start')}</span>
+          </button>
+
+          <button
+            onClick={() => setScreen('history')}
+            className="w-full text-sm text-gray-500 hover:text-indigo-600 flex items-center justify-center"
+          >
+            <HistoryIcon className="w-4 h-4 mr-1" />
+            {t('setup.pastInterviews')}
           </button>
         </div>
       </div>
     </div>
   );
 
+  const renderLobbyScreen = () => {
+    const speechCheck = getSpeechCheck();
+    const checks = { ...lobbyChecks, speech: speechCheck };
+    const isReady = Object.values(checks).every(c => c.status === 'ok' || c.status === 'skipped');
+    const heard = `${currentInput} ${interimInput}`.trim();
+
+    const describeCheck = (name, check) => {
+      switch (name) {
+        case 'camera':
+          return check.status === 'failed' ? t(`lobby.media.${check.code}`) : null;
+        case 'mic':
+          if (check.status === 'checking') return t('lobby.micPrompt');
+          if (check.status === 'failed') return check.code === 'silent' ? t('lobby.micSilent') : t(`lobby.media.${check.code}`);
+          return null;
+        case 'speech':
+          if (check.status === 'failed') return t(`speech.error.${check.code}`);
+          if (check.status === 'skipped') return check.code === 'unsupported' ? t('speech.unsupportedHint') : t('lobby.typedAnswers');
+          if (check.status === 'ok') return t('lobby.speechOk');
+          return null;
+        case 'api':
+          if (check.status === 'checking') return t('lobby.apiChecking', { model: llmSettings.model || PROVIDERS[llmSettings.provider].label });
+          if (check.status === 'ok') return t('lobby.apiOk', { model: llmSettings.model || PROVIDERS[llmSettings.provider].label, ms: check.ms });
+          return t(`lobby.api.${check.code}`, { model: llmSettings.model, url: llmSettings.baseUrl, message: check.message });
+        default:
+          return null;
+      }
+    };
+
+    // Retry and skip buttons for each check; the API can't be skipped, only fixed in setup
+    const checkActions = {
+      camera: {
+        retry: retryDevices,
+        skip: () => {
+          setIsVideoEnabled(false);
+          skipLobbyChecks('camera');
+        },
+        skipLabel: t('lobby.skipCamera')
+      },
+      mic: { retry: retryDevices, skip: () => skipLobbyChecks('mic', 'speech'), skipLabel: t('lobby.skipMic') },
+      speech: { retry: () => recognitionRef.current?.retry(), skip: () => skipLobbyChecks('speech'), skipLabel: t('lobby.skipSpeech') },
+      api: { retry: checkConnection }
+    };
+
+    const rows = [
+      { name: 'camera', label: t('lobby.camera'), icon: Video },
+      { name: 'mic', label: t('lobby.microphone'), icon: Mic },
+      { name: 'speech', label: t('lobby.speech'), icon: Languages },
+      { name: 'api', label: t('lobby.api'), icon: Cpu },
+    ];
+
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-50 to-blue-100 flex items-center justify-center p-4">
+        <div className="bg-white rounded-2xl shadow-xl w-full max-w-4xl p-8 space-y-6">
+          <div>
+            <h2 className="text-2xl font-bold text-gray-800">{t('lobby.title')}</h2>
+            <p className="text-gray-500 text-sm mt-1">{t('lobby.subtitle')}</p>
+          </div>
+
+          <div className="grid md:grid-cols-2 gap-6">
+            {/* Camera preview and mic meter */}
+            <div className="space-y-3">
+              <div className="aspect-video bg-gray-900 rounded-xl overflow-hidden flex items-center justify-center">
+                {isVideoEnabled && isStreamReady ? (
+                  <video
+                    ref={videoRef}
+                    autoPlay
+                    muted
+                    playsInline
+                    className="w-full h-full object-cover transform scale-x-[-1]"
+                  />
+                ) : (
+                  <div className="flex flex-col items-center text-gray-500">
+                    <VideoOff className="w-10 h-10 mb-2" />
+                    <p className="text-sm">{t('interview.cameraOff')}</p>
+                  </div>
+                )}
+              </div>
+              <div className="flex items-center space-x-2">
+                <Mic className="w-4 h-4 text-gray-400" />
+                <div className="flex-1 h-2 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full transition-all duration-75 ${lobbyChecks.mic.status === 'ok' ? 'bg-green-500' : 'bg-indigo-400'}`}
+                    style={{ width: `${micLevel * 100}%` }}
+                  />
+                </div>
+              </div>
+            </div>
+
+            {/* Checks */}
+            <div className="space-y-4">
+              {rows.map(row => {
+                const { name } = row;
+                const check = checks[name];
+                const actions = checkActions[name];
+                const detail = describeCheck(name, check);
+                const canSkip = actions.skip && (check.status === 'failed' || (name === 'speech' && check.status === 'checking'));
+                return (
+                  <div key={name} className="flex items-start space-x-3">
+                    <div className="mt-0.5">{LOBBY_STATUS_ICONS[check.status]}</div>
+                    <div className="flex-1 min-w-0">
+                      <div className="flex items-center text-sm font-semibold text-gray-700">
+                        <row.icon className="w-4 h-4 mr-1.5 text-gray-400" />
+                        {row.label}
+                      </div>
+                      {detail && (
+                        <p className={`text-xs mt-0.5 ${check.status === 'failed' ? 'text-red-600' : 'text-gray-500'}`}>{detail}</p>
+                      )}
+                      {name === 'speech' && check.status === 'checking' && (
+                        <div className="mt-1 text-xs text-gray-600">
+                          <p>{t('lobby.speechPrompt')}</p>
+                          <p className="font-medium text-indigo-700 my-1">&ldquo;{t('lobby.testPhrase')}&rdquo;</p>
+                          {heard && <p className="text-gray-400 italic">{t('lobby.heard', { text: heard })}</p>}
+                        </div>
+                      )}
+                      {(check.status === 'failed' || canSkip) && (
+                        <div className="flex items-center space-x-3 mt-1.5">
+                          {check.status === 'failed' && (
+                            <button
+                              onClick={actions.retry}
+                              className="flex items-center text-xs font-medium text-indigo-600 hover:text-indigo-800"
+                            >
+                              <RotateCcw className="w-3 h-3 mr-1" />
+                              {t('lobby.retry')}
+                            </button>
+                          )}
+                          {canSkip && (
+                            <button
+                              onClick={actions.skip}
+                              className="text-xs text-gray-500 hover:text-gray-700 underline"
+                            >
+                              {actions.skipLabel}
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div className="flex items-center justify-between border-t border-gray-100 pt-4">
+            <button
+              onClick={() => setScreen('setup')}
+              className="flex items-center text-sm text-gray-500 hover:text-indigo-600"
+            >
+              <ArrowLeft className="w-4 h-4 mr-1" />
+              {t('lobby.back')}
+            </button>
+            <div className="flex items-center space-x-4">
+              <p className="text-xs text-gray-500 hidden sm:block">{isReady ? t('lobby.ready') : t('lobby.pending')}</p>
+              <button
+                onClick={confirmLobby}
+                disabled={!isReady || loading}
+                className="bg-indigo-600 hover:bg-indigo-700 disabled:opacity-50 disabled:cursor-not-allowed text-white font-semibold px-6 py-2.5 rounded-lg shadow-md transition-all flex items-center space-x-2"
+              >
+                <Play className="w-4 h-4" />
+                <span>{t('lobby.start')}</span>
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   const renderInterviewScreen = () => {
     // Get the last question from the bot
-    const lastQuestion = chatHistory.filter(m => m.role === 'bot').slice(-1)[0]?.text;
+    const lastBotMessage = chatHistory.filter(m => m.role === 'bot').slice(-1)[0];
+    const lastQuestion = lastBotMessage?.text;
+    const config = sessionInfo?.config || getSetupConfig();
+    // While a turn is generated the overlay already shows who is about to speak
+    const interviewPanel = resolvePanel(config);
+    const speakerIndex = loading && !isGeneratingFeedback ? pendingPersona : lastBotMessage?.persona;
+    const speaker = interviewPanel && speakerIndex !== null && speakerIndex !== undefined ? interviewPanel.personas[speakerIndex] : null;
+    const speakerStyle = speaker ? getPersonaStyle(speakerIndex) : null;
+    const position = getPlanPosition(resolvePlan(config), questionCount);
+    const secondsLeft = (config.timeLimit || DEFAULT_TIME_LIMIT) * 60 - elapsedTime;
+    const activeRound = position.phase?.kind === 'coding'
+      ? codingRounds.find(r => r.questionIndex === questionCount)
+      : null;
+    // Muting or typing overrides what the recognizer reports; errors and missing support don't
+    const speechState = ['unsupported', 'error'].includes(recognitionStatus.state) ? recognitionStatus.state
+      : !isMicEnabled ? 'muted' : isTypingAnswer ? 'typing' : recognitionStatus.state;
+    const showTypedInput = isTypingAnswer || speechState === 'unsupported' || speechState === 'error';
 
     return (
       <div className="fixed inset-0 bg-gray-900 flex flex-col">
-        {/* Main Video Area */}
-        <div className="relative flex-1 bg-black overflow-hidden flex items-center justify-center">
-          {/* User Video Feed */}
-          {isVideoEnabled ? (
-            <video
-              ref={videoRef}
-              autoPlay
-              muted
-              playsInline
-              className="w-full h-full object-cover transform scale-x-[-1]" // Mirror effect
-            />
-          ) : (
-            <div className="flex flex-col items-center justify-center text-gray-500">
-              <div className="w-24 h-24 bg-gray-800 rounded-full flex items-center justify-center mb-4">
-                <User className="w-12 h-12" />
+        <div className="flex-1 flex overflow-hidden">
+          {/* Main Video Area */}
+          <div className="relative flex-1 bg-black overflow-hidden flex items-center justify-center">
+            {/* User Video Feed */}
+            {isVideoEnabled ? (
+              <video
+                ref={videoRef}
+                autoPlay
+                muted
+                playsInline
+                className="w-full h-full object-cover transform scale-x-[-1]" // Mirror effect
+              />
+            ) : (
+              <div className="flex flex-col items-center justify-center text-gray-500">
+                <div className="w-24 h-24 bg-gray-800 rounded-full flex items-center justify-center mb-4">
+                  <User className="w-12 h-12" />
+                </div>
+                <p>{t('interview.cameraOff')}</p>
+              </div>
+            )}
+
+            {/* AI Question Overlay (Top Left) */}
+            <div className="absolute top-6 left-6 right-6 md:right-auto md:max-w-xl z-20">
+              <div className="bg-gray-900/90 backdrop-blur-sm p-6 rounded-2xl shadow-2xl border border-gray-700 animate-fade-in-down">
+                <div className="flex items-start space-x-4">
+                  {speaker ? (
+                    <div className={`${speakerStyle.avatar} w-10 h-10 rounded-full flex items-center justify-center shrink-0 text-white text-sm font-bold`}>
+                      {getInitials(speaker.name)}
+                    </div>
+                  ) : (
+                    <div className="bg-indigo-600 p-2 rounded-lg shrink-0">
+                      <Bot className="w-6 h-6 text-white" />
+                    </div>
+                  )}
+                  <div className="flex-1">
+                    <div className="flex items-center justify-between mb-1">
+                      <h3 className={`${speaker ? speakerStyle.text : 'text-indigo-300'} text-xs font-bold uppercase tracking-wider`}>
+                        {speaker ? describePersona(speaker) : t('interview.interviewer')}
+                      </h3>
+                      {loading && !isGeneratingFeedback && (
+                        <button
+                          onClick={stopGenerating}
+                          className="flex items-center text-xs text-gray-400 hover:text-white"
+                        >
+                          <Square className="w-3 h-3 mr-1" />
+                          {t('interview.stop')}
+                        </button>
+                      )}
+                    </div>
+                    <p className="text-white text-lg font-medium leading-relaxed">
+                      {loading && streamingText ? (
+                        <span>
+                          {streamingText}
+                          <span className="inline-block w-2 h-5 ml-1 align-middle bg-indigo-400 animate-pulse" />
+                        </span>
+                      ) : loading && retryStatus ? (
+                        <span className="flex items-center gap-2 text-amber-300 text-base">
+                          <RefreshCw className="w-4 h-4 animate-spin shrink-0" />
+                          {retryStatus.delayMs === null
+                            ? t('interview.waitingForNetwork')
+                            : t('interview.retrying', {
+                              reason: t(`apiError.${retryStatus.kind}`),
+                              seconds: Math.ceil(retryStatus.delayMs / 1000),
+                              attempt: retryStatus.attempt,
+                              max: retryStatus.maxAttempts
+                            })}
+                        </span>
+                      ) : loading ? (
+                        <span className="flex items-center gap-2 text-gray-400">
+                          <RefreshCw className="w-4 h-4 animate-spin" />
+                          {isGeneratingFeedback ? t('interview.generatingFeedback') : isAssessing ? t('interview.assessingAnswer') : t('interview.generatingQuestion')}
+                        </span>
+                      ) : lastQuestion}
+                    </p>
+                  </div>
+                </div>
               </div>
-              <p>Camera Off</p>
             </div>
-          )}
 
-          {/* AI Question Overlay (Top Left) */}
-          <div className="absolute top-6 left-6 right-6 md:right-auto md:max-w-xl z-20">
-            <div className="bg-gray-900/90 backdrop-blur-sm p-6 rounded-2xl shadow-2xl border border-gray-700 animate-fade-in-down">
-              <div className="flex items-start space-x-4">
-                <div className="bg-indigo-600 p-2 rounded-lg shrink-0">
-                  <Bot className="w-6 h-6 text-white" />
+            {/* Timer Overlay (Top Right) */}
+            <div className="absolute top-6 right-6 z-20 flex flex-col items-end space-y-2">
+              {!isOnline && (
+                <div className="flex items-center px-3 py-1 rounded-full text-xs font-bold bg-amber-500/90 text-white">
+                  <WifiOff className="w-3 h-3 mr-2" />
+                  {t('interview.offline')}
                 </div>
-                <div>
-                  <h3 className="text-indigo-300 text-xs font-bold uppercase tracking-wider mb-1">Interviewer</h3>
-                  <p className="text-white text-lg font-medium leading-relaxed">
-                    {loading ? (
-                      <span className="flex items-center gap-2 text-gray-400">
-                        <RefreshCw className="w-4 h-4 animate-spin" />
-                        {isGeneratingFeedback ? "Generating Feedback Report..." : "Generating next question..."}
-                      </span>
-                    ) : lastQuestion}
-                  </p>
+              )}
+              {isRecording && (
+                <div className="flex items-center px-3 py-1 rounded-full text-xs font-bold bg-red-600/90 text-white">
+                  <span className="w-2 h-2 rounded-full bg-white mr-2 animate-pulse" />
+                  {t('interview.rec')}
+                </div>
+              )}
+              {recordingInterrupted && (
+                <div className="flex items-center px-3 py-1 rounded-full text-xs font-bold bg-amber-500/90 text-white">
+                  {t('interview.recordingInterrupted')}
                 </div>
+              )}
+              <div className="flex items-center px-3 py-1 rounded-full text-xs backdrop-blur-md border bg-black/50 border-gray-600 text-gray-200">
+                <span className={`w-2 h-2 rounded-full mr-2 ${SPEECH_STATUS_COLORS[speechState] || 'bg-gray-500'}`} />
+                {t(`speech.${speechState}`)}
+              </div>
+              <div className={`flex items-center space-x-2 px-4 py-2 rounded-full backdrop-blur-md border ${timer > 120 ? 'bg-red-500/80 border-red-400 text-white' : 'bg-black/50 border-gray-600 text-gray-200'}`}>
+                <Clock className="w-4 h-4" />
+                <span className="font-mono font-medium">{formatTime(timer)}</span>
+              </div>
+              <div className={`px-3 py-1 rounded-full text-xs backdrop-blur-md border ${secondsLeft <= 60 ? 'bg-red-500/80 border-red-400 text-white' : 'bg-black/50 border-gray-600 text-gray-300'}`}>
+                {secondsLeft > 0 ? t('interview.timeLeft', { time: formatTime(secondsLeft) }) : t('interview.timeUp')}
               </div>
             </div>
-          </div>
 
-          {/* Timer Overlay (Top Right) */}
-          <div className="absolute top-6 right-6 z-20">
-            <div className={`flex items-center space-x-2 px-4 py-2 rounded-full backdrop-blur-md border ${timer > 120 ? 'bg-red-500/80 border-red-400 text-white' : 'bg-black/50 border-gray-600 text-gray-200'}`}>
-              <Clock className="w-4 h-4" />
-              <span className="font-mono font-medium">{formatTime(timer)}</span>
+            {/* Delivery HUD (Bottom Left) */}
+            {isTimerRunning && liveDelivery?.words > 0 && (
+              <div className="absolute bottom-6 left-6 z-20 flex items-center space-x-3 px-3 py-1.5 rounded-full text-xs text-gray-300 bg-black/40 backdrop-blur-sm">
+                <span className={liveDelivery.wpm && (liveDelivery.wpm < PACE_RANGE.min || liveDelivery.wpm > PACE_RANGE.max) ? 'text-amber-300' : ''}>
+                  {t('delivery.wpm', { wpm: liveDelivery.wpm ?? '--' })}
+                </span>
+                <span className={liveDelivery.fillerCount > 3 ? 'text-amber-300' : ''}>
+                  {t('delivery.fillers', { count: liveDelivery.fillerCount })}
+                </span>
+                <span>{t('delivery.longPauses', { count: liveDelivery.longPauses })}</span>
+              </div>
+            )}
+
+            {/* Transcript / Subtitles Overlay (Bottom) */}
+            <div className="absolute bottom-24 left-0 right-0 px-8 flex justify-center z-20">
+              <div className="max-w-3xl w-full text-center space-y-3">
+                {recognitionStatus.state === 'error' && (
+                  <div className="inline-flex items-center bg-red-600/90 text-white text-sm px-4 py-2 rounded-xl shadow-lg">
+                    <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+                    <span className="text-left">{t(`speech.error.${recognitionStatus.error}`)}</span>
+                    <button
+                      onClick={() => recognitionRef.current?.retry()}
+                      className="ml-3 px-2 py-0.5 rounded bg-white/20 hover:bg-white/30 font-medium"
+                    >
+                      {t('speech.retry')}
+                    </button>
+                  </div>
+                )}
+                {failedTurn && !loading && (
+                  <div className="inline-flex items-center bg-red-600/90 text-white text-sm px-4 py-2 rounded-xl shadow-lg" title={failedTurn.message}>
+                    <AlertTriangle className="w-4 h-4 mr-2 shrink-0" />
+                    <span className="text-left">
+                      {t(failedTurn.stage === 'opening' ? 'interview.openingFailed' : 'interview.turnFailed', { reason: t(`apiError.${failedTurn.kind}`) })}
+                    </span>
+                    <button
+                      onClick={retryTurn}
+                      className="ml-3 px-2 py-0.5 rounded bg-white/20 hover:bg-white/30 font-medium whitespace-nowrap"
+                    >
+                      {t('interview.retryTurn')}
+                    </button>
+                  </div>
+                )}
+                {showTypedInput ? (
+                  <div>
+                    <textarea
+                      value={currentInput}
+                      onChange={(e) => setCurrentInput(e.target.value)}
+                      onKeyDown={(e) => {
+                        if (e.key === 'Enter' && !e.shiftKey) {
+                          e.preventDefault();
+                          if (!loading) handleSendMessage();
+                        }
+                      }}
+                      disabled={loading}
+                      rows={3}
+                      autoFocus
+                      placeholder={t('interview.typeAnswer')}
+                      className="w-full bg-black/60 backdrop-blur-sm px-4 py-3 rounded-xl text-white shadow-lg border border-gray-600 focus:outline-none focus:ring-2 focus:ring-indigo-500 resize-none placeholder-gray-400"
+                    />
+                    <p className="text-xs text-gray-400 text-right mt-1">{t('interview.typingHint')}</p>
+                  </div>
+                ) : (
+                  <>
+                    {(currentInput || interimInput) && (
+                      <div className="inline-block bg-black/60 backdrop-blur-sm px-6 py-3 rounded-xl text-white text-lg font-medium shadow-lg transition-all">
+                        {currentInput} <span className="text-gray-400">{interimInput}</span>
+                      </div>
+                    )}
+                    {isBotSpeaking && !currentInput && !interimInput && (
+                      <p className="text-gray-400 text-sm">{t('interview.botSpeaking')}</p>
+                    )}
+                    {speechState === 'listening' && !currentInput && !interimInput && !loading && !isBotSpeaking && (
+                      <p className="text-gray-400 text-sm animate-pulse">{t('interview.listening')}</p>
+                    )}
+                  </>
+                )}
+              </div>
             </div>
           </div>
 
-          {/* Transcript / Subtitles Overlay (Bottom) */}
-          <div className="absolute bottom-24 left-0 right-0 px-8 flex justify-center z-20">
-            <div className="max-w-3xl text-center">
-              {(currentInput || interimInput) && (
-                <div className="inline-block bg-black/60 backdrop-blur-sm px-6 py-3 rounded-xl text-white text-lg font-medium shadow-lg transition-all">
-                  {currentInput} <span className="text-gray-400">{interimInput}</span>
-                </div>
+          {/* Coding Round: video and editor side by side */}
+          {activeRound && (
+            <CodingPanel
+              round={activeRound}
+              onCodeChange={(code) => updateCode(activeRound, code)}
+              onRun={() => runCode(activeRound)}
+              onSubmit={() => submitCode(activeRound)}
+              isRunning={isRunningCode}
+              disabled={loading}
+              t={t}
+            />
+          )}
+
+          {/* Whiteboard: opens automatically for system design, toggled from the control bar */}
+          {!activeRound && isWhiteboardOpen && (
+            <div className="w-full md:w-1/2 flex flex-col bg-gray-900 border-l border-gray-800 p-4 overflow-hidden">
+              <Whiteboard diagram={diagram} onChange={setDiagram} disabled={loading} t={t} />
+              <p className="text-xs text-gray-500 mt-2">{t('interview.diagramShared')}</p>
+            </div>
+          )}
+
+          {/* Context Debug Panel: what the model is sent, toggled from the control bar */}
+          {isContextPanelOpen && (
+            <div className="w-72 shrink-0 flex flex-col bg-gray-900 border-l border-gray-800 p-4 overflow-y-auto text-xs text-gray-300 space-y-4">
+              <h3 className="font-bold text-gray-100 flex items-center">
+                <Gauge className="w-4 h-4 mr-2 text-indigo-400" />
+                {t('context.title')}
+              </h3>
+              {contextUsage && (
+                <dl className="grid grid-cols-2 gap-y-1">
+                  {[
+                    { label: t('context.sent'), value: contextUsage.total, strong: true },
+                    { label: t('context.system'), value: contextUsage.system - contextUsage.notes },
+                    { label: t('context.notes'), value: contextUsage.notes },
+                    { label: t('context.recent', { count: contextUsage.recentMessages }), value: contextUsage.recent },
+                    { label: t('context.fullHistory'), value: contextUsage.fullHistory },
+                  ].map(row => (
+                    <React.Fragment key={row.label}>
+                      <dt className={row.strong ? 'font-semibold text-gray-100' : 'text-gray-400'}>{row.label}</dt>
+                      <dd className={`text-right font-mono ${row.strong ? 'font-semibold text-gray-100' : ''}`}>~{formatTokens(row.value)}</dd>
+                    </React.Fragment>
+                  ))}
+                </dl>
               )}
-              {isMicEnabled && !currentInput && !interimInput && !loading && (
-                <p className="text-gray-400 text-sm animate-pulse">Listening...</p>
+              {isCompacting && (
+                <p className="flex items-center text-amber-300">
+                  <RefreshCw className="w-3 h-3 mr-2 animate-spin" />
+                  {t('context.compacting')}
+                </p>
               )}
+              <div>
+                <h4 className="font-semibold text-gray-400 uppercase tracking-wider mb-1">{t('context.notes')}</h4>
+                {interviewNotes ? (
+                  <>
+                    <p className="text-gray-500 mb-1">{t('context.summarized', { count: interviewNotes.coveredCount })}</p>
+                    <p className="p-2 bg-gray-800 rounded-lg whitespace-pre-wrap text-gray-300">{interviewNotes.text}</p>
+                  </>
+                ) : (
+                  <p className="text-gray-500">{t('context.noNotes', { budget: formatTokens(CONTEXT_TOKEN_BUDGET) })}</p>
+                )}
+              </div>
+              <div>
+                <h4 className="font-semibold text-gray-400 uppercase tracking-wider mb-1">{t('context.perMessage')}</h4>
+                <ul className="space-y-0.5">
+                  {chatHistory.filter(m => m.role !== 'system_hidden').map((msg, i) => (
+                    <li key={i} className={`flex justify-between ${i < (interviewNotes?.coveredCount || 0) ? 'text-gray-600 line-through' : ''}`}>
+                      <span className="truncate mr-2">{i + 1}. {msg.role === 'bot' ? t('interview.interviewer') : t('context.candidate')}</span>
+                      <span className="font-mono">~{formatTokens(estimateMessageTokens(toModelMessages([msg])[0]))}</span>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+              <p className="text-gray-500">{t('context.estimateHint')}</p>
             </div>
-          </div>
+          )}
         </div>
 
         {/* Control Bar */}
@@ -513,7 +2570,22 @@ const MockInterviewBot = () => {
           <div className="flex items-center space-x-4">
             <div className="text-white text-sm">
               <p className="font-bold">{role}</p>
-              <p className="text-gray-400 text-xs">Question {questionCount + 1}</p>
+              <p className="text-gray-400 text-xs">
+                {position.done
+                  ? t('interview.wrappingUp')
+                  : t('interview.position', {
+                    phase: position.phase.label || [t(`phase.${position.phase.kind}`), position.phase.competency && t(`competency.${position.phase.competency}`)].filter(Boolean).join(': '),
+                    current: position.questionInPhase,
+                    total: position.phase.questions,
+                    difficulty: t(`difficulty.${difficulty}`)
+                  })}
+              </p>
+              <div className="w-40 h-1 bg-gray-700 rounded-full mt-1 overflow-hidden">
+                <div
+                  className="h-full bg-indigo-500 transition-all"
+                  style={{ width: `${Math.min(100, (position.answered / position.total) * 100)}%` }}
+                />
+              </div>
             </div>
           </div>
 
@@ -532,9 +2604,35 @@ const MockInterviewBot = () => {
               {isVideoEnabled ? <Video className="w-5 h-5" /> : <VideoOff className="w-5 h-5" />}
             </button>
 
+            {recognitionStatus.state !== 'unsupported' && (
+              <button
+                onClick={() => setIsTypingAnswer(!isTypingAnswer)}
+                title={t('interview.typeInstead')}
+                className={`p-4 rounded-full transition-all ${isTypingAnswer ? 'bg-indigo-600 text-white hover:bg-indigo-500' : 'bg-gray-700 text-white hover:bg-gray-600'}`}
+              >
+                <Keyboard className="w-5 h-5" />
+              </button>
+            )}
+
+            <button
+              onClick={() => setIsWhiteboardOpen(!isWhiteboardOpen)}
+              title={t('interview.whiteboard')}
+              className={`p-4 rounded-full transition-all ${isWhiteboardOpen ? 'bg-indigo-600 text-white hover:bg-indigo-500' : 'bg-gray-700 text-white hover:bg-gray-600'}`}
+            >
+              <PenTool className="w-5 h-5" />
+            </button>
+
+            <button
+              onClick={() => setIsContextPanelOpen(!isContextPanelOpen)}
+              title={t('context.title')}
+              className={`p-4 rounded-full transition-all ${isContextPanelOpen ? 'bg-indigo-600 text-white hover:bg-indigo-500' : 'bg-gray-700 text-white hover:bg-gray-600'}`}
+            >
+              <Gauge className="w-5 h-5" />
+            </button>
+
             <button
               onClick={() => {
-                if (confirm("End interview?")) endInterview();
+                if (confirm(t('interview.confirmEnd'))) endInterview();
               }}
               className="p-4 rounded-full bg-red-600 text-white hover:bg-red-700 transition-all"
             >
@@ -544,11 +2642,11 @@ const MockInterviewBot = () => {
 
           <div className="flex items-center justify-end w-48">
             <button
-              onClick={handleSendMessage}
+              onClick={() => handleSendMessage()}
               disabled={loading || (!currentInput && !interimInput)}
               className="bg-indigo-600 hover:bg-indigo-500 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-full font-bold flex items-center shadow-lg transition-all"
             >
-              <span>Submit Answer</span>
+              <span>{t('interview.submit')}</span>
               <Send className="w-4 h-4 ml-2" />
             </button>
           </div>
@@ -557,7 +2655,56 @@ const MockInterviewBot = () => {
     );
   };
 
+  const renderFeedbackError = () => (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-2xl mx-auto bg-white p-8 rounded-2xl shadow-xl border border-red-100 animate-fade-in">
+        <div className="flex items-start space-x-4">
+          <div className="bg-red-100 p-2 rounded-lg shrink-0">
+            <XCircle className="w-6 h-6 text-red-600" />
+          </div>
+          <div className="flex-1">
+            <h2 className="text-xl font-bold text-gray-800">{t('feedback.errorTitle')}</h2>
+            <p className="text-gray-600 text-sm mt-2">{feedbackError.message}</p>
+            {feedbackError.details.length > 0 && (
+              <ul className="mt-3 space-y-1 text-xs text-gray-500 font-mono bg-gray-50 p-3 rounded-lg border border-gray-100">
+                {feedbackError.details.slice(0, 5).map((detail, i) => (
+                  <li key={i}>{detail}</li>
+                ))}
+              </ul>
+            )}
+            <p className="text-gray-500 text-sm mt-3">{t('feedback.errorHint')}</p>
+          </div>
+        </div>
+
+        <div className="flex justify-end space-x-3 mt-6">
+          <button
+            onClick={downloadTranscript}
+            className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+          >
+            <FileText className="w-4 h-4 mr-2" />
+            {t('common.transcript')}
+          </button>
+          <button
+            onClick={leaveFailedReport}
+            className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+          >
+            {t('common.newInterview')}
+          </button>
+          <button
+            onClick={() => generateFeedback()}
+            disabled={isGeneratingFeedback}
+            className="flex items-center px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 disabled:opacity-50 shadow-sm"
+          >
+            <RefreshCw className={`w-4 h-4 mr-2 ${isGeneratingFeedback ? 'animate-spin' : ''}`} />
+            {isGeneratingFeedback ? t('feedback.retrying') : t('feedback.retry')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
   const renderFeedbackScreen = () => {
+    if (feedbackError) return renderFeedbackError();
     if (!feedbackReport) return null;
 
     return (
@@ -566,42 +2713,83 @@ const MockInterviewBot = () => {
           <div className="flex items-center justify-between mb-6">
             <h2 className="text-2xl font-bold text-gray-800 flex items-center">
               <Award className="w-6 h-6 mr-2 text-yellow-500" />
-              Interview Analysis
+              {t('feedback.title')}
             </h2>
             <div className="flex space-x-3">
               <button
-                onClick={downloadTranscript}
+                onClick={() => setScreen('history')}
                 className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
               >
-                <FileText className="w-4 h-4 mr-2" />
-                Transcript
+                <HistoryIcon className="w-4 h-4 mr-2" />
+                {t('common.history')}
               </button>
               <button
                 onClick={() => setScreen('setup')}
                 className="flex items-center px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 shadow-sm"
               >
                 <RefreshCw className="w-4 h-4 mr-2" />
-                New Interview
+                {t('common.newInterview')}
               </button>
             </div>
           </div>
 
+          <div className="flex flex-wrap items-center gap-2 -mt-4">
+            <span className="text-xs font-semibold text-gray-500 uppercase tracking-wider mr-1">{t('feedback.export')}</span>
+            <button onClick={() => exportReport('pdf')} title={t('feedback.exportPdf')} className="flex items-center px-3 py-1.5 text-xs bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700">
+              <Printer className="w-3.5 h-3.5 mr-1" />PDF
+            </button>
+            <button onClick={() => exportReport('markdown')} title={t('feedback.exportMarkdown')} className="flex items-center px-3 py-1.5 text-xs bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700">
+              <Download className="w-3.5 h-3.5 mr-1" />Markdown
+            </button>
+            <button onClick={() => exportReport('json')} title={t('feedback.exportJson')} className="flex items-center px-3 py-1.5 text-xs bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700">
+              <Download className="w-3.5 h-3.5 mr-1" />JSON
+            </button>
+            <button onClick={downloadTranscript} className="flex items-center px-3 py-1.5 text-xs bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700">
+              <FileText className="w-3.5 h-3.5 mr-1" />{t('common.transcript')}
+            </button>
+          </div>
+
           <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
             <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 md:col-span-2">
-              <h3 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-2">Executive Summary</h3>
+              <h3 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-2">{t('feedback.summary')}</h3>
               <p className="text-gray-800 leading-relaxed">{feedbackReport.summary}</p>
             </div>
             <div className="bg-gradient-to-br from-indigo-500 to-purple-600 p-6 rounded-2xl shadow-lg text-white flex flex-col items-center justify-center">
               <div className="text-5xl font-bold mb-2">{feedbackReport.rating}</div>
-              <div className="text-indigo-100 text-sm font-medium">Overall Rating</div>
+              <div className="text-indigo-100 text-sm font-medium">{t('feedback.rating')}</div>
             </div>
           </div>
 
+          {feedbackReport.competencies?.length > 0 && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+              <h3 className="font-bold text-gray-800 mb-4 flex items-center">
+                <Target className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.competencies')}
+              </h3>
+              <div className="divide-y divide-gray-100">
+                {feedbackReport.competencies.map(row => (
+                  <div key={row.competency} className="py-3 grid grid-cols-1 md:grid-cols-4 gap-2 md:gap-4 items-start">
+                    <div className="flex items-center justify-between md:block">
+                      <p className="font-semibold text-gray-800 text-sm">{t(`competency.${row.competency}`)}</p>
+                      <div className="flex items-center space-x-1 md:mt-1" title={row.rating ? `${row.rating}/5` : t('feedback.notAssessed')}>
+                        {[1, 2, 3, 4, 5].map(level => (
+                          <span key={level} className={`w-4 h-2 rounded-sm ${row.rating >= level ? 'bg-indigo-500' : 'bg-gray-200'}`} />
+                        ))}
+                        <span className="ml-2 text-xs font-bold text-indigo-600">{row.rating ? `${row.rating}/5` : '--'}</span>
+                      </div>
+                    </div>
+                    <p className="md:col-span-3 text-sm text-gray-700">{row.evidence || t('feedback.notAssessed')}</p>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
             <div className="bg-green-50 p-6 rounded-2xl border border-green-100">
               <h3 className="font-bold text-green-800 mb-4 flex items-center">
                 <span className="bg-green-200 p-1 rounded mr-2">👍</span>
-                Key Strengths
+                {t('feedback.strengths')}
               </h3>
               <ul className="space-y-2">
                 {feedbackReport.strengths.map((point, i) => (
@@ -615,7 +2803,7 @@ const MockInterviewBot = () => {
             <div className="bg-orange-50 p-6 rounded-2xl border border-orange-100">
               <h3 className="font-bold text-orange-800 mb-4 flex items-center">
                 <span className="bg-orange-200 p-1 rounded mr-2">📈</span>
-                Areas for Improvement
+                {t('feedback.improvements')}
               </h3>
               <ul className="space-y-2">
                 {feedbackReport.improvements.map((point, i) => (
@@ -627,11 +2815,232 @@ const MockInterviewBot = () => {
             </div>
           </div>
 
+          {feedbackReport.answers?.length > 0 && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+              <h3 className="font-bold text-gray-800 mb-4 flex items-center">
+                <FileText className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.breakdown')}
+              </h3>
+              <div className="divide-y divide-gray-100">
+                {feedbackReport.answers.map((item, i) => {
+                  const isExpanded = expandedAnswer === i;
+                  return (
+                    <div key={i} className="py-3">
+                      <button
+                        onClick={() => setExpandedAnswer(isExpanded ? null : i)}
+                        className="w-full flex items-center text-left"
+                      >
+                        {isExpanded ? <ChevronDown className="w-4 h-4 mr-2 text-gray-400 shrink-0" /> : <ChevronRight className="w-4 h-4 mr-2 text-gray-400 shrink-0" />}
+                        <span className="text-xs font-bold text-gray-400 mr-3">{t('feedback.questionNumber', { number: i + 1 })}</span>
+                        <span className="flex-1 text-sm text-gray-800 truncate">
+                          {item.followUp && <span className="text-xs text-indigo-500 mr-2">{t('feedback.followUp')}</span>}
+                          {item.competency && <span className="text-xs text-purple-600 mr-2">{t(`competency.${item.competency}`)}</span>}
+                          {feedbackReport.panel?.[item.persona] && (
+                            <span className="text-xs text-gray-500 mr-2">{feedbackReport.panel[item.persona].name}:</span>
+                          )}
+                          {item.question}
+                        </span>
+                        {item.star && (
+                          <span className="flex items-center space-x-0.5 ml-4 shrink-0" title={t('feedback.star')}>
+                            {STAR_PARTS.map(part => (
+                              <span key={part} className={`w-5 h-5 flex items-center justify-center rounded text-[10px] font-bold border ${STAR_COVERAGE_STYLES[item.star[part]]}`}>
+                                {part[0].toUpperCase()}
+                              </span>
+                            ))}
+                          </span>
+                        )}
+                        <span className="flex items-center text-xs text-gray-500 ml-4 shrink-0">
+                          <Clock className="w-3 h-3 mr-1" />
+                          {item.seconds !== null ? formatTime(item.seconds) : '--'}
+                        </span>
+                        <span className="ml-4 text-sm font-bold text-indigo-600 w-14 text-right shrink-0">{item.score}</span>
+                      </button>
+
+                      {isExpanded && (
+                        <div className="mt-3 ml-6 space-y-3 text-sm">
+                          <div>
+                            <h4 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-1">{t('feedback.question')}</h4>
+                            <p className="text-gray-800">{item.question}</p>
+                          </div>
+                          <div>
+                            <h4 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-1">{t('feedback.yourAnswer')}</h4>
+                            <p className="text-gray-700 p-3 bg-gray-50 rounded-lg border border-gray-100 whitespace-pre-wrap">{item.answer}</p>
+                          </div>
+                          {item.delivery && (
+                            <p className="text-xs text-gray-500">
+                              {t('feedback.delivery')} <span className="font-medium text-gray-700">{describeAnswerDelivery(item.delivery)}</span>
+                            </p>
+                          )}
+                          {item.decision && (
+                            <p className="text-xs text-gray-500">
+                              {t('feedback.nextMove')} <span className="font-medium text-gray-700">{t(`decision.${item.decision}`)}</span>
+                            </p>
+                          )}
+                          {item.star && (
+                            <div>
+                              <h4 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-1">{t('feedback.star')}</h4>
+                              <div className="flex flex-wrap gap-2">
+                                {STAR_PARTS.map(part => (
+                                  <span key={part} className={`px-2 py-1 rounded-full text-xs border ${STAR_COVERAGE_STYLES[item.star[part]]}`}>
+                                    {t(`star.${part}`)}: {t(`starCoverage.${item.star[part]}`)}
+                                  </span>
+                                ))}
+                              </div>
+                              {getMissingStarParts(item.star).length > 0 && (
+                                <p className="text-xs text-red-700 mt-2">
+                                  {t('feedback.starMissing', { parts: getMissingStarParts(item.star).map(part => t(`star.${part}`)).join(', ') })}
+                                </p>
+                              )}
+                            </div>
+                          )}
+                          {item.assessment && (
+                            <div>
+                              <h4 className="font-semibold text-gray-500 uppercase text-xs tracking-wider mb-1">{t('feedback.assessment')}</h4>
+                              <p className="text-gray-700">{item.assessment}</p>
+                            </div>
+                          )}
+                          {item.strong_answer && (
+                            <div>
+                              <h4 className="font-semibold text-green-700 uppercase text-xs tracking-wider mb-1">{t('feedback.strongAnswer')}</h4>
+                              <p className="text-gray-700 p-3 bg-green-50 rounded-lg border border-green-100">{item.strong_answer}</p>
+                            </div>
+                          )}
+                        </div>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          )}
+
+          <RecordingPlayback
+            sessionId={sessionInfo?.id}
+            transcript={chatHistory.filter(m => m.role !== 'system_hidden')}
+            t={t}
+          />
+
+          {feedbackReport.panel?.length > 0 && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-4">
+              <h3 className="font-bold text-gray-800 flex items-center">
+                <Users className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.panel')}
+              </h3>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {feedbackReport.panel.map(member => (
+                  <div key={member.index} className="p-4 rounded-xl border border-gray-100 bg-gray-50 space-y-2">
+                    <div className="flex items-center space-x-3">
+                      <div className={`${getPersonaStyle(member.index).avatar} w-9 h-9 rounded-full flex items-center justify-center shrink-0 text-white text-xs font-bold`}>
+                        {getInitials(member.name)}
+                      </div>
+                      <div className="flex-1 min-w-0">
+                        <p className="font-semibold text-gray-800 text-sm">{member.name}</p>
+                        {member.title && <p className="text-xs text-gray-500">{member.title}</p>}
+                      </div>
+                      {member.recommendation && (
+                        <span className={`px-2 py-0.5 rounded-full text-xs font-medium shrink-0 ${RECOMMENDATION_STYLES[member.recommendation]}`}>
+                          {t(`recommendation.${member.recommendation}`)}
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-sm text-gray-700 leading-relaxed">{member.assessment || t('feedback.noPanelAssessment')}</p>
+                    {member.concerns.length > 0 && (
+                      <ul className="space-y-1 text-sm">
+                        {member.concerns.map((item, i) => (
+                          <li key={i} className="flex items-start text-gray-700"><span className="mr-2 text-orange-500">•</span>{item}</li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {feedbackReport.jd_fit && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-4">
+              <h3 className="font-bold text-gray-800 flex items-center">
+                <Briefcase className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.jdFit')}
+              </h3>
+              <p className="text-gray-700 text-sm leading-relaxed">{feedbackReport.jd_fit.summary}</p>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-sm">
+                <div>
+                  <h4 className="font-semibold text-green-700 uppercase text-xs tracking-wider mb-2">{t('feedback.demonstrated')}</h4>
+                  <ul className="space-y-1">
+                    {feedbackReport.jd_fit.matched.map((item, i) => (
+                      <li key={i} className="flex items-start text-gray-700"><span className="mr-2 text-green-600">✓</span>{item}</li>
+                    ))}
+                  </ul>
+                </div>
+                <div>
+                  <h4 className="font-semibold text-orange-700 uppercase text-xs tracking-wider mb-2">{t('feedback.gaps')}</h4>
+                  <ul className="space-y-1">
+                    {feedbackReport.jd_fit.gaps.map((item, i) => (
+                      <li key={i} className="flex items-start text-gray-700"><span className="mr-2 text-orange-500">•</span>{item}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          )}
+
+          {feedbackReport.coding?.length > 0 && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-4">
+              <h3 className="font-bold text-gray-800 flex items-center">
+                <Code className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.coding')}
+              </h3>
+              {feedbackReport.coding.map((round, i) => (
+                <div key={i} className="space-y-2">
+                  <h4 className="font-semibold text-gray-700 text-sm">{round.problem.title}</h4>
+                  <pre className="p-3 bg-gray-900 text-gray-100 rounded-lg text-xs overflow-x-auto">{round.code}</pre>
+                  <div className="flex flex-wrap gap-2 text-xs">
+                    {round.runs.length === 0 && <span className="text-gray-400">{t('feedback.neverRun')}</span>}
+                    {round.runs.map((run, j) => {
+                      const { passed, total } = summarizeRun(run);
+                      return (
+                        <span
+                          key={j}
+                          className={`px-2 py-1 rounded-full border ${passed === total ? 'bg-green-50 border-green-200 text-green-700' : 'bg-red-50 border-red-200 text-red-700'}`}
+                        >
+                          {t(run.submitted ? 'feedback.runSubmitted' : 'feedback.run', { number: j + 1, passed, total })}
+                        </span>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
+              {feedbackReport.coding_analysis && (
+                <div className="p-4 bg-gray-50 rounded-xl text-gray-700 text-sm leading-relaxed border border-gray-100">
+                  {feedbackReport.coding_analysis}
+                </div>
+              )}
+            </div>
+          )}
+
+          {feedbackReport.diagram && (
+            <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-4">
+              <h3 className="font-bold text-gray-800 flex items-center">
+                <PenTool className="w-5 h-5 mr-2 text-indigo-500" />
+                {t('feedback.design')}
+              </h3>
+              <div className="h-80 flex">
+                <Whiteboard diagram={feedbackReport.diagram} readOnly t={t} />
+              </div>
+              {feedbackReport.design_analysis && (
+                <div className="p-4 bg-gray-50 rounded-xl text-gray-700 text-sm leading-relaxed border border-gray-100">
+                  {feedbackReport.design_analysis}
+                </div>
+              )}
+            </div>
+          )}
+
           <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200 space-y-6">
             <div>
               <h3 className="font-bold text-gray-800 mb-2 flex items-center">
                 <Cpu className="w-5 h-5 mr-2 text-indigo-500" />
-                Technical Assessment
+                {t(feedbackReport.competencies ? 'feedback.substance' : 'feedback.technical')}
               </h3>
               <div className="p-4 bg-gray-50 rounded-xl text-gray-700 text-sm leading-relaxed border border-gray-100">
                 {feedbackReport.technical_analysis}
@@ -641,8 +3050,24 @@ const MockInterviewBot = () => {
             <div>
               <h3 className="font-bold text-gray-800 mb-2 flex items-center">
                 <User className="w-5 h-5 mr-2 text-blue-500" />
-                Communication Style
+                {t('feedback.communication')}
               </h3>
+              {feedbackReport.delivery && (
+                <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-3">
+                  {[
+                    { label: t('feedback.pace'), value: feedbackReport.delivery.wpm ? t('delivery.wpm', { wpm: feedbackReport.delivery.wpm }) : '--', hint: t('feedback.paceHint', PACE_RANGE) },
+                    { label: t('feedback.fillerWords'), value: feedbackReport.delivery.fillerCount, hint: t('feedback.fillersHint', { rate: feedbackReport.delivery.fillersPer100Words }) },
+                    { label: t('feedback.longPauses'), value: feedbackReport.delivery.longPauses, hint: t('feedback.longPausesHint', { seconds: LONG_PAUSE_SECONDS }) },
+                    { label: t('feedback.firstWord'), value: feedbackReport.delivery.avgTimeToFirstWord !== null ? `${feedbackReport.delivery.avgTimeToFirstWord}s` : '--', hint: t('feedback.firstWordHint') },
+                  ].map(metric => (
+                    <div key={metric.label} className="p-3 bg-blue-50 rounded-xl border border-blue-100">
+                      <div className="text-xs text-blue-700 font-semibold uppercase tracking-wider">{metric.label}</div>
+                      <div className="text-xl font-bold text-gray-800">{metric.value}</div>
+                      <div className="text-xs text-gray-500">{metric.hint}</div>
+                    </div>
+                  ))}
+                </div>
+              )}
               <div className="p-4 bg-gray-50 rounded-xl text-gray-700 text-sm leading-relaxed border border-gray-100">
                 {feedbackReport.communication_analysis}
               </div>
@@ -653,11 +3078,197 @@ const MockInterviewBot = () => {
     );
   };
 
+  const renderHistoryScreen = () => (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-4xl mx-auto space-y-6 animate-fade-in">
+        <div className="flex items-center justify-between mb-6">
+          <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+            <HistoryIcon className="w-6 h-6 mr-2 text-indigo-500" />
+            {t('history.title')}
+          </h2>
+          <div className="flex space-x-3">
+            <button
+              onClick={() => setScreen('progress')}
+              className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+            >
+              <TrendingUp className="w-4 h-4 mr-2" />
+              {t('history.progress')}
+            </button>
+            <button
+              onClick={() => reportInputRef.current?.click()}
+              className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+              title={t('history.importHint')}
+            >
+              <Upload className="w-4 h-4 mr-2" />
+              {t('history.import')}
+            </button>
+            <input
+              ref={reportInputRef}
+              type="file"
+              accept=".json"
+              onChange={importReport}
+              className="hidden"
+            />
+            <button
+              onClick={() => setScreen('setup')}
+              className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+            >
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              {t('history.backToSetup')}
+            </button>
+          </div>
+        </div>
+
+        {reportImportError && (
+          <p className="text-sm text-red-600 whitespace-pre-line">{reportImportError}</p>
+        )}
+
+        {sessions.length === 0 ? (
+          <div className="bg-white p-12 rounded-2xl shadow-sm border border-gray-200 text-center text-gray-500">
+            {t('history.empty')}
+          </div>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map(session => {
+              const answered = session.timings.length;
+              const totalSeconds = session.timings.reduce((sum, timing) => sum + (timing.seconds || 0), 0);
+
+              return (
+                <div key={session.id} className="bg-white p-5 rounded-2xl shadow-sm border border-gray-200 flex items-center justify-between">
+                  <div>
+                    <p className="font-semibold text-gray-800">{session.config.role}</p>
+                    <p className="text-xs text-gray-500 mt-1">
+                      {new Date(session.createdAt).toLocaleString(uiLanguage)} · {getExperienceLabel(session.config.experience, t)} · {t('history.answers', { count: answered })} · {formatTime(totalSeconds)}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-3">
+                    <span className="text-lg font-bold text-indigo-600 mr-2">{session.feedback?.rating}</span>
+                    <button
+                      onClick={() => openSession(session)}
+                      className="flex items-center px-3 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700"
+                    >
+                      <FileText className="w-4 h-4 mr-1" />
+                      {t('history.report')}
+                    </button>
+                    <button
+                      onClick={() => rerunSession(session)}
+                      disabled={loading}
+                      className="flex items-center px-3 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-700"
+                    >
+                      <RotateCcw className="w-4 h-4 mr-1" />
+                      {t('history.rerun')}
+                    </button>
+                    <button
+                      onClick={() => removeSession(session)}
+                      className="p-2 text-gray-400 hover:text-red-600"
+                      title={t('history.delete')}
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+
+  const renderProgressScreen = () => {
+    const trends = buildRatingTrends(sessions);
+    const weaknesses = clusterImprovements(sessions);
+    const recurring = weaknesses.filter(w => w.sessionCount > 1);
+
+    return (
+      <div className="min-h-screen bg-gray-50 py-12 px-4">
+        <div className="max-w-4xl mx-auto space-y-6 animate-fade-in">
+          <div className="flex items-center justify-between mb-6">
+            <h2 className="text-2xl font-bold text-gray-800 flex items-center">
+              <TrendingUp className="w-6 h-6 mr-2 text-indigo-500" />
+              {t('progress.title')}
+            </h2>
+            <button
+              onClick={() => setScreen('history')}
+              className="flex items-center px-4 py-2 text-sm bg-white border border-gray-300 rounded-lg hover:bg-gray-50 text-gray-700 shadow-sm"
+            >
+              <ArrowLeft className="w-4 h-4 mr-2" />
+              {t('progress.back')}
+            </button>
+          </div>
+
+          {trends.length === 0 ? (
+            <div className="bg-white p-12 rounded-2xl shadow-sm border border-gray-200 text-center text-gray-500">
+              {t('progress.empty')}
+            </div>
+          ) : trends.map(trend => {
+            const scores = trend.points.map(p => p.score);
+            const average = scores.reduce((a, b) => a + b, 0) / scores.length;
+            const change = scores.length > 1 ? scores[scores.length - 1] - scores[0] : 0;
+
+            return (
+              <div key={trend.key} className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+                <div className="flex items-center justify-between mb-4">
+                  <div>
+                    <h3 className="font-bold text-gray-800">{trend.role}</h3>
+                    <p className="text-xs text-gray-500">{getExperienceLabel(trend.experience, t)} · {t('progress.sessions', { count: scores.length })}</p>
+                  </div>
+                  <div className="flex space-x-6 text-right">
+                    <div>
+                      <div className="text-xl font-bold text-indigo-600">{average.toFixed(1)}</div>
+                      <div className="text-xs text-gray-500">{t('progress.average')}</div>
+                    </div>
+                    <div>
+                      <div className={`text-xl font-bold ${change >= 0 ? 'text-green-600' : 'text-red-600'}`}>
+                        {change >= 0 ? '+' : ''}{change.toFixed(1)}
+                      </div>
+                      <div className="text-xs text-gray-500">{t('progress.sinceFirst')}</div>
+                    </div>
+                  </div>
+                </div>
+                <RatingTrendChart points={trend.points} locale={uiLanguage} />
+              </div>
+            );
+          })}
+
+          <div className="bg-orange-50 p-6 rounded-2xl border border-orange-100">
+            <h3 className="font-bold text-orange-800 mb-4 flex items-center">
+              <span className="bg-orange-200 p-1 rounded mr-2">🔁</span>
+              {t('progress.recurring')}
+            </h3>
+            {recurring.length === 0 ? (
+              <p className="text-sm text-orange-900">{t('progress.noRecurring')}</p>
+            ) : (
+              <ul className="space-y-3">
+                {recurring.map(weakness => (
+                  <li key={weakness.label} className="text-sm text-orange-900">
+                    <div className="flex items-start justify-between">
+                      <span className="font-medium">{weakness.label}</span>
+                      <span className="ml-4 shrink-0 text-xs bg-orange-200 px-2 py-0.5 rounded-full">
+                        {t('progress.seenIn', { seen: weakness.sessionCount, count: sessions.length })}
+                      </span>
+                    </div>
+                    <p className="text-xs text-orange-700 mt-1">
+                      {t('progress.lastSeen', { date: new Date(weakness.lastSeen).toLocaleDateString(uiLanguage) })}
+                    </p>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
   return (
     <div className="min-h-screen bg-gray-50 font-sans text-gray-900">
       {screen === 'setup' && renderSetupScreen()}
+      {screen === 'lobby' && renderLobbyScreen()}
       {screen === 'interview' && renderInterviewScreen()}
       {screen === 'feedback' && renderFeedbackScreen()}
+      {screen === 'history' && renderHistoryScreen()}
+      {screen === 'progress' && renderProgressScreen()}
     </div>
   );
 };
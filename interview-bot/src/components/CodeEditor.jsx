@@ -0,0 +1,42 @@
+import React, { useRef } from 'react';
+
+// Plain textarea editor with a line-number gutter; Tab indents instead of leaving the field.
+const INDENT = '  ';
+
+const CodeEditor = ({ value, onChange, disabled }) => {
+  const gutterRef = useRef(null);
+  const lineCount = value.split('\n').length;
+
+  const handleKeyDown = (e) => {
+    if (e.key !== 'Tab') return;
+    e.preventDefault();
+    const { selectionStart, selectionEnd } = e.target;
+    const next = value.slice(0, selectionStart) + INDENT + value.slice(selectionEnd);
+    onChange(next);
+    // Restore the caret once React has re-rendered the new value
+    requestAnimationFrame(() => {
+      e.target.selectionStart = e.target.selectionEnd = selectionStart + INDENT.length;
+    });
+  };
+
+  return (
+    <div className="flex flex-1 min-h-0 font-mono text-sm bg-gray-950 rounded-lg border border-gray-700 overflow-hidden">
+      <div ref={gutterRef} className="py-3 px-2 text-right text-gray-600 select-none overflow-hidden leading-6">
+        {Array.from({ length: lineCount }, (_, i) => (
+          <div key={i}>{i + 1}</div>
+        ))}
+      </div>
+      <textarea
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        onScroll={(e) => { if (gutterRef.current) gutterRef.current.scrollTop = e.target.scrollTop; }}
+        disabled={disabled}
+        spellCheck={false}
+        className="flex-1 py-3 pr-3 bg-transparent text-gray-100 leading-6 resize-none outline-none whitespace-pre overflow-auto disabled:opacity-60"
+      />
+    </div>
+  );
+};
+
+export default CodeEditor;
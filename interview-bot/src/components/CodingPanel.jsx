@@ -0,0 +1,86 @@
+import React from 'react';
+import { Play, Send, RefreshCw, CheckCircle, XCircle, EyeOff } from 'lucide-react';
+import CodeEditor from './CodeEditor';
+import { summarizeRun } from '../lib/codingProblem';
+
+// Problem statement, editor and test results for a live coding round.
+const formatArgs = (args) => args.map(a => JSON.stringify(a)).join(', ');
+
+const CodingPanel = ({ round, onCodeChange, onRun, onSubmit, isRunning, disabled, t }) => {
+  const { problem, code, runs } = round;
+  const lastRun = runs[runs.length - 1];
+
+  return (
+    <div className="w-full md:w-1/2 flex flex-col bg-gray-900 border-l border-gray-800 p-4 space-y-3 overflow-hidden">
+      <div className="overflow-y-auto max-h-48 shrink-0">
+        <h3 className="text-white font-bold">{problem.title}</h3>
+        <p className="text-gray-300 text-sm mt-1 whitespace-pre-line">{problem.prompt}</p>
+        <div className="mt-2 space-y-1">
+          {problem.tests.filter(test => !test.hidden).map((test, i) => (
+            <p key={i} className="text-xs font-mono text-gray-400">
+              {problem.functionName}({formatArgs(test.args)}) → {JSON.stringify(test.expected)}
+            </p>
+          ))}
+          <p className="text-xs text-gray-500 flex items-center">
+            <EyeOff className="w-3 h-3 mr-1" />
+            {t('coding.hiddenTests', { count: problem.tests.filter(test => test.hidden).length })}
+          </p>
+        </div>
+      </div>
+
+      <CodeEditor value={code} onChange={onCodeChange} disabled={disabled} />
+
+      <div className="flex items-center justify-between shrink-0">
+        <span className="text-xs text-gray-500">
+          {t('coding.runs', { count: runs.length })}
+          {lastRun && t('coding.lastRun', summarizeRun(lastRun))}
+        </span>
+        <div className="flex space-x-2">
+          <button
+            onClick={onRun}
+            disabled={disabled || isRunning}
+            className="flex items-center px-4 py-2 text-sm bg-gray-700 text-white rounded-lg hover:bg-gray-600 disabled:opacity-50"
+          >
+            {isRunning ? <RefreshCw className="w-4 h-4 mr-2 animate-spin" /> : <Play className="w-4 h-4 mr-2" />}
+            {t('coding.runTests')}
+          </button>
+          <button
+            onClick={onSubmit}
+            disabled={disabled || isRunning}
+            className="flex items-center px-4 py-2 text-sm bg-indigo-600 text-white rounded-lg hover:bg-indigo-500 disabled:opacity-50"
+          >
+            <Send className="w-4 h-4 mr-2" />
+            {t('coding.submit')}
+          </button>
+        </div>
+      </div>
+
+      {lastRun && (
+        <div className="shrink-0 max-h-40 overflow-y-auto text-xs font-mono space-y-1 bg-gray-950 rounded-lg p-3 border border-gray-800">
+          {lastRun.error && <p className="text-red-400">{lastRun.error}</p>}
+          {lastRun.results.map((result, i) => {
+            const test = problem.tests[i];
+            return (
+              <p key={i} className={`flex items-start ${result.passed ? 'text-green-400' : 'text-red-400'}`}>
+                {result.passed ? <CheckCircle className="w-3 h-3 mr-2 mt-0.5 shrink-0" /> : <XCircle className="w-3 h-3 mr-2 mt-0.5 shrink-0" />}
+                {test.hidden ? (
+                  <span>{t('coding.hiddenTest', { number: i + 1 })}{!result.passed && result.error ? `: ${result.error}` : ''}</span>
+                ) : (
+                  <span>
+                    {problem.functionName}({formatArgs(test.args)})
+                    {result.passed ? '' : result.error ? `: ${result.error}` : ` ${t('coding.mismatch', { actual: result.actual, expected: JSON.stringify(test.expected) })}`}
+                  </span>
+                )}
+              </p>
+            );
+          })}
+          {lastRun.logs.map((line, i) => (
+            <p key={`log-${i}`} className="text-gray-500">&gt; {line}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CodingPanel;
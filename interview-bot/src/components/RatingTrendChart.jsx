@@ -0,0 +1,29 @@
+// Small SVG line chart of 0-10 scores over time. Dates are shown in `locale`.
+const WIDTH = 600;
+const HEIGHT = 160;
+const PAD = 24;
+
+const RatingTrendChart = ({ points, locale }) => {
+  const x = (i) => (points.length === 1 ? WIDTH / 2 : PAD + (i * (WIDTH - PAD * 2)) / (points.length - 1));
+  const y = (score) => HEIGHT - PAD - (score / 10) * (HEIGHT - PAD * 2);
+  const path = points.map((p, i) => `${i === 0 ? 'M' : 'L'}${x(i)},${y(p.score)}`).join(' ');
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full h-40">
+      {[0, 5, 10].map(tick => (
+        <g key={tick}>
+          <line x1={PAD} x2={WIDTH - PAD} y1={y(tick)} y2={y(tick)} className="stroke-gray-200" strokeDasharray="4 4" />
+          <text x={4} y={y(tick) + 4} className="fill-gray-400 text-[10px]">{tick}</text>
+        </g>
+      ))}
+      <path d={path} fill="none" className="stroke-indigo-500" strokeWidth="2.5" />
+      {points.map((p, i) => (
+        <circle key={p.id} cx={x(i)} cy={y(p.score)} r="4" className="fill-indigo-600">
+          <title>{`${new Date(p.createdAt).toLocaleDateString(locale)}: ${p.score.toFixed(1)}/10`}</title>
+        </circle>
+      ))}
+    </svg>
+  );
+};
+
+export default RatingTrendChart;
@@ -0,0 +1,98 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { Bot, User, Film } from 'lucide-react';
+import { getRecording } from '../lib/recording';
+
+// Recorded interview next to its transcript; clicking a line seeks the video.
+// Renders nothing when the session wasn't recorded.
+const formatOffset = (seconds) => `${Math.floor(seconds / 60)}:${Math.floor(seconds % 60).toString().padStart(2, '0')}`;
+
+// Answers are timestamped on submit, so rewind by how long the candidate spoke
+const getOffset = (msg, startedAt) => {
+  if (!msg.at) return null;
+  const start = msg.role === 'user' && msg.duration ? msg.at - msg.duration * 1000 : msg.at;
+  return Math.max(0, (start - startedAt) / 1000);
+};
+
+const RecordingPlayback = ({ sessionId, transcript, t }) => {
+  const videoRef = useRef(null);
+  const [recording, setRecording] = useState(null); // { url, startedAt }
+  const [currentTime, setCurrentTime] = useState(0);
+
+  useEffect(() => {
+    if (!sessionId) return;
+    let url = null;
+    let cancelled = false;
+
+    getRecording(sessionId)
+      .then(record => {
+        if (!record || cancelled) return;
+        url = URL.createObjectURL(record.blob);
+        setRecording({ url, startedAt: record.startedAt });
+      })
+      .catch(err => console.error("Error loading recording:", err));
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+      setRecording(null);
+    };
+  }, [sessionId]);
+
+  // MediaRecorder WebM files have no duration in their header, which breaks seeking
+  // until the browser has scanned to the end once.
+  const handleLoadedMetadata = () => {
+    const video = videoRef.current;
+    if (video.duration !== Infinity) return;
+    video.currentTime = Number.MAX_SAFE_INTEGER;
+    video.addEventListener('timeupdate', () => { video.currentTime = 0; }, { once: true });
+  };
+
+  const seek = (offset) => {
+    videoRef.current.currentTime = offset;
+    videoRef.current.play().catch(() => {});
+  };
+
+  if (!recording) return null;
+
+  const lines = transcript
+    .map(msg => ({ ...msg, offset: getOffset(msg, recording.startedAt) }))
+    .filter(msg => msg.offset !== null);
+  const activeIndex = lines.findLastIndex(line => line.offset <= currentTime);
+
+  return (
+    <div className="bg-white p-6 rounded-2xl shadow-sm border border-gray-200">
+      <h3 className="font-bold text-gray-800 mb-4 flex items-center">
+        <Film className="w-5 h-5 mr-2 text-indigo-500" />
+        {t('feedback.recording')}
+      </h3>
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <video
+          ref={videoRef}
+          src={recording.url}
+          controls
+          playsInline
+          onLoadedMetadata={handleLoadedMetadata}
+          onTimeUpdate={(e) => setCurrentTime(e.target.currentTime)}
+          className="w-full rounded-xl bg-black"
+        />
+        <div className="max-h-80 overflow-y-auto space-y-1">
+          {lines.map((line, i) => (
+            <button
+              key={i}
+              onClick={() => seek(line.offset)}
+              className={`w-full flex items-start text-left text-sm p-2 rounded-lg ${i === activeIndex ? 'bg-indigo-50' : 'hover:bg-gray-50'}`}
+            >
+              <span className="text-xs font-mono text-gray-400 w-10 shrink-0 mt-0.5">{formatOffset(line.offset)}</span>
+              {line.role === 'bot'
+                ? <Bot className="w-4 h-4 mr-2 text-indigo-500 shrink-0 mt-0.5" />
+                : <User className="w-4 h-4 mr-2 text-gray-500 shrink-0 mt-0.5" />}
+              <span className="text-gray-700 line-clamp-2">{line.text}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecordingPlayback;
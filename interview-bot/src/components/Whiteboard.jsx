@@ -0,0 +1,216 @@
+import React, { useRef, useState } from 'react';
+import { MousePointer, Square, ArrowRight, Trash2, Download } from 'lucide-react';
+import {
+  isDiagramEmpty, addNode, addEdge, updateItem, removeItem, getEdgePoints, renderDiagramPng
+} from '../lib/diagram';
+
+// SVG whiteboard for system design rounds: boxes, labelled arrows, drag to move,
+// double-click to rename. With `readOnly` it just renders a saved diagram.
+const WIDTH = 800;
+const HEIGHT = 600;
+
+const TOOLS = [
+  { id: 'select', labelKey: 'whiteboard.select', icon: MousePointer },
+  { id: 'box', labelKey: 'whiteboard.box', icon: Square },
+  { id: 'arrow', labelKey: 'whiteboard.arrow', icon: ArrowRight },
+];
+
+const Whiteboard = ({ diagram, onChange, disabled, readOnly, t }) => {
+  const svgRef = useRef(null);
+  const dragRef = useRef(null); // { id, dx, dy } while a box is being dragged
+  const [tool, setTool] = useState('select');
+  const [selected, setSelected] = useState(null); // { type: 'nodes' | 'edges', id }
+  const [pendingFrom, setPendingFrom] = useState(null); // first box clicked with the arrow tool
+
+  const interactive = !readOnly && !disabled;
+
+  const toSvgPoint = (e) => {
+    const point = new DOMPoint(e.clientX, e.clientY).matrixTransform(svgRef.current.getScreenCTM().inverse());
+    return { x: point.x, y: point.y };
+  };
+
+  const handleCanvasClick = (e) => {
+    if (!interactive || e.target !== svgRef.current) return;
+    setSelected(null);
+    setPendingFrom(null);
+    if (tool !== 'box') return;
+    const label = prompt(t('whiteboard.componentName'), t('whiteboard.defaultComponent'));
+    if (label) onChange(addNode(diagram, { ...toSvgPoint(e), label }));
+  };
+
+  const handleNodePointerDown = (e, node) => {
+    if (!interactive) return;
+    e.stopPropagation();
+
+    if (tool === 'arrow') {
+      if (!pendingFrom) {
+        setPendingFrom(node.id);
+      } else if (pendingFrom !== node.id) {
+        const label = prompt(t('whiteboard.arrowLabelOptional'), "") ?? '';
+        onChange(addEdge(diagram, { from: pendingFrom, to: node.id, label }));
+        setPendingFrom(null);
+      }
+      return;
+    }
+
+    setSelected({ type: 'nodes', id: node.id });
+    // Keeps the moves coming to this node even when a fast drag outruns it or leaves the board
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const point = toSvgPoint(e);
+    dragRef.current = { id: node.id, dx: point.x - node.x, dy: point.y - node.y };
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragRef.current) return;
+    const point = toSvgPoint(e);
+    const { id, dx, dy } = dragRef.current;
+    onChange(updateItem(diagram, 'nodes', id, {
+      x: Math.max(0, Math.min(WIDTH - 20, point.x - dx)),
+      y: Math.max(0, Math.min(HEIGHT - 20, point.y - dy)),
+    }));
+  };
+
+  const handlePointerUp = () => {
+    dragRef.current = null;
+  };
+
+  const rename = (type, item) => {
+    if (!interactive) return;
+    const label = prompt(t(type === 'nodes' ? 'whiteboard.componentName' : 'whiteboard.arrowLabel'), item.label);
+    if (label !== null) onChange(updateItem(diagram, type, item.id, { label }));
+  };
+
+  const deleteSelected = () => {
+    if (!selected) return;
+    onChange(removeItem(diagram, selected.type, selected.id));
+    setSelected(null);
+  };
+
+  const exportPng = () => {
+    const { data } = renderDiagramPng(diagram);
+    const a = document.createElement('a');
+    a.href = `data:image/png;base64,${data}`;
+    a.download = 'system-design.png';
+    a.click();
+  };
+
+  return (
+    <div className="flex flex-col flex-1 min-h-0">
+      {!readOnly && (
+        <div className="flex items-center space-x-1 mb-2">
+          {TOOLS.map(item => (
+            <button
+              key={item.id}
+              onClick={() => { setTool(item.id); setPendingFrom(null); }}
+              title={t(item.labelKey)}
+              className={`p-2 rounded-lg ${tool === item.id ? 'bg-indigo-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+            >
+              <item.icon className="w-4 h-4" />
+            </button>
+          ))}
+          <button
+            onClick={deleteSelected}
+            disabled={!selected || disabled}
+            title={t('whiteboard.delete')}
+            className="p-2 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-40"
+          >
+            <Trash2 className="w-4 h-4" />
+          </button>
+          <button
+            onClick={exportPng}
+            disabled={isDiagramEmpty(diagram)}
+            title={t('whiteboard.export')}
+            className="p-2 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-40"
+          >
+            <Download className="w-4 h-4" />
+          </button>
+          <span className="text-xs text-gray-500 pl-2">
+            {tool === 'box' && t('whiteboard.boxHint')}
+            {tool === 'arrow' && t(pendingFrom ? 'whiteboard.arrowTargetHint' : 'whiteboard.arrowSourceHint')}
+            {tool === 'select' && t('whiteboard.selectHint')}
+          </span>
+        </div>
+      )}
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        onClick={handleCanvasClick}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+        className={`w-full flex-1 min-h-0 bg-white rounded-lg ${readOnly ? 'border border-gray-200' : ''}`}
+      >
+        <defs>
+          <marker id="whiteboard-arrow" viewBox="0 0 10 10" refX="10" refY="5" markerWidth="8" markerHeight="8" orient="auto-start-reverse">
+            <path d="M 0 0 L 10 5 L 0 10 z" className="fill-gray-600" />
+          </marker>
+        </defs>
+
+        {diagram.edges.map(edge => {
+          const points = getEdgePoints(diagram, edge);
+          if (!points) return null;
+          const isSelected = selected?.type === 'edges' && selected.id === edge.id;
+          return (
+            <g
+              key={edge.id}
+              onClick={(e) => { e.stopPropagation(); if (interactive) setSelected({ type: 'edges', id: edge.id }); }}
+              onDoubleClick={() => rename('edges', edge)}
+              className={interactive ? 'cursor-pointer' : ''}
+            >
+              {/* Wide invisible stroke makes thin arrows easy to click */}
+              <line {...points} stroke="transparent" strokeWidth="12" />
+              <line {...points} className={isSelected ? 'stroke-indigo-500' : 'stroke-gray-600'} strokeWidth="2" markerEnd="url(#whiteboard-arrow)" />
+              {edge.label && (
+                <text x={(points.x1 + points.x2) / 2} y={(points.y1 + points.y2) / 2 - 8} textAnchor="middle" className="fill-gray-500 text-[12px]">
+                  {edge.label}
+                </text>
+              )}
+            </g>
+          );
+        })}
+
+        {diagram.nodes.map(node => {
+          const isSelected = selected?.type === 'nodes' && selected.id === node.id;
+          const isPending = pendingFrom === node.id;
+          return (
+            <g
+              key={node.id}
+              onPointerDown={(e) => handleNodePointerDown(e, node)}
+              onDoubleClick={() => rename('nodes', node)}
+              className={interactive ? 'cursor-move' : ''}
+            >
+              <rect
+                x={node.x}
+                y={node.y}
+                width={node.width}
+                height={node.height}
+                rx="6"
+                className={`fill-indigo-50 ${isSelected || isPending ? 'stroke-indigo-700' : 'stroke-indigo-400'}`}
+                strokeWidth={isSelected || isPending ? 3 : 2}
+              />
+              <text
+                x={node.x + node.width / 2}
+                y={node.y + node.height / 2}
+                textAnchor="middle"
+                dominantBaseline="middle"
+                className="fill-gray-800 text-[13px] select-none"
+              >
+                {node.label}
+              </text>
+            </g>
+          );
+        })}
+
+        {isDiagramEmpty(diagram) && !readOnly && (
+          <text x={WIDTH / 2} y={HEIGHT / 2} textAnchor="middle" className="fill-gray-300 text-[16px] select-none pointer-events-none">
+            {t('whiteboard.emptyHint')}
+          </text>
+        )}
+      </svg>
+    </div>
+  );
+};
+
+export default Whiteboard;
@@ -0,0 +1,115 @@
+// --- Progress Analytics ---
+// Everything here works on saved session records (see sessions.js) and the
+// `feedbackReport` shape produced by endInterview.
+
+// Turns the model's free-form rating ("8/10", "4 / 5", "80%", "7.5") into a 0-10 score.
+export const parseRating = (rating) => {
+  if (typeof rating === 'number') return Number.isFinite(rating) ? Math.max(0, Math.min(10, rating)) : null;
+  if (typeof rating !== 'string') return null;
+
+  const fraction = rating.match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (fraction) {
+    const [, value, scale] = fraction.map(Number);
+    return scale > 0 ? Math.max(0, Math.min(10, (value / scale) * 10)) : null;
+  }
+
+  const percent = rating.match(/(\d+(?:\.\d+)?)\s*%/);
+  if (percent) return Math.max(0, Math.min(10, Number(percent[1]) / 10));
+
+  // "?/10" and similar placeholders carry no score
+  const plain = !rating.includes('/') && rating.match(/\d+(?:\.\d+)?/);
+  if (plain && Number(plain[0]) <= 10) return Number(plain[0]);
+
+  return null;
+};
+
+// Groups scored sessions by role + experience level, oldest first within each group.
+export const buildRatingTrends = (sessions) => {
+  const groups = new Map();
+
+  sessions.forEach(session => {
+    const score = parseRating(session.feedback?.rating);
+    if (score === null) return;
+
+    const key = `${session.config.role} · ${session.config.experience}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, role: session.config.role, experience: session.config.experience, points: [] });
+    }
+    groups.get(key).points.push({ id: session.id, createdAt: session.createdAt, score });
+  });
+
+  return [...groups.values()]
+    .map(group => ({ ...group, points: group.points.sort((a, b) => a.createdAt - b.createdAt) }))
+    .sort((a, b) => b.points.length - a.points.length);
+};
+
+// --- Recurring Weaknesses ---
+
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'but', 'to', 'of', 'in', 'on', 'for', 'with', 'at', 'by', 'from',
+  'about', 'as', 'into', 'more', 'most', 'less', 'be', 'is', 'are', 'was', 'were', 'been', 'being',
+  'your', 'you', 'their', 'when', 'while', 'that', 'this', 'these', 'those', 'it', 'its', 'should',
+  'could', 'would', 'can', 'need', 'needs', 'try', 'consider', 'also', 'some', 'any', 'such', 'e.g',
+  'like', 'especially', 'better', 'improve', 'work', 'focus', 'provide', 'make', 'sure', 'how', 'what',
+]);
+
+// Crude stemming is enough to line up "explaining" / "explain" / "explanations".
+const stem = (word) => word
+  .replace(/(ations|ation|ings|ing|ies|ed|es|s)$/, '')
+  .replace(/(.)\1$/, '$1');
+
+// Letters from any script survive; \p{M} keeps combining marks such as Devanagari vowel signs
+const tokenize = (text) => new Set(
+  text.toLocaleLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s-]/gu, ' ')
+    .split(/\s+/)
+    .filter(w => w.length > 2 && !STOPWORDS.has(w))
+    .map(stem)
+);
+
+const similarity = (a, b) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach(token => { if (b.has(token)) shared++; });
+  // Overlap coefficient: short phrasings still match longer restatements
+  return shared / Math.min(a.size, b.size);
+};
+
+const SIMILARITY_THRESHOLD = 0.5;
+
+// Greedily clusters every "Areas for Improvement" entry across sessions.
+// Clusters are ordered by how many distinct sessions they appear in.
+export const clusterImprovements = (sessions) => {
+  const clusters = [];
+
+  sessions.forEach(session => {
+    (session.feedback?.improvements || []).forEach(text => {
+      const tokens = tokenize(text);
+      if (!tokens.size) return;
+
+      const match = clusters.find(c => similarity(c.tokens, tokens) >= SIMILARITY_THRESHOLD);
+      if (match) {
+        match.items.push({ text, sessionId: session.id, createdAt: session.createdAt });
+        match.sessionIds.add(session.id);
+        match.lastSeen = Math.max(match.lastSeen, session.createdAt);
+      } else {
+        clusters.push({
+          tokens,
+          items: [{ text, sessionId: session.id, createdAt: session.createdAt }],
+          sessionIds: new Set([session.id]),
+          lastSeen: session.createdAt,
+        });
+      }
+    });
+  });
+
+  return clusters
+    .map(c => ({
+      // The shortest phrasing usually reads best as a label
+      label: c.items.reduce((best, item) => (item.text.length < best.length ? item.text : best), c.items[0].text),
+      items: c.items,
+      sessionCount: c.sessionIds.size,
+      lastSeen: c.lastSeen,
+    }))
+    .sort((a, b) => b.sessionCount - a.sessionCount || b.lastSeen - a.lastSeen);
+};
@@ -0,0 +1,148 @@
+// --- API Errors and Retries ---
+// Providers throw ApiError, so callers can tell a rate limit from a bad key without
+// parsing messages. `kind` is one of:
+//   offline       the browser reports no connection (navigator.onLine)
+//   network       no HTTP response at all (DNS, CORS, dropped connection)
+//   rate-limited  429; `retryAfterMs` holds the server's Retry-After when it sent one
+//   server        5xx, or an error reported partway through a stream
+//   auth          401/403, or Gemini's 400 for an invalid key
+//   not-found     404, usually a wrong model name
+//   bad-request   any other 4xx
+//   empty         a successful response with no reply in it
+
+const RETRYABLE_KINDS = ['offline', 'network', 'rate-limited', 'server', 'empty'];
+
+export class ApiError extends Error {
+  constructor(message, { kind, status = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.kind = kind;
+    this.status = status;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get retryable() {
+    return RETRYABLE_KINDS.includes(this.kind);
+  }
+}
+
+export const isOffline = () => typeof navigator !== 'undefined' && navigator.onLine === false;
+
+// Retry-After is either a number of seconds or an HTTP date
+export const parseRetryAfter = (value, now = Date.now()) => {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+const kindForStatus = (status, message) => {
+  if (status === 429) return 'rate-limited';
+  if (status >= 500) return 'server';
+  if (status === 401 || status === 403 || /api key/i.test(message)) return 'auth';
+  if (status === 404) return 'not-found';
+  return 'bad-request';
+};
+
+export const fromResponse = (response, message) => new ApiError(`API Error: ${response.status} - ${message}`, {
+  kind: kindForStatus(response.status, message),
+  status: response.status,
+  retryAfterMs: parseRetryAfter(response.headers.get('Retry-After')),
+});
+
+// fetch throws a TypeError when no response arrives; aborts pass through untouched.
+export const toApiError = (err) => {
+  if (err instanceof ApiError || err?.name === 'AbortError') return err;
+  if (err instanceof TypeError) {
+    return new ApiError(`Network Error: ${err.message}`, { kind: isOffline() ? 'offline' : 'network' });
+  }
+  return new ApiError(err?.message || String(err), { kind: 'server' });
+};
+
+// --- Retries ---
+const MAX_ATTEMPTS = 4;
+const BASE_DELAY_MS = 1000;
+const MAX_DELAY_MS = 16_000;
+// A Retry-After longer than this isn't worth holding the turn for; the candidate can retry later
+const MAX_RETRY_AFTER_MS = 60_000;
+// How long an offline browser gets to reconnect before the call gives up
+const OFFLINE_WAIT_MS = 30_000;
+
+// Exponential backoff with jitter: half the delay is fixed, half random, so clients
+// that failed together don't all come back at the same moment.
+export const getRetryDelay = (attempt, error, random = Math.random) => {
+  if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) return error.retryAfterMs;
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(cap / 2 + random() * (cap / 2));
+};
+
+const abortError = () => new DOMException('Aborted', 'AbortError');
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(abortError());
+  };
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Resolves true once the browser is back online, or false after `timeoutMs`
+const waitForOnline = (signal, timeoutMs) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(abortError());
+  const cleanup = () => {
+    clearTimeout(timer);
+    window.removeEventListener('online', onOnline);
+    signal?.removeEventListener('abort', onAbort);
+  };
+  const onOnline = () => {
+    cleanup();
+    resolve(true);
+  };
+  const onAbort = () => {
+    cleanup();
+    reject(abortError());
+  };
+  const timer = setTimeout(() => {
+    cleanup();
+    resolve(false);
+  }, timeoutMs);
+  window.addEventListener('online', onOnline);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+// Runs `request()` until it succeeds, retrying retryable errors with backoff. Nothing is
+// sent while the browser is offline; waiting for the connection doesn't use up attempts.
+// `onRetry({ attempt, maxAttempts, delayMs, error })` fires before each wait, with a null
+// `delayMs` while waiting for the connection. Throws an ApiError, or an AbortError if `signal` aborts.
+export const withRetries = async (request, { signal, onRetry, maxAttempts = MAX_ATTEMPTS } = {}) => {
+  for (let attempt = 1; ; attempt++) {
+    if (isOffline()) {
+      const offline = new ApiError('You appear to be offline', { kind: 'offline' });
+      onRetry?.({ attempt, maxAttempts, delayMs: null, error: offline });
+      if (!(await waitForOnline(signal, OFFLINE_WAIT_MS))) throw offline;
+    }
+
+    try {
+      return await request();
+    } catch (err) {
+      const error = toApiError(err);
+      if (error.kind === 'offline') {
+        // The connection dropped mid-request; the offline wait above takes over
+        attempt--;
+        continue;
+      }
+      if (error.name === 'AbortError' || !error.retryable || attempt >= maxAttempts) throw error;
+      const delayMs = getRetryDelay(attempt, error);
+      if (delayMs > MAX_RETRY_AFTER_MS) throw error;
+      console.warn(`API call failed (${error.kind}), retrying in ${delayMs}ms`, error);
+      onRetry?.({ attempt: attempt + 1, maxAttempts, delayMs, error });
+      await wait(delayMs, signal);
+    }
+  }
+};
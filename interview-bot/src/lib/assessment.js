@@ -0,0 +1,89 @@
+// --- Answer Assessment ---
+// A lightweight assessor, separate from the interviewer persona, grades each
+// answer and decides how the interviewer should follow up.
+import { registerMockFixture } from './providers';
+
+export const DIFFICULTY_LEVELS = ['easy', 'medium', 'hard', 'expert'];
+
+// Consecutive follow-ups allowed on one main question before moving on regardless
+export const MAX_FOLLOW_UPS = 2;
+
+const FOLLOW_UP_DECISIONS = ['probe', 'hint'];
+
+export const ASSESSMENT_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    quality: { type: 'INTEGER', minimum: 1, maximum: 5, description: '1 = no real answer, 5 = excellent' },
+    decision: { type: 'STRING', enum: ['probe', 'hint', 'move_on', 'harder', 'easier'] },
+    focus: { type: 'STRING', description: 'the specific point to probe or hint at; empty when moving on' },
+    rationale: { type: 'STRING', description: 'one sentence' },
+  },
+  required: ['quality', 'decision', 'focus', 'rationale'],
+};
+
+// The offline mock always moves on, so a scripted interview walks straight through the plan
+registerMockFixture(ASSESSMENT_SCHEMA, () => ({
+  quality: 3,
+  decision: 'move_on',
+  focus: '',
+  rationale: 'Mock assessment; no model was consulted.',
+}));
+
+export const ASSESSOR_INSTRUCTION = 'You are a silent interview assessor. You never speak to the candidate; you only grade answers and advise the interviewer.';
+
+export const getInitialDifficulty = (experience = '') => {
+  if (/intern|junior/i.test(experience)) return 'easy';
+  if (/mid/i.test(experience)) return 'medium';
+  if (/staff|principal|executive/i.test(experience)) return 'expert';
+  return 'hard';
+};
+
+export const isFollowUp = (decision) => FOLLOW_UP_DECISIONS.includes(decision);
+
+export const applyDecision = (difficulty, decision) => {
+  const index = DIFFICULTY_LEVELS.indexOf(difficulty);
+  if (decision === 'harder') return DIFFICULTY_LEVELS[Math.min(DIFFICULTY_LEVELS.length - 1, index + 1)];
+  if (decision === 'easier') return DIFFICULTY_LEVELS[Math.max(0, index - 1)];
+  return difficulty;
+};
+
+export const buildAssessmentPrompt = ({ question, answer, difficulty, rubric, followUpsLeft }) => `
+  Question (${difficulty} difficulty): ${question}
+  Candidate's answer: ${answer}
+  Rubric: ${rubric || 'General interview best practices.'}
+
+  Grade the answer and choose the interviewer's next move:
+  - "probe": the answer is promising but shallow; ask a deeper follow-up on one point.
+  - "hint": the candidate is stuck or wrong; give a small hint and let them retry.
+  - "move_on": the answer is adequate for this level; continue at the same difficulty.
+  - "harder": the answer is strong; continue with a harder question.
+  - "easier": the candidate is clearly out of their depth; continue with an easier question.
+  ${followUpsLeft > 0 ? '' : 'Follow-ups on this question are used up: choose "move_on", "harder" or "easier".'}
+  Respond with JSON only.
+`;
+
+// Appended to the interviewer's system instruction for the next turn.
+export const describeDecision = (assessment, difficulty) => {
+  switch (assessment?.decision) {
+    case 'probe':
+      return `Follow-up: do not move to a new question yet. Ask ONE deeper follow-up about: ${assessment.focus || 'the weakest part of the answer'}.`;
+    case 'hint':
+      return `Follow-up: the candidate is struggling. Give a brief hint about ${assessment.focus || 'the key idea they missed'} without revealing the answer, then let them try the same question again.`;
+    case 'harder':
+    case 'easier':
+      return `Adaptation: move on and make the next question ${difficulty} difficulty.`;
+    default:
+      return `Adaptation: move on at ${difficulty} difficulty.`;
+  }
+};
+
+// Follow-up turns the interviewer has taken on the current main question.
+export const countTrailingFollowUps = (history) => {
+  let count = 0;
+  for (let i = history.length - 1; i >= 0; i--) {
+    if (history[i].role !== 'bot') continue;
+    if (!history[i].followUp) break;
+    count++;
+  }
+  return count;
+};
@@ -0,0 +1,33 @@
+// --- Microphone Level Monitor ---
+// Samples the RMS level (0..1) of a stream's audio track on every animation frame.
+
+export const createLevelMonitor = (stream, onLevel) => {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !stream || stream.getAudioTracks().length === 0) {
+    return () => {};
+  }
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(stream);
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 1024;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame;
+
+  const tick = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    onLevel(Math.sqrt(sum / samples.length), context.currentTime);
+    frame = requestAnimationFrame(tick);
+  };
+  tick();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    source.disconnect();
+    context.close();
+  };
+};
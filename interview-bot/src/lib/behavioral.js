@@ -0,0 +1,105 @@
+// --- Behavioral Interviews ---
+// Behavioral mode (`config.mode === 'behavioral'`) asks for real past situations, one
+// competency per phase (`phase.competency`), and scores every answer on how completely
+// it covers Situation, Task, Action and Result. The report adds a competency matrix.
+
+export const INTERVIEW_MODES = ['technical', 'behavioral'];
+
+export const COMPETENCIES = {
+  leadership: {
+    label: 'Leadership',
+    description: 'setting direction, growing people and making calls others follow',
+    questions: [
+      'Tell me about a time you led a team or project through a difficult stretch.',
+      'Describe a decision you made that not everyone agreed with. How did you bring people along?',
+      'Tell me about someone you mentored. What did you do, and what changed for them?',
+    ],
+  },
+  conflict: {
+    label: 'Conflict',
+    description: 'handling disagreement with peers, managers or stakeholders constructively',
+    questions: [
+      'Tell me about a time you strongly disagreed with a teammate. How did you resolve it?',
+      'Describe a situation where two stakeholders wanted opposite things from you.',
+      'Tell me about a time you had to give difficult feedback to someone.',
+    ],
+  },
+  ownership: {
+    label: 'Ownership',
+    description: 'taking responsibility beyond the assigned scope and seeing work through',
+    questions: [
+      'Tell me about a problem you fixed even though it wasn\'t your job to fix it.',
+      'Describe a project you drove from start to finish. What did you own personally?',
+      'Tell me about a time you noticed a risk nobody else was watching.',
+    ],
+  },
+  failure: {
+    label: 'Failure',
+    description: 'owning mistakes, recovering from them and learning',
+    questions: [
+      'Tell me about a time you failed. What happened, and what did you learn?',
+      'Describe a mistake of yours that reached production or a customer. How did you handle it?',
+      'Tell me about a goal you missed. What would you do differently?',
+    ],
+  },
+};
+
+export const BEHAVIORAL_PLAN = [
+  { kind: 'intro', questions: 1 },
+  ...Object.keys(COMPETENCIES).map(competency => ({ kind: 'behavioral', competency, questions: 1 })),
+  { kind: 'candidate_questions', questions: 1 },
+];
+
+export const STAR_PARTS = ['situation', 'task', 'action', 'result'];
+
+// How completely the model judged each part to be covered
+export const STAR_COVERAGE = ['complete', 'partial', 'missing'];
+
+export const getCompetencyLabel = (key) => COMPETENCIES[key]?.label || key;
+
+// Competencies the plan covers, in order, each once. A plan without any (e.g. a plain
+// Behavioral phase) is judged against all of them.
+export const getPlanCompetencies = (plan) => {
+  const keys = [...new Set(plan.map(phase => phase.competency).filter(key => COMPETENCIES[key]))];
+  return keys.length ? keys : Object.keys(COMPETENCIES);
+};
+
+// Parts an answer didn't fully cover; empty when it wasn't STAR-scored
+export const getMissingStarParts = (star) => (star ? STAR_PARTS.filter(part => star[part] !== 'complete') : []);
+
+// For describeCurrentPhase: which competency the phase probes, with example questions
+export const describeCompetency = (phase) => {
+  const competency = COMPETENCIES[phase?.competency];
+  if (!competency) return '';
+  const examples = competency.questions.map(q => `- ${q}`).join('\n');
+  return `Competency: ${competency.label} (${competency.description}). Ask one question in this spirit, adapted to the role; do not read these verbatim:\n${examples}`;
+};
+
+// For the system prompt built in startInterview
+export const describeMode = (mode) => {
+  if (mode !== 'behavioral') return '';
+  return 'This is a behavioral interview. Ask about specific situations the candidate was actually in, not hypotheticals. Listen for the STAR structure: the Situation, their Task, the Actions they personally took and the Result. When an answer skips one of these, your follow-up asks for it; when they say "we", ask what they did themselves.';
+};
+
+// Appended to the rubric the assessor grades against
+export const STAR_ASSESSMENT = 'For past-situation answers, check the STAR parts (Situation, Task, Action, Result). If one is missing or vague, choose "probe" and name that part as the focus.';
+
+// For the feedback prompt: which answers belong to which competency
+export const describeCompetenciesForFeedback = (plan, answerPairs) => getPlanCompetencies(plan).map(key => {
+  const answers = answerPairs
+    .map((pair, i) => (pair.competency === key ? i + 1 : null))
+    .filter(Boolean);
+  return `- ${key} (${COMPETENCIES[key]?.description || getCompetencyLabel(key)}): answers ${answers.length ? answers.join(', ') : 'none tagged, judge from any relevant answer'}`;
+}).join('\n');
+
+// One matrix row per competency in the plan, matching the model's entries by key, so
+// competencies it skipped still show up as not assessed.
+export const mergeCompetencyMatrix = (plan, entries) => getPlanCompetencies(plan).map(key => {
+  const entry = (Array.isArray(entries) ? entries : [])
+    .find(e => e.competency?.trim().toLowerCase() === key) || {};
+  return {
+    competency: key,
+    rating: Number.isInteger(entry.rating) ? entry.rating : null,
+    evidence: entry.evidence || '',
+  };
+});
@@ -0,0 +1,61 @@
+// --- Candidate Profile ---
+// Before the interview, the resume and job description are condensed into a
+// short profile (projects, JD requirements, gaps) that personalises the system prompt.
+import { MAX_DOCUMENT_CHARS } from './documents';
+
+const STRING = { type: 'STRING' };
+
+export const PROFILE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    projects: {
+      type: 'ARRAY',
+      description: 'the most relevant projects or roles from the resume; empty if no resume',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          name: STRING,
+          summary: { type: 'STRING', description: 'one sentence: what they built and their part in it' },
+          technologies: { type: 'ARRAY', items: STRING },
+        },
+        required: ['name', 'summary', 'technologies'],
+      },
+    },
+    requirements: { type: 'ARRAY', items: STRING, description: 'key requirements from the job description; empty if none' },
+    gaps: { type: 'ARRAY', items: STRING, description: 'requirements the resume shows little or no evidence for' },
+  },
+  required: ['projects', 'requirements', 'gaps'],
+};
+
+export const hasBackground = (config) => Boolean(config.resume?.text || config.jobDescription?.trim());
+
+export const buildProfilePrompt = ({ role, resume, jobDescription }) => `
+  Extract a candidate profile for a ${role} interview.
+  List at most 4 projects and 8 requirements, and only gaps that matter for the role.
+
+  === RESUME ===
+  ${resume?.text || '(none provided)'}
+
+  === JOB DESCRIPTION ===
+  ${jobDescription?.trim().slice(0, MAX_DOCUMENT_CHARS) || '(none provided)'}
+
+  Respond with JSON only.
+`;
+
+// Section appended to the interviewer's system prompt in startInterview.
+export const describeProfile = (profile) => {
+  if (!profile) return '';
+  const sections = [];
+  if (profile.projects.length) {
+    sections.push(`Candidate's projects (from their resume); ask about their real work here:\n${profile.projects
+      .map(p => `- ${p.name}: ${p.summary}${p.technologies.length ? ` [${p.technologies.join(', ')}]` : ''}`)
+      .join('\n')}`);
+  }
+  if (profile.requirements.length) {
+    sections.push(`Job requirements:\n${profile.requirements.map(r => `- ${r}`).join('\n')}`);
+  }
+  if (profile.gaps.length) {
+    sections.push(`Possible gaps against the job description; probe these:\n${profile.gaps.map(g => `- ${g}`).join('\n')}`);
+  }
+  return sections.join('\n\n');
+};
@@ -0,0 +1,21 @@
+// --- Interview Checkpoint ---
+// The interview in progress, saved after every completed turn and while the candidate
+// drafts an answer, so a reload, a crashed tab or a stray back-navigation can pick it up
+// again. There is only ever one, kept under a fixed key until the feedback report is saved
+// or given up on, or a new interview starts.
+import { putRecord, getRecord, deleteRecord } from './db';
+
+const CHECKPOINT_ID = 'current';
+
+// Everything the interview screen needs to carry on: { session, chatHistory, questionCount,
+// difficulty, elapsedTime, codingRounds, diagram, sharedDiagram, isWhiteboardOpen, interviewNotes,
+// draftInput, media: { devices, isVideoEnabled, isMicEnabled, isTypingAnswer } }
+export const saveCheckpoint = (checkpoint) => putRecord('checkpoints', { ...checkpoint, id: CHECKPOINT_ID, savedAt: Date.now() });
+
+export const loadCheckpoint = async () => {
+  const checkpoint = await getRecord('checkpoints', CHECKPOINT_ID);
+  // Nothing to resume before the first question arrived
+  return checkpoint?.chatHistory?.some(m => m.role === 'bot') ? checkpoint : null;
+};
+
+export const clearCheckpoint = () => deleteRecord('checkpoints', CHECKPOINT_ID);
@@ -0,0 +1,148 @@
+// --- Sandboxed Code Runner ---
+// Candidate code runs in a throwaway Web Worker created from a Blob, with network,
+// storage, worker and code-loading APIs removed. The runner lives in a closure the
+// candidate's code can't see and only uses built-ins it captured before that code ran,
+// so patching JSON, Object or Array.prototype can't rig the comparison. Its messages
+// carry a per-run nonce, and the main thread ignores any message without it. The main
+// thread terminates the worker on timeout, so an infinite loop can't freeze the interview.
+
+export const DEFAULT_TIMEOUT_MS = 3000;
+
+const WORKER_SOURCE = `
+  (() => {
+    'use strict';
+
+    // Captured before candidate code exists. Top-level consts of a worker script would be
+    // visible to it, hence the closure; strict mode keeps fn.caller from leading back here.
+    const post = self.postMessage.bind(self);
+    const compile = Function;
+    const apply = Reflect.apply;
+    const stringify = JSON.stringify;
+    const keys = Object.keys;
+    const isArray = Array.isArray;
+    const sort = Array.prototype.sort;
+    const clone = structuredClone;
+    const now = performance.now.bind(performance);
+
+    const BLOCKED = ['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches', 'Worker', 'BroadcastChannel', 'eval'];
+    BLOCKED.forEach(name => Object.defineProperty(self, name, { value: undefined }));
+
+    // import() is syntax and can't be removed, so every way of compiling a string goes:
+    // the Function constructors (reachable from any function) and string timers
+    [function () {}, async function () {}, function* () {}, async function* () {}].forEach(fn => {
+      Object.defineProperty(Object.getPrototypeOf(fn), 'constructor', { value: undefined });
+    });
+    Object.defineProperty(self, 'Function', { value: undefined });
+    ['setTimeout', 'setInterval'].forEach(name => {
+      const schedule = self[name];
+      Object.defineProperty(self, name, { value: (handler, ...rest) => (typeof handler === 'function' ? schedule(handler, ...rest) : 0) });
+    });
+
+    // Plain loops instead of Array.prototype.map/join, which candidate code may have replaced
+    const join = (items, render, separator) => {
+      let text = '';
+      for (let i = 0; i < items.length; i++) text += (i ? separator : '') + render(items[i]);
+      return text;
+    };
+
+    // Key-order independent serialisation so {a, b} equals {b, a}
+    const canonical = (value) => {
+      if (value === undefined) return 'undefined';
+      if (isArray(value)) return '[' + join(value, canonical, ',') + ']';
+      if (value && typeof value === 'object') {
+        return '{' + join(apply(sort, keys(value), []), k => stringify(k) + ':' + canonical(value[k]), ',') + '}';
+      }
+      return stringify(value);
+    };
+
+    self.onmessage = ({ data }) => {
+      const { code, functionName, tests, nonce } = data;
+      const send = (message) => post({ ...message, nonce });
+      const logs = [];
+      const sandboxConsole = {
+        log: (...args) => {
+          if (logs.length < 50) logs[logs.length] = join(args, a => (typeof a === 'string' ? a : canonical(a)), ' ');
+        }
+      };
+      sandboxConsole.info = sandboxConsole.warn = sandboxConsole.error = sandboxConsole.log;
+
+      let fn;
+      try {
+        fn = compile('console', code + '\\n;return typeof ' + functionName + " === 'function' ? " + functionName + ' : undefined;')(sandboxConsole);
+      } catch (e) {
+        send({ type: 'done', error: 'Compile error: ' + e.message, results: [], logs });
+        return;
+      }
+      if (!fn) {
+        send({ type: 'done', error: 'Function ' + functionName + ' is not defined', results: [], logs });
+        return;
+      }
+
+      const results = [];
+      for (let index = 0; index < tests.length; index++) {
+        send({ type: 'progress', index });
+        const start = now();
+        try {
+          const actual = canonical(apply(fn, undefined, clone(tests[index].args)));
+          results[index] = { index, passed: actual === canonical(tests[index].expected), actual, ms: now() - start };
+        } catch (e) {
+          results[index] = { index, passed: false, error: e.message, ms: now() - start };
+        }
+      }
+      send({ type: 'done', results, logs });
+    };
+  })();
+`;
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+// The keyword anywhere but after a dot (obj.import is fine); may also catch it in strings or comments
+const IMPORT = /(^|[^.\w$])import\b/;
+
+// Resolves (never rejects) to { results, error, timedOut, logs }, with one result per test.
+export const runInSandbox = ({ code, functionName, tests, timeoutMs = DEFAULT_TIMEOUT_MS }) => new Promise((resolve) => {
+  const fill = (results, reason) => tests.map((_, i) => results.find(r => r.index === i) || { index: i, passed: false, error: reason });
+
+  if (!IDENTIFIER.test(functionName)) {
+    resolve({ results: fill([], 'Not run'), error: `Invalid function name: ${functionName}`, timedOut: false, logs: [] });
+    return;
+  }
+  if (IMPORT.test(code)) {
+    resolve({ results: fill([], 'Not run'), error: 'import is not available in the sandbox', timedOut: false, logs: [] });
+    return;
+  }
+
+  const url = URL.createObjectURL(new Blob([WORKER_SOURCE], { type: 'text/javascript' }));
+  const worker = new Worker(url);
+  const nonce = crypto.randomUUID();
+  let currentTest = 0;
+
+  const finish = (outcome) => {
+    clearTimeout(timeout);
+    worker.terminate();
+    URL.revokeObjectURL(url);
+    resolve(outcome);
+  };
+
+  const timeout = setTimeout(() => finish({
+    results: fill([], 'Timed out'),
+    error: `Timed out after ${timeoutMs}ms while running test ${currentTest + 1}`,
+    timedOut: true,
+    logs: [],
+  }), timeoutMs);
+
+  worker.onmessage = ({ data }) => {
+    if (data?.nonce !== nonce) return;
+    if (data.type === 'progress') {
+      currentTest = data.index;
+      return;
+    }
+    finish({ results: fill(data.results, data.error || 'Not run'), error: data.error || null, timedOut: false, logs: data.logs });
+  };
+  worker.onerror = (e) => {
+    e.preventDefault();
+    finish({ results: fill([], e.message), error: e.message, timedOut: false, logs: [] });
+  };
+
+  worker.postMessage({ code, functionName, nonce, tests: tests.map(t => ({ args: t.args, expected: t.expected })) });
+});
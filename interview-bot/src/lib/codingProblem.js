@@ -0,0 +1,132 @@
+// --- Coding Rounds ---
+// Problems are generated as structured output with their own test cases. The
+// first VISIBLE_TESTS are shown to the candidate as examples; the rest stay hidden.
+import { describeLanguage } from './i18n';
+import { registerMockFixture } from './providers';
+
+export const VISIBLE_TESTS = 2;
+
+const STRING = { type: 'STRING' };
+
+export const CODING_PROBLEM_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    title: STRING,
+    prompt: { type: 'STRING', description: 'problem statement shown to the candidate, with input/output format' },
+    function_name: { type: 'STRING', description: 'a valid JavaScript identifier' },
+    starter_code: { type: 'STRING', description: 'JavaScript function stub with the right signature and an empty body' },
+    tests: {
+      type: 'ARRAY',
+      minItems: 4,
+      items: {
+        type: 'OBJECT',
+        properties: {
+          args: { type: 'STRING', description: 'JSON array of the arguments, e.g. "[[1,2,3], 2]"' },
+          expected: { type: 'STRING', description: 'JSON-encoded expected return value' },
+        },
+        required: ['args', 'expected'],
+      },
+    },
+  },
+  required: ['title', 'prompt', 'function_name', 'starter_code', 'tests'],
+};
+
+// The offline mock's only problem, with hidden edge cases after the two examples
+registerMockFixture(CODING_PROBLEM_SCHEMA, () => ({
+  title: 'Sum of Even Numbers',
+  prompt: 'Write sumEvens(nums) that returns the sum of the even integers in the array nums. Return 0 for an empty array.',
+  function_name: 'sumEvens',
+  starter_code: 'function sumEvens(nums) {\n  // your code here\n}\n',
+  tests: [
+    { args: '[[1, 2, 3, 4]]', expected: '6' },
+    { args: '[[]]', expected: '0' },
+    { args: '[[1, 3, 5]]', expected: '0' },
+    { args: '[[-2, -4, 1]]', expected: '-6' },
+    { args: '[[0, 0, 2]]', expected: '2' },
+    { args: '[[10, 15, 20, 25]]', expected: '30' },
+  ],
+}));
+
+export const buildCodingProblemPrompt = ({ role, skills, difficulty, language, previousTitles = [] }) => `
+  Create a JavaScript coding problem for a ${role} interview (skills: ${skills}) at ${difficulty} difficulty.
+  It must be solvable in 15-20 minutes as a single pure function with JSON-serialisable inputs and output.
+  Include at least 6 test cases covering normal input and edge cases.
+  ${previousTitles.length ? `Do not repeat these problems: ${previousTitles.join(', ')}.` : ''}
+  ${describeLanguage(language, 'the title and prompt')}
+  Respond with JSON only.
+`;
+
+// Checks what the schema can't express: parseable test data and a usable function name.
+export const validateCodingProblem = (problem) => {
+  const errors = [];
+  if (!/^[A-Za-z_$][\w$]*$/.test(problem.function_name)) {
+    errors.push('$.function_name must be a valid JavaScript identifier');
+  }
+  if (!problem.starter_code.includes(problem.function_name)) {
+    errors.push('$.starter_code must declare the function named in function_name');
+  }
+  problem.tests.forEach((test, i) => {
+    try {
+      if (!Array.isArray(JSON.parse(test.args))) errors.push(`$.tests[${i}].args must be a JSON array`);
+    } catch {
+      errors.push(`$.tests[${i}].args is not valid JSON`);
+    }
+    try {
+      JSON.parse(test.expected);
+    } catch {
+      errors.push(`$.tests[${i}].expected is not valid JSON`);
+    }
+  });
+  return errors;
+};
+
+export const normalizeCodingProblem = (problem) => ({
+  title: problem.title,
+  prompt: problem.prompt,
+  functionName: problem.function_name,
+  starterCode: problem.starter_code,
+  tests: problem.tests.map((test, i) => ({
+    args: JSON.parse(test.args),
+    expected: JSON.parse(test.expected),
+    hidden: i >= VISIBLE_TESTS,
+  })),
+});
+
+export const summarizeRun = (run) => ({
+  passed: run.results.filter(r => r.passed).length,
+  total: run.results.length,
+});
+
+// Added to the interviewer's turn instruction when the problem is first shown.
+export const describeProblemForInterviewer = (problem) => `
+  Coding Round: the candidate now sees this problem in an editor next to the video.
+  Title: ${problem.title}
+  ${problem.prompt}
+  Briefly introduce the problem and ask them to talk through their approach while coding.
+  Never reveal the test cases. They will submit code from the editor when ready.
+`;
+
+// The candidate's turn when they submit from the editor.
+export const describeSubmission = (round, run) => {
+  const { passed, total } = summarizeRun(run);
+  const hiddenFailures = run.results.filter((r, i) => !r.passed && round.problem.tests[i].hidden).length;
+  return [
+    `[Code submission: ${round.problem.title}]`,
+    '```js',
+    run.code,
+    '```',
+    `Tests: ${passed}/${total} passed${hiddenFailures ? ` (${hiddenFailures} hidden test${hiddenFailures === 1 ? '' : 's'} failed)` : ''}.${run.error ? ` Error: ${run.error}` : ''}`,
+    `Runs before submitting: ${round.runs.length - 1}.`,
+  ].join('\n');
+};
+
+// Coding context for the feedback prompt: problem, final code and the run history.
+export const describeCodingRoundsForFeedback = (rounds) => rounds.map((round, i) => {
+  const history = round.runs
+    .map((run, j) => {
+      const { passed, total } = summarizeRun(run);
+      return `  Run ${j + 1}${run.submitted ? ' (submitted)' : ''}: ${passed}/${total} passed${run.error ? `, error: ${run.error}` : ''}`;
+    })
+    .join('\n');
+  return `Coding round ${i + 1}: ${round.problem.title}\nFinal code:\n${round.code}\nRun history:\n${history || '  (never run)'}`;
+}).join('\n\n');
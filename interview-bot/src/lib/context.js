@@ -0,0 +1,91 @@
+// --- Conversation Context ---
+// Long interviews would otherwise resend every turn. Once the verbatim part of the
+// history outgrows CONTEXT_TOKEN_BUDGET, the oldest turns are folded into running
+// "interview notes" (`{ text, coveredCount }`, covering the first `coveredCount` visible
+// messages), and only the notes plus the recent turns go to the model. chatHistory
+// itself is never shortened, so the transcript and the report keep the original answers.
+
+// Verbatim history above this is compacted; recent turns are always kept
+export const CONTEXT_TOKEN_BUDGET = 4000;
+export const KEEP_RECENT_MESSAGES = 6;
+
+// A rough count: about four characters per token for English text, and Gemini bills
+// each image as a flat 258 tokens. Good enough for budgeting, not for billing.
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 258;
+
+export const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN);
+
+// Takes a message as sent to the model (see toModelMessages)
+export const estimateMessageTokens = (message) =>
+  estimateTokens(message.text) + (message.images?.length || 0) * IMAGE_TOKENS;
+
+export const estimateHistoryTokens = (messages) => messages.reduce((sum, m) => sum + estimateMessageTokens(m), 0);
+
+export const formatTokens = (tokens) => (tokens >= 1000 ? `${(tokens / 1000).toFixed(1)}k` : String(tokens));
+
+export const NOTES_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    notes: { type: 'STRING', description: 'the updated interview notes' },
+  },
+  required: ['notes'],
+};
+
+export const NOTES_INSTRUCTION = 'You keep concise notes for an interviewer. You never speak to the candidate.';
+
+// The messages the model still sees verbatim
+export const getRecentMessages = (visibleHistory, notes) => visibleHistory.slice(notes?.coveredCount || 0);
+
+// Which messages to fold into the notes next, as `{ from, to }` indexes into the visible
+// history, or null while the verbatim part fits the budget. The cut always lands on an
+// interviewer message so the recent turns start with the question being answered.
+export const planCompaction = (visibleHistory, notes, budget = CONTEXT_TOKEN_BUDGET) => {
+  const from = notes?.coveredCount || 0;
+  if (estimateHistoryTokens(visibleHistory.slice(from)) <= budget) return null;
+  for (let to = visibleHistory.length - KEEP_RECENT_MESSAGES; to > from; to--) {
+    if (visibleHistory[to].role === 'bot') return { from, to };
+  }
+  return null;
+};
+
+// `messages` are the turns being folded in, already converted by toModelMessages
+export const buildNotesPrompt = (previousNotes, messages) => `
+  Update the interview notes with the turns below. The notes replace these turns in the
+  interviewer's memory, so keep everything needed to continue the interview and write the
+  final report: every question asked (in order), the key points, claims, numbers and
+  examples in each answer, notable strengths or gaps, and anything the interviewer said
+  they would come back to. Be terse; bullet points are fine. Stay under 400 words.
+
+  Current notes:
+  ${previousNotes || '(none yet)'}
+
+  Turns to add:
+  ${messages.map(m => `${m.role === 'bot' ? 'Interviewer' : 'Candidate'}: ${m.text}`).join('\n')}
+
+  Respond with JSON only.
+`;
+
+// Appended to the system instruction whenever earlier turns have been folded away
+export const describeNotes = (notes) => {
+  if (!notes?.text) return '';
+  return `Interview notes: the first ${notes.coveredCount} messages of this interview are summarized here instead of shown verbatim. Treat them as what was already said:\n${notes.text}`;
+};
+
+// What one request carries, for the debug panel. `fullHistory` is what resending
+// every message verbatim would have cost instead.
+export const measureContext = ({ systemInstruction = '', notes, recentMessages, fullMessages }) => {
+  const system = estimateTokens(systemInstruction);
+  const notesTokens = estimateTokens(notes?.text);
+  const recent = estimateHistoryTokens(recentMessages);
+  return {
+    system,
+    notes: notesTokens,
+    recent,
+    // The notes ride inside the system instruction, so they are already part of `system`
+    total: system + recent,
+    fullHistory: system - notesTokens + estimateHistoryTokens(fullMessages),
+    summarizedMessages: notes?.coveredCount || 0,
+    recentMessages: recentMessages.length,
+  };
+};
@@ -0,0 +1,55 @@
+// --- IndexedDB Storage ---
+// A tiny promise wrapper around IndexedDB. Adding a store means listing it in
+// STORES and bumping DB_VERSION; the upgrade creates whatever is missing.
+
+const DB_NAME = 'mock-interview-bot';
+const DB_VERSION = 5;
+const STORES = {
+  sessions: { keyPath: 'id' },
+  templates: { keyPath: 'id' },
+  recordings: { keyPath: 'id' },
+  recordingChunks: { keyPath: ['id', 'index'] },
+  checkpoints: { keyPath: 'id' },
+};
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        Object.entries(STORES).forEach(([name, options]) => {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, options);
+        });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        dbPromise = null;
+        reject(request.error);
+      };
+    });
+  }
+  return dbPromise;
+};
+
+const withStore = async (storeName, mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+};
+
+export const putRecord = (storeName, value) => withStore(storeName, 'readwrite', store => store.put(value));
+
+export const getRecord = (storeName, key) => withStore(storeName, 'readonly', store => store.get(key));
+
+export const getAllRecords = (storeName, query) => withStore(storeName, 'readonly', store => store.getAll(query));
+
+export const deleteRecord = (storeName, key) => withStore(storeName, 'readwrite', store => store.delete(key));
@@ -0,0 +1,132 @@
+// --- Speech Delivery Analytics ---
+// SpeechRecognition has no per-word timestamps, so each result event is stamped
+// with the running word count instead. Mic levels from audioLevel.js add voice
+// activity, which catches pauses the recogniser smooths over.
+// All times are performance.now() milliseconds.
+
+// RMS level that counts as voice; quieter than barge-in since nothing is playing
+export const SPEECH_LEVEL = 0.02;
+export const LONG_PAUSE_SECONDS = 2;
+export const PACE_RANGE = { min: 120, max: 160 }; // comfortable interview pace, words per minute
+
+// Per interview language (see i18n.js); English loanwords are common in Hindi tech talk
+const FILLERS = {
+  en: ['um', 'uh', 'erm', 'hmm', 'like', 'you know', 'i mean', 'basically', 'actually', 'sort of', 'kind of'],
+  de: ['äh', 'ähm', 'öhm', 'hm', 'halt', 'sozusagen', 'quasi', 'irgendwie', 'eigentlich', 'weißt du'],
+  hi: ['हम्म', 'अं', 'मतलब', 'यानी', 'वैसे', 'basically', 'actually'],
+  es: ['eh', 'em', 'o sea', 'pues', 'bueno', 'digamos', 'en plan', 'tipo', 'sabes'],
+};
+
+export const countWords = (text) => text.split(/\s+/).filter(Boolean).length;
+
+export const countFillers = (text, language = 'en') => {
+  // \p{M} keeps Devanagari vowel signs attached to their letters
+  const normalized = ` ${text.toLowerCase().replace(/[^\p{L}\p{M}'\s]/gu, ' ').replace(/\s+/g, ' ')} `;
+  const byWord = {};
+  (FILLERS[language] || FILLERS.en).forEach(filler => {
+    const count = normalized.split(` ${filler} `).length - 1;
+    if (count) byWord[filler] = count;
+  });
+  return { total: Object.values(byWord).reduce((sum, n) => sum + n, 0), byWord };
+};
+
+// One tracker per question; `readyAt` moves to when the interviewer stops talking.
+export const createDeliveryTracker = (now, language) => {
+  let readyAt = now;
+  let finalText = '';
+  let interimText = '';
+  const wordTimes = []; // [{ time, words }] whenever the running count grows
+  const voicePauses = [];
+  let firstVoiceAt = null;
+  let lastVoiceAt = null;
+  let hasLevels = false;
+
+  const recordWords = (time, words) => {
+    if (words > (wordTimes[wordTimes.length - 1]?.words || 0)) wordTimes.push({ time, words });
+  };
+
+  // Pauses come from the mic when we have it, otherwise from gaps between recognition results
+  const getPauses = () => {
+    if (hasLevels) return voicePauses;
+    return wordTimes.slice(1).map((w, i) => w.time - wordTimes[i].time).filter(gap => gap > LONG_PAUSE_SECONDS * 1000);
+  };
+
+  // `text` defaults to what the recogniser heard; pass the submitted answer when it differs
+  const summarize = (time, text = `${finalText} ${interimText}`) => {
+    const words = countWords(text);
+    const firstWordAt = [wordTimes[0]?.time, firstVoiceAt].filter(t => t != null).sort((a, b) => a - b)[0] ?? null;
+    const lastWordAt = wordTimes[wordTimes.length - 1]?.time ?? time;
+    const speakingSeconds = firstWordAt === null ? 0 : Math.max(0, (Math.max(lastWordAt, lastVoiceAt ?? 0) - firstWordAt) / 1000);
+    const pauses = getPauses();
+    const fillers = countFillers(text, language);
+
+    return {
+      words,
+      // Too short a span gives meaningless rates
+      wpm: speakingSeconds >= 3 ? Math.round(words / (speakingSeconds / 60)) : null,
+      fillerCount: fillers.total,
+      fillers: fillers.byWord,
+      longPauses: pauses.length,
+      longestPause: pauses.length ? Math.round(Math.max(...pauses) / 100) / 10 : 0,
+      timeToFirstWord: firstWordAt === null ? null : Math.round(Math.max(0, firstWordAt - readyAt) / 100) / 10,
+    };
+  };
+
+  return {
+    markReady: (time) => {
+      if (!wordTimes.length && firstVoiceAt === null) readyAt = time;
+    },
+    onResult: ({ final, interim, time }) => {
+      if (final) finalText = `${finalText} ${final}`;
+      interimText = final ? '' : interim;
+      recordWords(time, countWords(`${finalText} ${interimText}`));
+    },
+    onLevel: (level, time) => {
+      hasLevels = true;
+      if (level <= SPEECH_LEVEL) return;
+      if (lastVoiceAt !== null && time - lastVoiceAt > LONG_PAUSE_SECONDS * 1000) voicePauses.push(time - lastVoiceAt);
+      if (firstVoiceAt === null) firstVoiceAt = time;
+      lastVoiceAt = time;
+    },
+    summarize,
+  };
+};
+
+// Interview-wide totals from the per-answer summaries stored on user messages.
+export const summarizeDelivery = (answers) => {
+  const measured = answers.filter(Boolean).filter(a => a.words > 0);
+  if (!measured.length) return null;
+
+  const paced = measured.filter(a => a.wpm);
+  const words = measured.reduce((sum, a) => sum + a.words, 0);
+  const fillerCount = measured.reduce((sum, a) => sum + a.fillerCount, 0);
+  const fillers = {};
+  measured.forEach(a => Object.entries(a.fillers).forEach(([word, n]) => { fillers[word] = (fillers[word] || 0) + n; }));
+  const firstWords = measured.map(a => a.timeToFirstWord).filter(t => t !== null);
+
+  return {
+    answers: measured.length,
+    words,
+    // Weighted by words so one rushed one-liner doesn't skew the pace
+    wpm: paced.length ? Math.round(paced.reduce((sum, a) => sum + a.wpm * a.words, 0) / paced.reduce((sum, a) => sum + a.words, 0)) : null,
+    fillerCount,
+    fillersPer100Words: Math.round((fillerCount / words) * 1000) / 10,
+    fillers,
+    longPauses: measured.reduce((sum, a) => sum + a.longPauses, 0),
+    avgTimeToFirstWord: firstWords.length ? Math.round((firstWords.reduce((sum, t) => sum + t, 0) / firstWords.length) * 10) / 10 : null,
+  };
+};
+
+export const formatFillers = (fillers) => Object.entries(fillers)
+  .sort((a, b) => b[1] - a[1])
+  .map(([word, n]) => `"${word}" ×${n}`)
+  .join(', ');
+
+// Measured facts for the feedback prompt, so the communication analysis isn't pure opinion
+export const describeDeliveryForFeedback = (summary) => [
+  `Delivery metrics measured from the candidate's audio (${summary.answers} spoken answer${summary.answers === 1 ? '' : 's'}):`,
+  `- Overall pace: ${summary.wpm ?? 'unknown'} wpm (comfortable range ${PACE_RANGE.min}-${PACE_RANGE.max})`,
+  `- Filler words: ${summary.fillerCount} (${summary.fillersPer100Words} per 100 words)${summary.fillerCount ? `: ${formatFillers(summary.fillers)}` : ''}`,
+  `- Long pauses (over ${LONG_PAUSE_SECONDS}s): ${summary.longPauses}`,
+  `- Average time to first word: ${summary.avgTimeToFirstWord ?? 'unknown'}s`,
+].join('\n');
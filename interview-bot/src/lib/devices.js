@@ -0,0 +1,34 @@
+// --- Camera & Microphone Selection ---
+// Browsers hide device labels until the page has been granted camera or mic
+// access once, so the setup screen may show numbered devices until then.
+
+export const listMediaDevices = async () => {
+  if (!navigator.mediaDevices?.enumerateDevices) return { audioInputs: [], videoInputs: [] };
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return {
+    audioInputs: devices.filter(d => d.kind === 'audioinput' && d.deviceId),
+    videoInputs: devices.filter(d => d.kind === 'videoinput' && d.deviceId),
+  };
+};
+
+export const hasDeviceLabels = ({ audioInputs, videoInputs }) => [...audioInputs, ...videoInputs].some(d => d.label);
+
+// Calls `onChange` when a device is plugged in or removed; returns the unsubscribe function.
+export const watchMediaDevices = (onChange) => {
+  if (!navigator.mediaDevices?.addEventListener) return () => {};
+  navigator.mediaDevices.addEventListener('devicechange', onChange);
+  return () => navigator.mediaDevices.removeEventListener('devicechange', onChange);
+};
+
+// A bare deviceId is only a preference, so an unplugged device falls back to the default.
+export const buildMediaConstraints = ({ micId, cameraId }) => ({
+  video: cameraId ? { deviceId: cameraId } : true,
+  audio: { echoCancellation: true, noiseSuppression: true, ...(micId && { deviceId: micId }) },
+});
+
+// Asks for access just to reveal device labels, then releases the devices again.
+export const unlockDeviceLabels = async () => {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true, video: true });
+  stream.getTracks().forEach(track => track.stop());
+  return listMediaDevices();
+};
@@ -0,0 +1,128 @@
+// --- Whiteboard Diagrams ---
+// A diagram is plain JSON: { nodes: [{ id, label, x, y, width, height }], edges: [{ id, from, to, label }] }.
+// The same object renders in the whiteboard, describes itself to the model as text,
+// and rasterises to a PNG attachment.
+
+export const NODE_WIDTH = 140;
+export const NODE_HEIGHT = 56;
+
+export const EMPTY_DIAGRAM = { nodes: [], edges: [] };
+
+const createId = () => Math.random().toString(36).slice(2, 10);
+
+export const isDiagramEmpty = (diagram) => !diagram || diagram.nodes.length === 0;
+
+export const addNode = (diagram, { x, y, label }) => ({
+  ...diagram,
+  nodes: [...diagram.nodes, { id: createId(), label, x: x - NODE_WIDTH / 2, y: y - NODE_HEIGHT / 2, width: NODE_WIDTH, height: NODE_HEIGHT }],
+});
+
+export const addEdge = (diagram, { from, to, label = '' }) => ({
+  ...diagram,
+  edges: [...diagram.edges, { id: createId(), from, to, label }],
+});
+
+export const updateItem = (diagram, type, id, changes) => ({
+  ...diagram,
+  [type]: diagram[type].map(item => (item.id === id ? { ...item, ...changes } : item)),
+});
+
+// Deleting a node also drops every arrow attached to it
+export const removeItem = (diagram, type, id) => (type === 'nodes'
+  ? {
+    nodes: diagram.nodes.filter(n => n.id !== id),
+    edges: diagram.edges.filter(e => e.from !== id && e.to !== id),
+  }
+  : { ...diagram, edges: diagram.edges.filter(e => e.id !== id) });
+
+const center = (node) => ({ x: node.x + node.width / 2, y: node.y + node.height / 2 });
+
+// Where the line from the node's centre towards (tx, ty) leaves its rectangle
+const borderPoint = (node, tx, ty) => {
+  const c = center(node);
+  const dx = tx - c.x;
+  const dy = ty - c.y;
+  if (dx === 0 && dy === 0) return c;
+  const scale = Math.min(
+    dx ? (node.width / 2) / Math.abs(dx) : Infinity,
+    dy ? (node.height / 2) / Math.abs(dy) : Infinity
+  );
+  return { x: c.x + dx * scale, y: c.y + dy * scale };
+};
+
+// Start and end of an arrow, clipped to the edges of both boxes
+export const getEdgePoints = (diagram, edge) => {
+  const from = diagram.nodes.find(n => n.id === edge.from);
+  const to = diagram.nodes.find(n => n.id === edge.to);
+  if (!from || !to) return null;
+  const start = borderPoint(from, center(to).x, center(to).y);
+  const end = borderPoint(to, center(from).x, center(from).y);
+  return { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
+};
+
+// Text form sent alongside the image, so text-only models still see the design
+export const describeDiagram = (diagram) => {
+  const name = (id) => diagram.nodes.find(n => n.id === id)?.label || '?';
+  const components = diagram.nodes.map(n => `- ${n.label}`).join('\n');
+  const connections = diagram.edges
+    .map(e => `- ${name(e.from)} -> ${name(e.to)}${e.label ? ` (${e.label})` : ''}`)
+    .join('\n');
+  return `Components:\n${components}\nConnections:\n${connections || '- none'}`;
+};
+
+const PADDING = 24;
+
+// Draws the diagram onto a canvas and returns it as a base64 PNG attachment.
+export const renderDiagramPng = (diagram, scale = 2) => {
+  const minX = Math.min(...diagram.nodes.map(n => n.x)) - PADDING;
+  const minY = Math.min(...diagram.nodes.map(n => n.y)) - PADDING;
+  const maxX = Math.max(...diagram.nodes.map(n => n.x + n.width)) + PADDING;
+  const maxY = Math.max(...diagram.nodes.map(n => n.y + n.height)) + PADDING;
+
+  const canvas = document.createElement('canvas');
+  canvas.width = (maxX - minX) * scale;
+  canvas.height = (maxY - minY) * scale;
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+  ctx.translate(-minX, -minY);
+
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(minX, minY, maxX - minX, maxY - minY);
+  ctx.font = '13px sans-serif';
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  diagram.edges.forEach(edge => {
+    const points = getEdgePoints(diagram, edge);
+    if (!points) return;
+    const { x1, y1, x2, y2 } = points;
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    ctx.strokeStyle = ctx.fillStyle = '#4b5563';
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.moveTo(x1, y1);
+    ctx.lineTo(x2, y2);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.moveTo(x2, y2);
+    ctx.lineTo(x2 - 10 * Math.cos(angle - 0.4), y2 - 10 * Math.sin(angle - 0.4));
+    ctx.lineTo(x2 - 10 * Math.cos(angle + 0.4), y2 - 10 * Math.sin(angle + 0.4));
+    ctx.fill();
+    if (edge.label) {
+      ctx.fillStyle = '#6b7280';
+      ctx.fillText(edge.label, (x1 + x2) / 2, (y1 + y2) / 2 - 10);
+    }
+  });
+
+  diagram.nodes.forEach(node => {
+    ctx.fillStyle = '#eef2ff';
+    ctx.strokeStyle = '#6366f1';
+    ctx.lineWidth = 2;
+    ctx.fillRect(node.x, node.y, node.width, node.height);
+    ctx.strokeRect(node.x, node.y, node.width, node.height);
+    ctx.fillStyle = '#1f2937';
+    ctx.fillText(node.label, node.x + node.width / 2, node.y + node.height / 2, node.width - 8);
+  });
+
+  return { mimeType: 'image/png', data: canvas.toDataURL('image/png').split(',')[1] };
+};
@@ -0,0 +1,92 @@
+// --- Document Text Extraction ---
+// Resumes are parsed entirely in the browser: PDFs with pdf.js, DOCX by
+// unzipping word/document.xml with DecompressionStream, TXT and Markdown as text.
+// Anything else is turned away before it's read.
+import pdfWorkerUrl from 'pdfjs-dist/build/pdf.worker.min.mjs?url';
+
+// Keeps prompts a sensible size; a resume rarely needs more
+export const MAX_DOCUMENT_CHARS = 12000;
+
+export const DOCUMENT_EXTENSIONS = ['pdf', 'docx', 'txt', 'md'];
+
+const extractPdfText = async (file) => {
+  // Loaded on demand so the setup screen doesn't pay for pdf.js up front
+  const pdfjs = await import('pdfjs-dist');
+  pdfjs.GlobalWorkerOptions.workerSrc = pdfWorkerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() }).promise;
+  const pages = [];
+  for (let i = 1; i <= pdf.numPages; i++) {
+    const content = await (await pdf.getPage(i)).getTextContent();
+    pages.push(content.items.map(item => item.str + (item.hasEOL ? '\n' : ' ')).join(''));
+  }
+  return pages.join('\n\n');
+};
+
+// Minimal ZIP reader: finds one entry through the central directory.
+// `fail(key)` throws the translated error for a broken or unsupported archive.
+const readZipEntry = async (buffer, entryName, fail) => {
+  const view = new DataView(buffer);
+  let eocd = buffer.byteLength - 22;
+  while (eocd >= 0 && view.getUint32(eocd, true) !== 0x06054b50) eocd--;
+  if (eocd < 0) fail('setup.invalidDocx');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+
+  for (let i = 0; i < entryCount; i++) {
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    if (name === entryName) {
+      const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+      const data = new Uint8Array(buffer, dataStart, compressedSize);
+      if (method === 0) return decoder.decode(data);
+      if (method !== 8) fail('setup.docxCompression');
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Response(stream).text();
+    }
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  fail('setup.invalidDocx');
+};
+
+const extractDocxText = async (file, fail) => {
+  const xml = await readZipEntry(await file.arrayBuffer(), 'word/document.xml', fail);
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  return Array.from(doc.getElementsByTagName('w:p'))
+    .map(paragraph => Array.from(paragraph.getElementsByTagName('*'))
+      .map(node => {
+        if (node.tagName === 'w:t') return node.textContent;
+        if (node.tagName === 'w:tab') return '\t';
+        if (node.tagName === 'w:br') return '\n';
+        return '';
+      })
+      .join(''))
+    .join('\n');
+};
+
+// Resolves to { text, truncated }; throws with a message in the caller's language on unsupported or broken files.
+export const extractDocumentText = async (file, { t }) => {
+  const fail = (key) => {
+    throw new Error(t(key, { name: file.name }));
+  };
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'doc') fail('setup.legacyDoc');
+  if (!DOCUMENT_EXTENSIONS.includes(extension)) fail('setup.fileType');
+
+  let text;
+  if (extension === 'pdf') text = await extractPdfText(file);
+  else if (extension === 'docx') text = await extractDocxText(file, fail);
+  else text = await file.text();
+
+  const cleaned = text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  if (!cleaned) fail('setup.noText');
+  return { text: cleaned.slice(0, MAX_DOCUMENT_CHARS), truncated: cleaned.length > MAX_DOCUMENT_CHARS };
+};
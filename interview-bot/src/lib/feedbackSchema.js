@@ -0,0 +1,93 @@
+// --- Feedback Report Schema ---
+// The shape endInterview asks the model for. It is sent as Gemini's
+// `responseSchema` and validated locally for every provider.
+import { STAR_PARTS, STAR_COVERAGE } from './behavioral';
+import { registerMockFixture } from './providers';
+
+const STRING = { type: 'STRING' };
+
+export const FEEDBACK_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    summary: STRING,
+    strengths: { type: 'ARRAY', items: STRING },
+    improvements: { type: 'ARRAY', items: STRING },
+    rating: { type: 'STRING', description: 'e.g. 8/10' },
+    technical_analysis: STRING,
+    communication_analysis: STRING,
+    // Optional sections, only requested when the interview had a coding round, a whiteboard diagram,
+    // job requirements, a panel or was behavioral
+    coding_analysis: { type: 'STRING', description: 'only if there was a coding round' },
+    design_analysis: { type: 'STRING', description: 'only if the candidate drew a whiteboard diagram' },
+    jd_fit: {
+      type: 'OBJECT',
+      description: 'only if job requirements were given',
+      properties: {
+        summary: STRING,
+        matched: { type: 'ARRAY', items: STRING, description: 'requirements the candidate demonstrated' },
+        gaps: { type: 'ARRAY', items: STRING, description: 'requirements they fell short on or never showed' },
+      },
+      required: ['summary', 'matched', 'gaps'],
+    },
+    panel: {
+      type: 'ARRAY',
+      description: 'only for panel interviews: one entry per panelist',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          persona: { type: 'STRING', description: 'the panelist\'s name' },
+          recommendation: { type: 'STRING', enum: ['strong_hire', 'hire', 'lean_hire', 'lean_no_hire', 'no_hire'] },
+          assessment: { type: 'STRING', description: 'their view from their focus area, in their own voice' },
+          concerns: { type: 'ARRAY', items: STRING },
+        },
+        required: ['persona', 'recommendation', 'assessment', 'concerns'],
+      },
+    },
+    competencies: {
+      type: 'ARRAY',
+      description: 'only for behavioral interviews: one entry per competency',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          competency: { type: 'STRING', description: 'the competency key, e.g. leadership' },
+          rating: { type: 'INTEGER', minimum: 1, maximum: 5, description: '1 = no evidence, 5 = outstanding' },
+          evidence: { type: 'STRING', description: 'what in the answers supports the rating' },
+        },
+        required: ['competency', 'rating', 'evidence'],
+      },
+    },
+    answers: {
+      type: 'ARRAY',
+      items: {
+        type: 'OBJECT',
+        properties: {
+          index: { type: 'INTEGER', description: 'matches the numbered answer' },
+          score: { type: 'STRING', description: 'e.g. 6/10' },
+          assessment: { type: 'STRING', description: 'how the answer measured up against the rubric' },
+          strong_answer: { type: 'STRING', description: 'what a strong answer would have covered' },
+          star: {
+            type: 'OBJECT',
+            description: 'only for behavioral interviews, on answers about a past situation',
+            properties: Object.fromEntries(STAR_PARTS.map(part => [part, { type: 'STRING', enum: STAR_COVERAGE }])),
+            required: STAR_PARTS,
+          },
+        },
+        required: ['index', 'score', 'assessment', 'strong_answer'],
+      },
+    },
+  },
+  required: ['summary', 'strengths', 'improvements', 'rating', 'technical_analysis', 'communication_analysis', 'answers'],
+};
+
+// The offline mock's report; per-answer scores fall back to "N/A" in mergeAnswerEvaluations
+registerMockFixture(FEEDBACK_SCHEMA, () => ({
+  summary: 'Generated by the offline mock provider; no model was consulted.',
+  strengths: ['Answered every question asked'],
+  improvements: ['Give more detail and concrete examples'],
+  answers: [],
+  rating: '6/10',
+  technical_analysis: 'Mock assessment: switch to a real provider for an actual review.',
+  communication_analysis: 'Mock assessment: no model listened to the answers.',
+}));
+
+export const FEEDBACK_MAX_ATTEMPTS = 3;
@@ -0,0 +1,40 @@
+// --- Interview Languages & UI Strings ---
+// An interview's language sets the speech recognition locale, the language the
+// model interviews and writes feedback in, and the UI strings on the interview screens.
+import en from '../locales/en';
+import de from '../locales/de';
+import hi from '../locales/hi';
+import es from '../locales/es';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// `speechLang` is the default SpeechRecognition / TTS locale; `name` is what prompts call it
+export const LANGUAGES = {
+  en: { label: 'English', name: 'English', speechLang: 'en-US' },
+  de: { label: 'Deutsch', name: 'German', speechLang: 'de-DE' },
+  hi: { label: 'हिन्दी', name: 'Hindi', speechLang: 'hi-IN' },
+  es: { label: 'Español', name: 'Spanish', speechLang: 'es-ES' },
+};
+
+const MESSAGES = { en, de, hi, es };
+
+export const getLanguage = (code) => LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+
+// Returns t(key, vars). A `count` var picks the `_one` / `_other` form for the
+// language; missing keys fall back to English, then to the key itself.
+export const createTranslator = (code) => {
+  const lang = LANGUAGES[code] ? code : DEFAULT_LANGUAGE;
+  const plurals = new Intl.PluralRules(lang);
+  const lookup = (key) => MESSAGES[lang][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+
+  return (key, vars = {}) => {
+    const text = ('count' in vars && (lookup(`${key}_${plurals.select(vars.count)}`) ?? lookup(`${key}_other`))) || lookup(key) || key;
+    return text.replace(/\{(\w+)\}/g, (match, name) => (name in vars ? String(vars[name]) : match));
+  };
+};
+
+// Prompt line for non-English interviews. JSON keys and code stay English so parsing and the sandbox are unaffected.
+export const describeLanguage = (code, what) => {
+  if (!LANGUAGES[code] || code === DEFAULT_LANGUAGE) return '';
+  return `Write ${what} in ${LANGUAGES[code].name}. Keep JSON keys, enum values, code and identifiers in English.`;
+};
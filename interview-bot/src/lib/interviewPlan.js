@@ -0,0 +1,91 @@
+// --- Interview Plan ---
+// A plan is an ordered list of phases, each with a number of main questions.
+// Behavioral phases may name the competency they probe (see behavioral.js).
+// The interview ends once every phase has been covered.
+import { getCompetencyLabel, describeCompetency } from './behavioral';
+
+export const PHASE_KINDS = {
+  intro: {
+    label: 'Introduction',
+    guidance: 'Warm up: ask the candidate to introduce themselves and their most relevant experience.',
+  },
+  technical: {
+    label: 'Technical',
+    guidance: 'Ask a technical question about the key skills, probing depth and edge cases.',
+  },
+  coding: {
+    label: 'Live Coding',
+    guidance: 'Run a live coding exercise: the problem appears in the candidate\'s editor. Discuss their approach, then review the code and test results they submit.',
+  },
+  system_design: {
+    label: 'System Design',
+    guidance: 'Pose a system design problem and explore architecture, scalability and trade-offs. The candidate can sketch on a whiteboard; ask about specific components in any diagram they share.',
+  },
+  behavioral: {
+    label: 'Behavioral',
+    guidance: 'Ask about a real past situation: teamwork, conflict, ownership or failure.',
+  },
+  candidate_questions: {
+    label: 'Candidate Questions',
+    guidance: 'Invite the candidate to ask you questions about the role or team, and answer briefly in character.',
+  },
+};
+
+export const DEFAULT_PLAN = [
+  { kind: 'intro', questions: 1 },
+  { kind: 'technical', questions: 3 },
+  { kind: 'system_design', questions: 1 },
+  { kind: 'behavioral', questions: 1 },
+  { kind: 'candidate_questions', questions: 1 },
+];
+
+export const getPhaseLabel = (phase) => phase.label
+  || (phase.competency && `${PHASE_KINDS[phase.kind]?.label}: ${getCompetencyLabel(phase.competency)}`)
+  || PHASE_KINDS[phase.kind]?.label
+  || phase.kind;
+
+export const getTotalQuestions = (plan) => plan.reduce((sum, phase) => sum + phase.questions, 0);
+
+// Setups saved before plans existed only had a flat question limit.
+export const resolvePlan = (config) => {
+  if (Array.isArray(config?.plan) && config.plan.length) return config.plan;
+  if (config?.questionLimit) return [{ kind: 'technical', questions: config.questionLimit }];
+  return DEFAULT_PLAN;
+};
+
+// Where the interview stands after `answered` main questions.
+export const getPlanPosition = (plan, answered) => {
+  let remaining = answered;
+  for (let i = 0; i < plan.length; i++) {
+    if (remaining < plan[i].questions) {
+      return {
+        done: false,
+        phaseIndex: i,
+        phase: plan[i],
+        questionInPhase: remaining + 1,
+        answered,
+        total: getTotalQuestions(plan),
+      };
+    }
+    remaining -= plan[i].questions;
+  }
+  return { done: true, phaseIndex: plan.length, phase: null, questionInPhase: 0, answered, total: getTotalQuestions(plan) };
+};
+
+// The overall structure, for the system prompt built in startInterview.
+export const describePlan = (plan, timeLimit) => {
+  const phases = plan
+    .map((phase, i) => `${i + 1}. ${getPhaseLabel(phase)}: ${phase.questions} question${phase.questions === 1 ? '' : 's'}`)
+    .join('\n');
+  return `Interview Plan (${getTotalQuestions(plan)} main questions, ${timeLimit} minute budget). Follow these phases in order and never skip ahead:\n${phases}`;
+};
+
+// Per-turn instruction appended to the system prompt so the model knows exactly what to ask next.
+export const describeCurrentPhase = (position, plan, minutesLeft) => {
+  const { phase, phaseIndex, questionInPhase } = position;
+  const guidance = [PHASE_KINDS[phase.kind]?.guidance, describeCompetency(phase)].filter(Boolean).join('\n');
+  const time = minutesLeft <= 0
+    ? 'The time budget is used up: keep this question short.'
+    : `About ${Math.ceil(minutesLeft)} minute${Math.ceil(minutesLeft) === 1 ? '' : 's'} remain.`;
+  return `Current Position: phase ${phaseIndex + 1} of ${plan.length} (${getPhaseLabel(phase)}), question ${questionInPhase} of ${phase.questions} in this phase. ${time}\n${guidance}${questionInPhase === 1 && phaseIndex > 0 ? ' Briefly signal the transition to this phase.' : ''}`;
+};
@@ -0,0 +1,106 @@
+// --- Interview Panel ---
+// A panel is a set of interviewer personas who take turns asking the main questions,
+// stored as `config.panel = { rotation, personas: [{ name, title, focus, tone }] }`.
+// Setups without one (or with an empty one) get the single default interviewer.
+// Bot messages record the index of the persona who asked them in `persona`.
+import { getPlanPosition } from './interviewPlan';
+
+export const PERSONA_PRESETS = [
+  { name: 'Priya', title: 'Hiring Manager', focus: 'impact, ownership and the scope of past work', tone: 'warm but direct' },
+  { name: 'Marcus', title: 'Tech Lead', focus: 'technical depth, trade-offs and edge cases', tone: 'curious and probing' },
+  { name: 'Sofia', title: 'HR Partner', focus: 'collaboration, values and culture add', tone: 'friendly and conversational' },
+  { name: 'Kenji', title: 'Staff Engineer', focus: 'architecture, scalability and long-term maintainability', tone: 'calm and precise' },
+  { name: 'Amara', title: 'Product Manager', focus: 'user impact, prioritization and working with other teams', tone: 'energetic and practical' },
+];
+
+export const DEFAULT_PANEL = { rotation: 'round_robin', personas: PERSONA_PRESETS.slice(0, 3) };
+
+// How the next main question picks its persona. Follow-ups always stay with whoever asked.
+export const ROTATIONS = {
+  round_robin: {
+    pick: (personas, plan, answered) => answered % personas.length,
+  },
+  // Each phase belongs to one persona, cycling through the panel phase by phase
+  by_phase: {
+    pick: (personas, plan, answered) => getPlanPosition(plan, answered).phaseIndex % personas.length,
+  },
+};
+
+// Avatar colors and voice pitches, assigned by position on the panel
+const PERSONA_STYLES = [
+  { avatar: 'bg-indigo-600', text: 'text-indigo-300', pitch: 1 },
+  { avatar: 'bg-emerald-600', text: 'text-emerald-300', pitch: 0.8 },
+  { avatar: 'bg-amber-600', text: 'text-amber-300', pitch: 1.2 },
+  { avatar: 'bg-rose-600', text: 'text-rose-300', pitch: 0.9 },
+  { avatar: 'bg-sky-600', text: 'text-sky-300', pitch: 1.1 },
+];
+
+export const getPersonaStyle = (index) => PERSONA_STYLES[index % PERSONA_STYLES.length];
+
+export const getInitials = (name) => name
+  .split(/\s+/)
+  .filter(Boolean)
+  .slice(0, 2)
+  .map(word => word[0].toUpperCase())
+  .join('') || '?';
+
+export const describePersona = (persona) => [persona.name, persona.title].filter(Boolean).join(', ');
+
+// The panel in use, or null for a solo interviewer. Personas without a name are dropped.
+export const resolvePanel = (config) => {
+  const personas = (config?.panel?.personas || [])
+    .filter(p => p.name?.trim())
+    .map(p => ({ name: p.name.trim(), title: p.title || '', focus: p.focus || '', tone: p.tone || '' }));
+  if (!personas.length) return null;
+  return { rotation: ROTATIONS[config.panel.rotation] ? config.panel.rotation : 'round_robin', personas };
+};
+
+// Index of the persona asking the question after `answered` main questions
+export const getPersonaForTurn = (panel, plan, answered) => {
+  if (!panel) return null;
+  const position = getPlanPosition(plan, answered);
+  // Once the plan is done the last phase's persona wraps up
+  return ROTATIONS[panel.rotation].pick(panel.personas, plan, position.done ? Math.max(0, answered - 1) : answered);
+};
+
+// For the system prompt built in startInterview
+export const describePanel = (panel) => {
+  if (!panel) return '';
+  const members = panel.personas
+    .map((p, i) => `${i + 1}. ${describePersona(p)}. Focus: ${p.focus || 'general'}. Tone: ${p.tone || 'professional'}.`)
+    .join('\n');
+  return `This is a panel interview. The panelists take turns; each turn you will be told who is speaking, and you speak only as that person, in the first person, staying within their focus and tone:\n${members}`;
+};
+
+// Per-turn instruction naming the speaker. `previous` is the persona who asked last (null at the start).
+export const describeSpeaker = (panel, index, previous) => {
+  if (!panel || index === null) return '';
+  const persona = panel.personas[index];
+  const handover = previous === null
+    ? ' Open by briefly introducing yourself and the rest of the panel.'
+    : previous !== index ? ` You are taking over from ${panel.personas[previous].name}: a short handover is fine.` : '';
+  return `Speaking this turn: ${describePersona(persona)} (focus: ${persona.focus || 'general'}; tone: ${persona.tone || 'professional'}). Do not prefix the reply with a name.${handover}`;
+};
+
+// For the feedback prompt: which answers each panelist heard
+export const describePanelForFeedback = (panel, answerPairs) => panel.personas.map((persona, i) => {
+  const questions = answerPairs
+    .map((pair, j) => (pair.persona === i ? j + 1 : null))
+    .filter(Boolean);
+  return `- ${describePersona(persona)} (focus: ${persona.focus || 'general'}) asked questions ${questions.length ? questions.join(', ') : 'none'}`;
+}).join('\n');
+
+// Lines the model's panel entries up with the personas, matching by name and falling
+// back to order, so every panelist gets a section even if the model skipped one.
+export const mergePanelAssessments = (panel, entries) => panel.personas.map((persona, i) => {
+  const list = Array.isArray(entries) ? entries : [];
+  const entry = list.find(e => e.persona?.trim().toLowerCase() === persona.name.trim().toLowerCase()) || list[i] || {};
+  return {
+    index: i,
+    name: persona.name,
+    title: persona.title || '',
+    recommendation: entry.recommendation || null,
+    assessment: entry.assessment || '',
+    concerns: entry.concerns || [],
+  };
+});
@@ -0,0 +1,60 @@
+// --- Pre-interview Checks ---
+// The lobby runs these before the clock starts. Each failure is reduced to a
+// short code so the UI can show a matching fix instead of the raw browser or API error.
+
+// Mic level (RMS) that counts as hearing the candidate, and how long the lobby
+// waits for it before suggesting the wrong mic is selected or it's muted.
+export const MIC_CHECK_LEVEL = 0.03;
+export const MIC_SILENCE_SECONDS = 8;
+
+// Share of the test phrase's words the recognizer must catch
+const PHRASE_MATCH_RATIO = 0.6;
+
+export const describeMediaError = (err) => {
+  if (!window.isSecureContext || !navigator.mediaDevices?.getUserMedia) return 'insecure';
+  switch (err?.name) {
+    case 'NotAllowedError':
+    case 'SecurityError':
+      return 'blocked';
+    case 'NotFoundError':
+    case 'OverconstrainedError':
+      return 'missing';
+    case 'NotReadableError':
+    case 'AbortError':
+      return 'busy';
+    default:
+      return 'failed';
+  }
+};
+
+// Providers throw ApiError; offline and network failures both mean the server
+// can't be reached at all (no connection, wrong base URL, CORS).
+export const classifyApiError = (err) => {
+  switch (err?.kind) {
+    case 'offline':
+    case 'network':
+      return 'unreachable';
+    case 'auth':
+      return 'bad-key';
+    case 'not-found':
+      return 'bad-model';
+    case 'rate-limited':
+      return 'rate-limited';
+    default:
+      return 'failed';
+  }
+};
+
+const toWords = (text) => text
+  .toLowerCase()
+  .replace(/[^\p{L}\p{M}\p{N}'\s]/gu, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+// Recognizers drop or mishear the odd word, so most of the phrase is enough
+export const matchesPhrase = (heard, phrase) => {
+  const heardWords = new Set(toWords(heard));
+  const phraseWords = toWords(phrase);
+  const found = phraseWords.filter(word => heardWords.has(word)).length;
+  return phraseWords.length > 0 && found / phraseWords.length >= PHRASE_MATCH_RATIO;
+};
@@ -0,0 +1,374 @@
+// --- LLM Providers ---
+// Every provider takes the app's chat history ({ role: 'user' | 'bot', text, images? })
+// plus an optional system instruction, and resolves to the model's reply text.
+// `images` are base64 attachments ({ mimeType, data }), e.g. a whiteboard snapshot.
+// `responseSchema` (see structured.js) asks for JSON output where the API supports it.
+// Failures are thrown as ApiError (see apiErrors.js); retrying is up to the caller.
+import { toJsonSchema } from './structured';
+import { ApiError, fromResponse, toApiError } from './apiErrors';
+
+const readError = async (response) => {
+  const errorData = await response.json().catch(() => ({}));
+  console.error("API Error Details:", errorData);
+  const message = errorData.error?.message || errorData.error || response.statusText;
+  return fromResponse(response, message);
+};
+
+const post = async (url, body, { headers = {}, signal } = {}) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...headers,
+      },
+      body: JSON.stringify(body),
+      signal
+    });
+  } catch (err) {
+    throw toApiError(err);
+  }
+
+  if (!response.ok) {
+    throw await readError(response);
+  }
+  return response;
+};
+
+const postJson = async (url, body, options) => (await post(url, body, options)).json();
+
+// Yields each complete line of a streamed response body.
+async function* readLines(response) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) yield line.trim();
+  }
+  if (buffer.trim()) yield buffer.trim();
+}
+
+// Server-Sent Events: only the `data:` payloads matter to us.
+async function* readSseData(response) {
+  for await (const line of readLines(response)) {
+    if (line.startsWith('data:')) yield line.slice(5).trim();
+  }
+}
+
+const trimSlash = (url) => url.replace(/\/+$/, '');
+
+// Chat-style APIs (OpenAI, Ollama) share the same message layout but attach
+// images differently, so each passes `withImages(msg)` to add its own fields.
+const toChatMessages = (messages, systemInstruction, withImages) => [
+  ...(systemInstruction ? [{ role: 'system', content: systemInstruction }] : []),
+  ...messages.map(msg => ({
+    role: msg.role === 'bot' ? 'assistant' : 'user',
+    content: msg.text,
+    ...(msg.images?.length ? withImages(msg) : {})
+  }))
+];
+
+// --- Gemini ---
+const toGeminiBody = (messages, systemInstruction, responseSchema) => ({
+  contents: messages.map(msg => ({
+    role: msg.role === 'bot' ? 'model' : 'user',
+    parts: [
+      { text: msg.text },
+      ...(msg.images || []).map(img => ({ inline_data: { mime_type: img.mimeType, data: img.data } }))
+    ]
+  })),
+  systemInstruction: systemInstruction ? {
+    parts: [{ text: systemInstruction }]
+  } : undefined,
+  generationConfig: responseSchema ? {
+    responseMimeType: 'application/json',
+    responseSchema
+  } : undefined
+});
+
+// A header rather than `?key=` keeps the key out of URLs, and so out of server and proxy logs.
+const geminiHeaders = (settings) => ({ 'x-goog-api-key': settings.apiKey || '' });
+
+const gemini = {
+  id: 'gemini',
+  label: 'Google Gemini',
+  defaultModel: 'gemini-2.5-flash-preview-09-2025',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  requiresKey: true,
+  generate: async ({ messages, systemInstruction, responseSchema, settings, signal }) => {
+    const url = `${trimSlash(settings.baseUrl)}/models/${settings.model}:generateContent`;
+
+    const data = await postJson(url, toGeminiBody(messages, systemInstruction, responseSchema), { headers: geminiHeaders(settings), signal });
+
+    if (!data.candidates || !data.candidates[0] || !data.candidates[0].content) {
+      throw new ApiError("No candidates returned from API", { kind: 'empty' });
+    }
+    return data.candidates[0].content.parts[0].text;
+  },
+  stream: async ({ messages, systemInstruction, settings, signal, onToken }) => {
+    const url = `${trimSlash(settings.baseUrl)}/models/${settings.model}:streamGenerateContent?alt=sse`;
+
+    const response = await post(url, toGeminiBody(messages, systemInstruction), { headers: geminiHeaders(settings), signal });
+    let text = '';
+
+    for await (const data of readSseData(response)) {
+      const chunk = JSON.parse(data).candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    }
+    if (!text) {
+      throw new ApiError("No candidates returned from API", { kind: 'empty' });
+    }
+    return text;
+  }
+};
+
+// --- OpenAI-compatible (/chat/completions) ---
+const toOpenAiImages = (msg) => ({
+  content: [
+    { type: 'text', text: msg.text },
+    ...msg.images.map(img => ({ type: 'image_url', image_url: { url: `data:${img.mimeType};base64,${img.data}` } }))
+  ]
+});
+
+const openaiHeaders = (settings) => (settings.apiKey ? { Authorization: `Bearer ${settings.apiKey}` } : {});
+
+const openai = {
+  id: 'openai',
+  label: 'OpenAI-compatible',
+  defaultModel: 'gpt-4o-mini',
+  defaultBaseUrl: 'https://api.openai.com/v1',
+  requiresKey: false,
+  generate: async ({ messages, systemInstruction, responseSchema, settings, signal }) => {
+    const data = await postJson(
+      `${trimSlash(settings.baseUrl)}/chat/completions`,
+      {
+        model: settings.model,
+        messages: toChatMessages(messages, systemInstruction, toOpenAiImages),
+        // json_object is the most widely supported mode across compatible servers
+        response_format: responseSchema ? { type: 'json_object' } : undefined
+      },
+      { headers: openaiHeaders(settings), signal }
+    );
+
+    const text = data.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new ApiError("No choices returned from API", { kind: 'empty' });
+    }
+    return text;
+  },
+  stream: async ({ messages, systemInstruction, settings, signal, onToken }) => {
+    const response = await post(
+      `${trimSlash(settings.baseUrl)}/chat/completions`,
+      {
+        model: settings.model,
+        messages: toChatMessages(messages, systemInstruction, toOpenAiImages),
+        stream: true
+      },
+      { headers: openaiHeaders(settings), signal }
+    );
+    let text = '';
+
+    for await (const data of readSseData(response)) {
+      if (data === '[DONE]') break;
+      const chunk = JSON.parse(data).choices?.[0]?.delta?.content || '';
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+    }
+    return text;
+  }
+};
+
+// --- Ollama (local server) ---
+// Ollama takes raw base64 images next to the text rather than content parts.
+const toOllamaImages = (msg) => ({ images: msg.images.map(img => img.data) });
+
+const ollama = {
+  id: 'ollama',
+  label: 'Ollama (local)',
+  defaultModel: 'llama3.1',
+  defaultBaseUrl: 'http://localhost:11434',
+  requiresKey: false,
+  generate: async ({ messages, systemInstruction, responseSchema, settings, signal }) => {
+    const data = await postJson(`${trimSlash(settings.baseUrl)}/api/chat`, {
+      model: settings.model,
+      messages: toChatMessages(messages, systemInstruction, toOllamaImages),
+      format: responseSchema ? toJsonSchema(responseSchema) : undefined,
+      stream: false
+    }, { signal });
+
+    const text = data.message?.content;
+    if (typeof text !== 'string') {
+      throw new ApiError("No message returned from Ollama", { kind: 'empty' });
+    }
+    return text;
+  },
+  // Ollama streams newline-delimited JSON rather than SSE.
+  stream: async ({ messages, systemInstruction, settings, signal, onToken }) => {
+    const response = await post(`${trimSlash(settings.baseUrl)}/api/chat`, {
+      model: settings.model,
+      messages: toChatMessages(messages, systemInstruction, toOllamaImages),
+      stream: true
+    }, { signal });
+    let text = '';
+
+    for await (const line of readLines(response)) {
+      if (!line) continue;
+      const data = JSON.parse(line);
+      if (data.error) throw new ApiError(`Ollama Error: ${data.error}`, { kind: 'server' });
+      const chunk = data.message?.content || '';
+      if (chunk) {
+        text += chunk;
+        onToken(chunk);
+      }
+      if (data.done) break;
+    }
+    return text;
+  }
+};
+
+// --- Server proxy (proxy/ in this repo) ---
+// The key lives on the server, so the browser only sends the chat. An empty model
+// leaves the choice to the proxy's GEMINI_MODEL.
+const proxy = {
+  id: 'proxy',
+  label: 'Server proxy',
+  defaultModel: '',
+  defaultBaseUrl: '/api',
+  requiresKey: false,
+  generate: async ({ messages, systemInstruction, responseSchema, settings, signal }) => {
+    const data = await postJson(`${trimSlash(settings.baseUrl)}/interview/chat`, {
+      messages,
+      systemInstruction,
+      responseSchema,
+      model: settings.model || undefined
+    }, { signal });
+
+    if (typeof data.text !== 'string') {
+      throw new ApiError("No reply returned from the proxy", { kind: 'empty' });
+    }
+    return data.text;
+  },
+  stream: async ({ messages, systemInstruction, settings, signal, onToken }) => {
+    const response = await post(`${trimSlash(settings.baseUrl)}/interview/chat`, {
+      messages,
+      systemInstruction,
+      model: settings.model || undefined,
+      stream: true
+    }, { signal });
+    let text = '';
+
+    for await (const data of readSseData(response)) {
+      if (data === '[DONE]') break;
+      const event = JSON.parse(data);
+      if (event.error) throw new ApiError(`Proxy Error: ${event.error}`, { kind: 'server' });
+      if (event.text) {
+        text += event.text;
+        onToken(event.text);
+      }
+    }
+    return text;
+  }
+};
+
+// --- Scripted mock ---
+// Fully offline and deterministic: the same transcript always produces the same
+// replies, which keeps demos and tests reproducible.
+const MOCK_QUESTIONS = [
+  "Welcome! To start, can you walk me through a recent project you're proud of?",
+  "What was the hardest technical decision on that project, and how did you make it?",
+  "How would you design that system to handle ten times the current traffic?",
+  "Tell me about a bug that took you a long time to track down. How did you find it?",
+  "How do you decide when code is ready to ship?",
+  "What would you do differently if you started that project again today?",
+];
+
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+  const id = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(id);
+    reject(new DOMException('Aborted', 'AbortError'));
+  }, { once: true });
+});
+
+// Structured requests without a fixture get the simplest value that validates.
+const sampleFromSchema = (schema) => {
+  const type = schema.type.toUpperCase();
+  if (schema.enum) return schema.enum[0];
+  if (type === 'OBJECT') {
+    return Object.fromEntries(Object.entries(schema.properties || {}).map(([key, prop]) => [key, sampleFromSchema(prop)]));
+  }
+  if (type === 'ARRAY') return Array.from({ length: schema.minItems || 0 }, () => sampleFromSchema(schema.items));
+  if (type === 'INTEGER' || type === 'NUMBER') return schema.minimum ?? 0;
+  if (type === 'BOOLEAN') return false;
+  return 'mock';
+};
+
+// Richer offline replies, keyed by schema object. Feature modules register one next to
+// their schema when the bare sample wouldn't be useful (or wouldn't pass validation).
+const mockFixtures = new Map();
+
+export const registerMockFixture = (schema, build) => {
+  mockFixtures.set(schema, build);
+};
+
+const mock = {
+  id: 'mock',
+  label: 'Offline mock (scripted)',
+  defaultModel: 'scripted',
+  defaultBaseUrl: '',
+  requiresKey: false,
+  generate: async ({ messages, responseSchema }) => {
+    if (responseSchema) {
+      const build = mockFixtures.get(responseSchema);
+      return JSON.stringify(build ? build() : sampleFromSchema(responseSchema));
+    }
+    const asked = messages.filter(m => m.role === 'bot').length;
+    return MOCK_QUESTIONS[asked % MOCK_QUESTIONS.length];
+  },
+  // Replays the scripted reply word by word so streaming UI can be demoed offline.
+  stream: async ({ signal, onToken, ...request }) => {
+    const text = await mock.generate(request);
+    const words = text.split(/(?<=\s)/);
+    for (const word of words) {
+      await wait(40, signal);
+      onToken(word);
+    }
+    return text;
+  }
+};
+
+export const PROVIDERS = { gemini, openai, ollama, proxy, mock };
+
+export const DEFAULT_PROVIDER = PROVIDERS[import.meta.env.VITE_LLM_PROVIDER] ? import.meta.env.VITE_LLM_PROVIDER : 'gemini';
+
+export const getProviderDefaults = (providerId) => ({
+  provider: providerId,
+  model: PROVIDERS[providerId].defaultModel,
+  baseUrl: PROVIDERS[providerId].defaultBaseUrl,
+});
+
+// Streams through `onToken(chunk)` when given one; either way resolves to the full reply.
+export const generateReply = (settings, { messages, systemInstruction, responseSchema, signal, onToken }) => {
+  const provider = PROVIDERS[settings.provider];
+  if (!provider) {
+    throw new Error(`Unknown provider: ${settings.provider}`);
+  }
+  if (onToken && provider.stream && !responseSchema) {
+    return provider.stream({ messages, systemInstruction, settings, signal, onToken });
+  }
+  return provider.generate({ messages, systemInstruction, responseSchema, settings, signal });
+};
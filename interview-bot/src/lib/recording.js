@@ -0,0 +1,71 @@
+// --- Session Recording ---
+// Opt-in MediaRecorder capture of the interview's camera and mic stream, stored
+// locally under the session id. Chat messages carry `at` timestamps (epoch ms),
+// so a message's position in the video is `at - startedAt`.
+import { putRecord, getRecord, getAllRecords, deleteRecord } from './db';
+
+// Roughly 8 MB per minute of interview
+const VIDEO_BITS_PER_SECOND = 1_000_000;
+
+const MIME_TYPES = ['video/webm;codecs=vp9,opus', 'video/webm;codecs=vp8,opus', 'video/webm', 'video/mp4'];
+
+// Every chunk of one session's recording, in the order they were captured
+const chunkRange = (id) => IDBKeyRange.bound([id, 0], [id, Infinity]);
+
+export const isRecordingSupported = () => typeof MediaRecorder !== 'undefined';
+
+// Starts recording right away. Each one-second chunk goes to IndexedDB as it arrives, so a
+// crashed tab loses at most the last second. `stop()` stitches the chunks into the session's
+// recording and resolves to it; `discard()` drops them.
+export const startRecording = (stream, id) => {
+  const mimeType = MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+  const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: VIDEO_BITS_PER_SECOND });
+  const startedAt = Date.now();
+  let index = 0;
+  let writes = Promise.resolve();
+
+  recorder.ondataavailable = (e) => {
+    if (e.data.size === 0) return;
+    const chunk = { id, index: index++, data: e.data, mimeType: recorder.mimeType || mimeType || 'video/webm', startedAt, at: Date.now() };
+    writes = writes
+      .then(() => putRecord('recordingChunks', chunk))
+      .catch(err => console.error("Error saving recording chunk:", err));
+  };
+  recorder.start(1000);
+
+  // The last chunk is delivered before onstop fires
+  const halt = () => new Promise((resolve) => {
+    if (recorder.state === 'inactive') return resolve();
+    recorder.onstop = resolve;
+    recorder.stop();
+  }).then(() => writes);
+
+  return {
+    startedAt,
+    stop: () => halt().then(() => salvageRecording(id)),
+    discard: () => halt().then(() => discardRecording(id)),
+  };
+};
+
+// Turns whatever chunks reached the database into the session's recording, e.g. after a
+// crash. Resolves to { blob, mimeType, startedAt, duration }, or null if nothing was captured.
+export const salvageRecording = async (id) => {
+  const chunks = await getAllRecords('recordingChunks', chunkRange(id));
+  if (chunks.length === 0) return null;
+  const { mimeType, startedAt } = chunks[0];
+  const recording = {
+    blob: new Blob(chunks.map(chunk => chunk.data), { type: mimeType }),
+    mimeType,
+    startedAt,
+    duration: (chunks[chunks.length - 1].at - startedAt) / 1000,
+  };
+  await putRecord('recordings', { id, ...recording });
+  await discardRecording(id);
+  return recording;
+};
+
+export const discardRecording = (id) => deleteRecord('recordingChunks', chunkRange(id));
+
+export const getRecording = (id) => getRecord('recordings', id);
+
+export const deleteRecording = (id) => deleteRecord('recordings', id);
@@ -0,0 +1,306 @@
+// --- Report Export ---
+// A finished interview can leave the app three ways: a printable page (saved as PDF
+// from the print dialog), Markdown for notes, and a versioned JSON bundle that
+// parseReportBundle turns back into a session for the history screen.
+// Headings go through the caller's translator so exports match the report's language.
+import { validateSchema } from './structured';
+import { PACE_RANGE, LONG_PAUSE_SECONDS } from './delivery';
+import { summarizeRun } from './codingProblem';
+import { describeDiagram, renderDiagramPng } from './diagram';
+import { pairQuestionsAndAnswers, getQuestionTimings } from './sessions';
+import { describePersona } from './panel';
+import { STAR_PARTS } from './behavioral';
+
+export const REPORT_FORMAT = 'mock-interview-report';
+export const REPORT_VERSION = 1;
+
+const BUNDLE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    format: { type: 'STRING', enum: [REPORT_FORMAT] },
+    version: { type: 'INTEGER', maximum: REPORT_VERSION },
+    session: {
+      type: 'OBJECT',
+      properties: {
+        id: { type: 'STRING' },
+        createdAt: { type: 'NUMBER' },
+        config: {
+          type: 'OBJECT',
+          properties: { role: { type: 'STRING' } },
+          required: ['role'],
+        },
+        transcript: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: { role: { type: 'STRING' }, text: { type: 'STRING' } },
+            required: ['role', 'text'],
+          },
+        },
+        feedback: {
+          type: 'OBJECT',
+          properties: {
+            summary: { type: 'STRING' },
+            rating: { type: 'STRING' },
+            strengths: { type: 'ARRAY', items: { type: 'STRING' } },
+            improvements: { type: 'ARRAY', items: { type: 'STRING' } },
+          },
+          required: ['summary', 'rating', 'strengths', 'improvements'],
+        },
+      },
+      required: ['id', 'createdAt', 'config', 'transcript', 'feedback'],
+    },
+  },
+  required: ['format', 'version', 'session'],
+};
+
+export const serializeReportBundle = (session) => JSON.stringify({
+  format: REPORT_FORMAT,
+  version: REPORT_VERSION,
+  exportedAt: new Date().toISOString(),
+  session: {
+    id: session.id,
+    createdAt: session.createdAt,
+    completedAt: session.completedAt,
+    config: session.config,
+    transcript: session.transcript,
+    timings: session.timings,
+    feedback: session.feedback,
+  },
+}, null, 2);
+
+// Throws with a readable message, in the caller's language, if the file isn't a report bundle.
+export const parseReportBundle = (text, { filename, t }) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(t('history.importUnreadable', { filename, message: e.message }));
+  }
+
+  const errors = data && typeof data === 'object' ? validateSchema(data, BUNDLE_SCHEMA) : [t('history.importEmpty')];
+  if (errors.length) {
+    throw new Error(t('history.importInvalid', { errors: errors.slice(0, 5).join('\n') }));
+  }
+  const { session } = data;
+  return {
+    ...session,
+    completedAt: session.completedAt || session.createdAt,
+    // Older or hand-edited bundles may lack derived fields
+    timings: Array.isArray(session.timings) ? session.timings : getQuestionTimings(session.transcript),
+  };
+};
+
+// --- Printable and Markdown reports ---
+// Both render the same outline: sections made of text, list, code, image and sub-section blocks.
+
+const formatSeconds = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+const text = (value) => (value ? [{ type: 'text', text: value }] : []);
+const list = (items) => (items?.length ? [{ type: 'list', items }] : []);
+
+const buildOutline = (session, t, describeDelivery) => {
+  const report = session.feedback;
+  const answers = report.answers || pairQuestionsAndAnswers(session.transcript);
+  const { delivery } = report;
+
+  return [
+    { title: t('feedback.summary'), blocks: text(report.summary) },
+    { title: t('feedback.rating'), blocks: text(report.rating) },
+    report.competencies?.length > 0 && {
+      title: t('feedback.competencies'),
+      blocks: list(report.competencies.map(row => [
+        `${t(`competency.${row.competency}`)}: ${row.rating ? `${row.rating}/5` : t('feedback.notAssessed')}`,
+        row.evidence,
+      ].filter(Boolean).join(' · '))),
+    },
+    { title: t('feedback.strengths'), blocks: list(report.strengths) },
+    { title: t('feedback.improvements'), blocks: list(report.improvements) },
+    { title: t(report.competencies ? 'feedback.substance' : 'feedback.technical'), blocks: text(report.technical_analysis) },
+    {
+      title: t('feedback.communication'),
+      blocks: [
+        ...list(delivery && [
+          `${t('feedback.pace')}: ${delivery.wpm ? t('delivery.wpm', { wpm: delivery.wpm }) : '--'} (${t('feedback.paceHint', PACE_RANGE)})`,
+          `${t('feedback.fillerWords')}: ${delivery.fillerCount} (${t('feedback.fillersHint', { rate: delivery.fillersPer100Words })})`,
+          `${t('feedback.longPauses')}: ${delivery.longPauses} (${t('feedback.longPausesHint', { seconds: LONG_PAUSE_SECONDS })})`,
+          `${t('feedback.firstWord')}: ${delivery.avgTimeToFirstWord !== null ? `${delivery.avgTimeToFirstWord}s` : '--'} (${t('feedback.firstWordHint')})`,
+        ]),
+        ...text(report.communication_analysis),
+      ],
+    },
+    report.coding?.length > 0 && {
+      title: t('feedback.coding'),
+      blocks: [
+        ...report.coding.map(round => ({
+          type: 'section',
+          title: round.problem.title,
+          blocks: [
+            { type: 'code', text: round.code },
+            ...list(round.runs.length
+              ? round.runs.map((run, j) => t(run.submitted ? 'feedback.runSubmitted' : 'feedback.run', { number: j + 1, ...summarizeRun(run) }))
+              : [t('feedback.neverRun')]),
+          ],
+        })),
+        ...text(report.coding_analysis),
+      ],
+    },
+    report.diagram && {
+      title: t('feedback.design'),
+      blocks: [
+        { type: 'image', diagram: report.diagram },
+        ...text(report.design_analysis),
+      ],
+    },
+    report.panel?.length > 0 && {
+      title: t('feedback.panel'),
+      blocks: report.panel.map(member => ({
+        type: 'section',
+        title: [describePersona(member), member.recommendation && t(`recommendation.${member.recommendation}`)].filter(Boolean).join(' · '),
+        blocks: [...text(member.assessment), ...list(member.concerns)],
+      })),
+    },
+    report.jd_fit && {
+      title: t('feedback.jdFit'),
+      blocks: [
+        ...text(report.jd_fit.summary),
+        { type: 'section', title: t('feedback.demonstrated'), blocks: list(report.jd_fit.matched) },
+        { type: 'section', title: t('feedback.gaps'), blocks: list(report.jd_fit.gaps) },
+      ],
+    },
+    answers.length > 0 && {
+      title: t('feedback.breakdown'),
+      blocks: answers.map((item, i) => ({
+        type: 'section',
+        title: [
+          t('feedback.questionNumber', { number: i + 1 }),
+          item.followUp ? t('feedback.followUp') : null,
+          item.competency ? t(`competency.${item.competency}`) : null,
+          report.panel?.[item.persona]?.name,
+          item.score,
+          item.seconds !== null && item.seconds !== undefined ? formatSeconds(item.seconds) : null,
+        ].filter(Boolean).join(' · '),
+        blocks: [
+          { type: 'section', title: t('feedback.question'), blocks: text(item.question) },
+          { type: 'section', title: t('feedback.yourAnswer'), blocks: [{ type: 'quote', text: item.answer }] },
+          ...text(item.delivery && `${t('feedback.delivery')} ${describeDelivery(item.delivery)}`),
+          ...text(item.decision && `${t('feedback.nextMove')} ${t(`decision.${item.decision}`)}`),
+          ...text(item.star && `${t('feedback.star')}: ${STAR_PARTS.map(part => `${t(`star.${part}`)}: ${t(`starCoverage.${item.star[part]}`)}`).join(' · ')}`),
+          ...(item.assessment ? [{ type: 'section', title: t('feedback.assessment'), blocks: text(item.assessment) }] : []),
+          ...(item.strong_answer ? [{ type: 'section', title: t('feedback.strongAnswer'), blocks: text(item.strong_answer) }] : []),
+        ],
+      })),
+    },
+  ].filter(section => section && section.blocks.length > 0);
+};
+
+const describeSession = (session, locale) => [
+  session.config.role,
+  session.config.experience,
+  new Date(session.createdAt).toLocaleString(locale),
+].filter(Boolean).join(' · ');
+
+// `describeDelivery(delivery)` formats an answer's delivery metrics (the report screen's wording).
+export const buildReportMarkdown = (session, { t, locale, describeDelivery }) => {
+  const renderBlocks = (blocks, depth) => blocks.map(block => {
+    switch (block.type) {
+      case 'text':
+        return block.text;
+      case 'list':
+        return block.items.map(item => `- ${item}`).join('\n');
+      case 'quote':
+        return block.text.split('\n').map(line => `> ${line}`).join('\n');
+      case 'code':
+        return `\`\`\`\n${block.text}\n\`\`\``;
+      case 'image':
+        return `\`\`\`\n${describeDiagram(block.diagram)}\n\`\`\``;
+      case 'section':
+        return `${'#'.repeat(depth)} ${block.title}\n\n${renderBlocks(block.blocks, depth + 1)}`;
+      default:
+        return '';
+    }
+  }).join('\n\n');
+
+  const sections = buildOutline(session, t, describeDelivery)
+    .map(section => renderBlocks([{ type: 'section', ...section }], 2));
+  return `# ${t('feedback.title')}\n\n_${describeSession(session, locale)}_\n\n${sections.join('\n\n')}\n`;
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const PRINT_STYLES = `
+  body { font-family: system-ui, sans-serif; color: #1f2937; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.6rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.15rem; border-bottom: 1px solid #e5e7eb; padding-bottom: 0.25rem; margin-top: 1.75rem; }
+  h3 { font-size: 1rem; margin-top: 1.25rem; }
+  h4, h5 { font-size: 0.8rem; text-transform: uppercase; letter-spacing: 0.05em; color: #6b7280; margin: 0.75rem 0 0.25rem; }
+  .meta { color: #6b7280; font-size: 0.9rem; }
+  blockquote { margin: 0; padding: 0.5rem 0.75rem; background: #f9fafb; border-left: 3px solid #c7d2fe; white-space: pre-wrap; }
+  pre { background: #f3f4f6; padding: 0.75rem; font-size: 0.8rem; white-space: pre-wrap; }
+  img { max-width: 100%; border: 1px solid #e5e7eb; }
+  section { break-inside: avoid; }
+`;
+
+export const buildReportHtml = (session, { t, locale, describeDelivery }) => {
+  const renderBlocks = (blocks, depth) => blocks.map(block => {
+    switch (block.type) {
+      case 'text':
+        return `<p>${escapeHtml(block.text)}</p>`;
+      case 'list':
+        return `<ul>${block.items.map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>`;
+      case 'quote':
+        return `<blockquote>${escapeHtml(block.text)}</blockquote>`;
+      case 'code':
+        return `<pre>${escapeHtml(block.text)}</pre>`;
+      case 'image': {
+        const png = renderDiagramPng(block.diagram);
+        return `<img src="data:${png.mimeType};base64,${png.data}" alt="">`;
+      }
+      case 'section': {
+        const tag = `h${Math.min(depth, 5)}`;
+        return `<section><${tag}>${escapeHtml(block.title)}</${tag}>${renderBlocks(block.blocks, depth + 1)}</section>`;
+      }
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  const sections = buildOutline(session, t, describeDelivery)
+    .map(section => renderBlocks([{ type: 'section', ...section }], 2));
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(locale)}">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(`${t('feedback.title')} · ${session.config.role}`)}</title>
+<style>${PRINT_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(t('feedback.title'))}</h1>
+<p class="meta">${escapeHtml(describeSession(session, locale))}</p>
+${sections.join('\n')}
+</body>
+</html>`;
+};
+
+// Prints from a hidden frame so the app itself stays untouched; "Save as PDF" in the
+// browser's print dialog produces the PDF.
+export const printHtml = (html) => {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  document.body.appendChild(frame);
+
+  // document.open() drops the frame window's listeners, so afterprint is hooked up once it's written
+  frame.contentDocument.open();
+  frame.contentDocument.write(html);
+  frame.contentDocument.close();
+  frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+  frame.contentWindow.focus();
+  frame.contentWindow.print();
+};
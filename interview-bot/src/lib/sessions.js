@@ -0,0 +1,49 @@
+// --- Interview Sessions ---
+// Completed interviews saved locally so they can be reviewed or re-run later.
+import { putRecord, getAllRecords, deleteRecord } from './db';
+
+export const createSessionId = () =>
+  (crypto.randomUUID ? crypto.randomUUID() : `${Date.now()}-${Math.random().toString(36).slice(2)}`);
+
+// Pairs every answer with the question it responded to and how long it took.
+export const pairQuestionsAndAnswers = (transcript) => transcript.reduce((pairs, msg, i) => {
+  if (msg.role === 'user') {
+    const question = transcript.slice(0, i).filter(m => m.role === 'bot').slice(-1)[0];
+    pairs.push({
+      question: question?.text || '',
+      answer: msg.text,
+      seconds: msg.duration ?? null,
+      followUp: Boolean(question?.followUp),
+      decision: msg.assessment?.decision || null,
+      delivery: msg.delivery || null,
+      persona: question?.persona ?? null,
+      competency: question?.competency ?? null,
+    });
+  }
+  return pairs;
+}, []);
+
+export const getQuestionTimings = (transcript) =>
+  pairQuestionsAndAnswers(transcript).map(({ question, seconds }) => ({ question, seconds }));
+
+export const buildSessionRecord = ({ id, createdAt, completedAt = Date.now(), config, chatHistory, feedback }) => {
+  const transcript = chatHistory.filter(m => m.role !== 'system_hidden');
+  return {
+    id,
+    createdAt,
+    completedAt,
+    config,
+    transcript,
+    timings: getQuestionTimings(transcript),
+    feedback,
+  };
+};
+
+export const saveSession = (session) => putRecord('sessions', session);
+
+export const listSessions = async () => {
+  const sessions = await getAllRecords('sessions');
+  return sessions.sort((a, b) => b.createdAt - a.createdAt);
+};
+
+export const deleteSession = (id) => deleteRecord('sessions', id);
@@ -0,0 +1,59 @@
+// --- Text-to-Speech ---
+// Thin wrapper around the Web Speech `speechSynthesis` API for the interviewer's voice.
+
+export const isSpeechSynthesisSupported = () =>
+  typeof window !== 'undefined' && 'speechSynthesis' in window;
+
+// Accents for the interviewer's voice and speech recognition; the setup screen
+// offers those matching the interview language (see i18n.js).
+export const TTS_LANGUAGES = [
+  { code: 'en-US', label: 'English (US)' },
+  { code: 'en-GB', label: 'English (UK)' },
+  { code: 'en-IN', label: 'English (India)' },
+  { code: 'en-AU', label: 'English (Australia)' },
+  { code: 'de-DE', label: 'Deutsch (Deutschland)' },
+  { code: 'de-AT', label: 'Deutsch (Österreich)' },
+  { code: 'de-CH', label: 'Deutsch (Schweiz)' },
+  { code: 'hi-IN', label: 'हिन्दी (भारत)' },
+  { code: 'es-ES', label: 'Español (España)' },
+  { code: 'es-MX', label: 'Español (México)' },
+  { code: 'es-US', label: 'Español (Estados Unidos)' },
+];
+
+// Chrome populates voices asynchronously, so wait for `voiceschanged` if the list is empty.
+export const loadVoices = () => new Promise((resolve) => {
+  if (!isSpeechSynthesisSupported()) return resolve([]);
+
+  const voices = window.speechSynthesis.getVoices();
+  if (voices.length) return resolve(voices);
+
+  const onChange = () => {
+    window.speechSynthesis.removeEventListener('voiceschanged', onChange);
+    resolve(window.speechSynthesis.getVoices());
+  };
+  window.speechSynthesis.addEventListener('voiceschanged', onChange);
+  // Some browsers never fire the event; don't hang the setup screen on them
+  setTimeout(onChange, 2000);
+});
+
+// Resolves once the utterance finishes or is cancelled.
+export const speak = (text, { voiceURI, rate = 1, pitch = 1, lang = 'en-US', onStart } = {}) => new Promise((resolve) => {
+  if (!isSpeechSynthesisSupported() || !text) return resolve();
+
+  window.speechSynthesis.cancel();
+  const utterance = new SpeechSynthesisUtterance(text);
+  utterance.lang = lang;
+  utterance.rate = rate;
+  utterance.pitch = pitch;
+  const voice = window.speechSynthesis.getVoices().find(v => v.voiceURI === voiceURI);
+  if (voice) utterance.voice = voice;
+
+  utterance.onstart = () => onStart && onStart();
+  utterance.onend = () => resolve();
+  utterance.onerror = () => resolve();
+  window.speechSynthesis.speak(utterance);
+});
+
+export const cancelSpeech = () => {
+  if (isSpeechSynthesisSupported()) window.speechSynthesis.cancel();
+};
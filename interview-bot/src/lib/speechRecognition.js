@@ -0,0 +1,128 @@
+// --- Speech Recognition ---
+// Wraps the Web Speech `SpeechRecognition` API in a small state machine. Chrome
+// ends continuous recognition after a stretch of silence (and roughly every
+// minute regardless), so while the app wants to listen every `onend` is followed
+// by a restart. Errors are sorted into transient ones, retried quietly, and fatal
+// ones that need the user.
+//
+// States: idle → starting → listening → (stopping → idle | restarting → starting)
+// and `error` when recognition can't continue; `unsupported` without the API.
+
+const RESTART_DELAY_MS = 250;
+const MAX_NETWORK_RETRIES = 4; // backs off 0.5s, 1s, 2s, 4s before giving up
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+const getRecognitionClass = () => (typeof window === 'undefined' ? null : window.SpeechRecognition || window.webkitSpeechRecognition || null);
+
+export const isSpeechRecognitionSupported = () => Boolean(getRecognitionClass());
+
+// `onStatusChange({ state, error })` gets every transition; `error` is the event's
+// error code (`not-allowed`, `network`...) in the `error` state.
+// `getAudioTrack` picks the microphone where the browser supports `start(track)`;
+// older ones ignore the argument and use the default input.
+export const createRecognizer = ({ lang, onResult, onStatusChange, getAudioTrack = () => undefined }) => {
+  const SpeechRecognition = getRecognitionClass();
+  if (!SpeechRecognition) return null;
+
+  const recognition = new SpeechRecognition();
+  recognition.continuous = true;
+  recognition.interimResults = true;
+  if (lang) recognition.lang = lang;
+
+  let state = 'idle';
+  let wanted = false; // whether the app currently wants to be listening
+  let fatalError = null;
+  let networkFailures = 0;
+  let restartTimer = null;
+
+  const setState = (next, error = null) => {
+    state = next;
+    onStatusChange?.({ state, error });
+  };
+
+  const begin = () => {
+    restartTimer = null;
+    setState('starting');
+    try {
+      recognition.start(getAudioTrack());
+    } catch (err) {
+      // InvalidStateError: a previous session is still winding down; its onend restarts us
+      if (err.name !== 'InvalidStateError') {
+        console.error("Speech recognition failed to start:", err);
+        setState('error', 'start-failed');
+      }
+    }
+  };
+
+  recognition.onstart = () => {
+    if (wanted) setState('listening');
+    else recognition.stop();
+  };
+
+  recognition.onresult = (event) => {
+    networkFailures = 0;
+    let interim = '';
+    let final = '';
+    for (let i = event.resultIndex; i < event.results.length; ++i) {
+      if (event.results[i].isFinal) final += event.results[i][0].transcript;
+      else interim += event.results[i][0].transcript;
+    }
+    onResult?.({ final, interim });
+  };
+
+  recognition.onerror = (event) => {
+    // `no-speech` and `aborted` just end the session; onend decides what happens next
+    if (event.error === 'no-speech' || event.error === 'aborted') return;
+    if (event.error === 'network') {
+      networkFailures++;
+      return;
+    }
+    if (FATAL_ERRORS.includes(event.error)) {
+      fatalError = event.error === 'service-not-allowed' ? 'not-allowed' : event.error;
+      return;
+    }
+    console.error("Speech recognition error", event.error);
+  };
+
+  recognition.onend = () => {
+    if (fatalError) return setState('error', fatalError);
+    if (!wanted) return setState('idle');
+    if (networkFailures > MAX_NETWORK_RETRIES) return setState('error', 'network');
+
+    setState('restarting');
+    const delay = networkFailures ? RESTART_DELAY_MS * 2 ** networkFailures : RESTART_DELAY_MS;
+    restartTimer = setTimeout(begin, delay);
+  };
+
+  return {
+    // Safe to call in any state. An error stays put until `retry()`, so a blocked
+    // mic doesn't re-prompt every time the interviewer finishes a question.
+    start: () => {
+      wanted = true;
+      if (state === 'idle') begin();
+    },
+    retry: () => {
+      wanted = true;
+      if (state !== 'error') return;
+      fatalError = null;
+      networkFailures = 0;
+      begin();
+    },
+    stop: () => {
+      wanted = false;
+      if (restartTimer) {
+        clearTimeout(restartTimer);
+        restartTimer = null;
+        setState('idle');
+      }
+      if (state === 'starting' || state === 'listening') {
+        setState('stopping');
+        recognition.stop();
+      }
+    },
+    // Takes effect from the next (re)start
+    setLang: (next) => {
+      recognition.lang = next;
+    },
+  };
+};
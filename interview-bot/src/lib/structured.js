@@ -0,0 +1,131 @@
+// --- Structured Output ---
+// Schemas use the OpenAPI subset Gemini accepts as `responseSchema`
+// (type, properties, required, items, enum, minimum, maximum, description),
+// so the same object drives the request and the local validation.
+
+export class StructuredOutputError extends Error {
+  constructor(message, { errors = [], raw = '', attempts = 0 } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.errors = errors;
+    this.raw = raw;
+    this.attempts = attempts;
+  }
+}
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'ARRAY';
+  if (value === null) return 'NULL';
+  if (Number.isInteger(value)) return 'INTEGER';
+  return { string: 'STRING', number: 'NUMBER', boolean: 'BOOLEAN', object: 'OBJECT' }[typeof value] || 'UNKNOWN';
+};
+
+// Returns a list of human-readable problems; an empty list means the value conforms.
+export const validateSchema = (value, schema, path = '$') => {
+  const expected = schema.type.toUpperCase();
+  const actual = typeOf(value);
+
+  if (value === null && schema.nullable) return [];
+  if (actual !== expected && !(expected === 'NUMBER' && actual === 'INTEGER')) {
+    return [`${path} should be ${expected.toLowerCase()} but was ${actual.toLowerCase()}`];
+  }
+
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} should be >= ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} should be <= ${schema.maximum}`);
+
+  if (expected === 'OBJECT') {
+    (schema.required || []).forEach(key => {
+      if (!(key in value)) errors.push(`${path}.${key} is required`);
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propSchema]) => {
+      if (key in value) errors.push(...validateSchema(value[key], propSchema, `${path}.${key}`));
+    });
+  }
+
+  if (expected === 'ARRAY') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  return errors;
+};
+
+// Renders a schema as the example JSON we show providers that can't enforce one.
+export const describeSchema = (schema, indent = '') => {
+  const type = schema.type.toUpperCase();
+  const note = schema.description ? ` (${schema.description})` : '';
+
+  if (type === 'OBJECT') {
+    const inner = `${indent}  `;
+    const fields = Object.entries(schema.properties || {})
+      .map(([key, prop]) => `${inner}"${key}": ${describeSchema(prop, inner)}`);
+    return `{\n${fields.join(',\n')}\n${indent}}`;
+  }
+  if (type === 'ARRAY') return `[${describeSchema(schema.items, indent)}]`;
+  if (schema.enum) return `${schema.enum.map(v => JSON.stringify(v)).join(' | ')}${note ? ` ${note}` : ''}`;
+  return `"${type.toLowerCase()}${note}"`;
+};
+
+// Same schema in standard JSON Schema casing, for APIs that take that instead.
+export const toJsonSchema = (schema) => {
+  const { type, properties, items, ...rest } = schema;
+  return {
+    ...rest,
+    type: type.toLowerCase(),
+    ...(properties && {
+      properties: Object.fromEntries(Object.entries(properties).map(([key, prop]) => [key, toJsonSchema(prop)]))
+    }),
+    ...(items && { items: toJsonSchema(items) }),
+  };
+};
+
+// Asks for JSON matching `schema`, re-prompting with the validation errors
+// up to `maxAttempts` times. `generate(messages, signal)` must resolve to the raw reply.
+// `validate(parsed)` can add checks the schema can't express; it runs only once
+// the value matches the schema and returns a list of problems like validateSchema.
+// Aborting `signal` rejects with the AbortError instead of asking again.
+export const generateStructured = async ({ generate, messages, schema, validate, maxAttempts = 3, signal }) => {
+  let conversation = messages;
+  let raw = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    signal?.throwIfAborted();
+    raw = await generate(conversation, signal);
+
+    let parsed;
+    try {
+      parsed = JSON.parse(raw);
+      errors = validateSchema(parsed, schema);
+      if (errors.length === 0 && validate) errors = validate(parsed);
+    } catch (e) {
+      errors = [`Response is not valid JSON: ${e.message}`];
+    }
+
+    if (errors.length === 0) return parsed;
+    console.warn(`Structured output attempt ${attempt} failed validation`, errors);
+
+    conversation = [
+      ...conversation,
+      { role: 'bot', text: raw },
+      {
+        role: 'user',
+        text: `Your previous response did not match the required JSON schema:\n- ${errors.join('\n- ')}\n\nReply again with ONLY the corrected JSON object, no markdown fences or commentary.`
+      }
+    ];
+  }
+
+  throw new StructuredOutputError(`Model response did not match the expected format after ${maxAttempts} attempts.`, {
+    errors,
+    raw,
+    attempts: maxAttempts,
+  });
+};
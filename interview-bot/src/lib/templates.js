@@ -0,0 +1,170 @@
+// --- Interview Templates & Question Banks ---
+// Templates capture a full setup (mode, role, level, skills, rubric, language, plan, panel, time limit) and an
+// optional question bank. They are shared as "packs": JSON or YAML files that
+// hold one or more templates.
+import YAML from 'yaml';
+import { putRecord, getAllRecords, deleteRecord } from './db';
+import { createSessionId } from './sessions';
+import { validateSchema } from './structured';
+import { PHASE_KINDS, resolvePlan } from './interviewPlan';
+import { ROTATIONS, resolvePanel } from './panel';
+import { INTERVIEW_MODES, COMPETENCIES } from './behavioral';
+import { LANGUAGES, DEFAULT_LANGUAGE } from './i18n';
+
+export const PACK_FORMAT = 'mock-interview-pack';
+export const PACK_VERSION = 1;
+
+export const DEFAULT_TIME_LIMIT = 30; // minutes
+
+const STRING = { type: 'STRING' };
+
+const TEMPLATE_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    name: STRING,
+    mode: { type: 'STRING', enum: INTERVIEW_MODES },
+    role: STRING,
+    experience: STRING,
+    skills: STRING,
+    rubric: STRING,
+    language: { type: 'STRING', enum: Object.keys(LANGUAGES) },
+    plan: {
+      type: 'ARRAY',
+      minItems: 1,
+      items: {
+        type: 'OBJECT',
+        properties: {
+          kind: { type: 'STRING', enum: Object.keys(PHASE_KINDS) },
+          label: STRING,
+          competency: { type: 'STRING', enum: Object.keys(COMPETENCIES) },
+          questions: { type: 'INTEGER', minimum: 1, maximum: 20 },
+        },
+        required: ['kind', 'questions'],
+      },
+    },
+    panel: {
+      type: 'OBJECT',
+      nullable: true,
+      properties: {
+        rotation: { type: 'STRING', enum: Object.keys(ROTATIONS) },
+        personas: {
+          type: 'ARRAY',
+          minItems: 1,
+          items: {
+            type: 'OBJECT',
+            properties: { name: STRING, title: STRING, focus: STRING, tone: STRING },
+            required: ['name'],
+          },
+        },
+      },
+      required: ['personas'],
+    },
+    // Packs from before plans existed; converted to a single technical phase
+    questionLimit: { type: 'INTEGER', minimum: 1, maximum: 50 },
+    timeLimit: { type: 'NUMBER', minimum: 1, maximum: 240 },
+    questionBank: {
+      type: 'OBJECT',
+      nullable: true,
+      properties: {
+        name: STRING,
+        questions: {
+          type: 'ARRAY',
+          items: {
+            type: 'OBJECT',
+            properties: { text: STRING, topic: STRING, difficulty: STRING },
+            required: ['text'],
+          },
+        },
+      },
+      required: ['questions'],
+    },
+  },
+  required: ['name', 'role'],
+};
+
+const PACK_SCHEMA = {
+  type: 'OBJECT',
+  properties: {
+    format: { type: 'STRING', enum: [PACK_FORMAT] },
+    version: { type: 'INTEGER', maximum: PACK_VERSION },
+    templates: { type: 'ARRAY', items: TEMPLATE_SCHEMA, minItems: 1 },
+  },
+  required: ['format', 'version', 'templates'],
+};
+
+// Fills in anything an older or hand-written template left out.
+export const normalizeTemplate = (template) => ({
+  id: template.id || createSessionId(),
+  name: template.name,
+  mode: INTERVIEW_MODES.includes(template.mode) ? template.mode : 'technical',
+  role: template.role,
+  experience: template.experience || 'Mid-Level',
+  skills: template.skills || '',
+  rubric: template.rubric || '',
+  language: LANGUAGES[template.language] ? template.language : DEFAULT_LANGUAGE,
+  plan: resolvePlan(template),
+  panel: resolvePanel(template),
+  timeLimit: template.timeLimit || DEFAULT_TIME_LIMIT,
+  questionBank: template.questionBank?.questions?.length ? template.questionBank : null,
+  updatedAt: Date.now(),
+});
+
+export const listTemplates = async () => {
+  const templates = await getAllRecords('templates');
+  return templates.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const saveTemplate = (template) => putRecord('templates', template);
+
+export const deleteTemplate = (id) => deleteRecord('templates', id);
+
+// --- Packs ---
+
+// Throws with a readable, translated message if the file isn't a valid pack.
+export const parsePack = (text, { filename, t }) => {
+  if (!text.trim()) throw new Error(t('setup.packEmpty', { filename }));
+
+  let data;
+  try {
+    data = /\.ya?ml$/i.test(filename) ? YAML.parse(text) : JSON.parse(text);
+  } catch (e) {
+    throw new Error(t('setup.packUnreadable', { filename, message: e.message }));
+  }
+  // A YAML file of only comments or `null` parses, but holds nothing
+  if (data === null || data === undefined) throw new Error(t('setup.packEmpty', { filename }));
+  if (typeof data !== 'object' || Array.isArray(data)) throw new Error(t('setup.packNotMapping', { filename }));
+
+  // A bare template is accepted as a one-template pack
+  if (!data.templates && data.role) {
+    data = { format: PACK_FORMAT, version: PACK_VERSION, templates: [data] };
+  }
+
+  const errors = validateSchema(data, PACK_SCHEMA);
+  if (errors.length) {
+    throw new Error(t('setup.packInvalid', { errors: errors.slice(0, 5).join('\n') }));
+  }
+  // Imported templates always get fresh ids so they never overwrite local ones
+  return data.templates.map(template => normalizeTemplate({ ...template, id: null }));
+};
+
+export const serializePack = (templates, format = 'json') => {
+  const pack = {
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    templates: templates.map(({ name, mode, role, experience, skills, rubric, language, plan, panel, timeLimit, questionBank }) => ({
+      name, mode, role, experience, skills, rubric, language, plan, timeLimit,
+      ...(panel && { panel }),
+      ...(questionBank && { questionBank }),
+    })),
+  };
+  return format === 'yaml' ? YAML.stringify(pack) : JSON.stringify(pack, null, 2);
+};
+
+// Prompt section that pins the interviewer to the bank's questions.
+export const describeQuestionBank = (bank) => {
+  if (!bank?.questions?.length) return '';
+  const list = bank.questions
+    .map((q, i) => `${i + 1}. ${q.text}${q.topic ? ` [${q.topic}]` : ''}${q.difficulty ? ` (${q.difficulty})` : ''}`)
+    .join('\n');
+  return `Question Bank${bank.name ? ` (${bank.name})` : ''}: Draw every main question from this list, in order. You may rephrase slightly to fit the conversation and ask brief follow-ups, but do not invent new main questions.\n${list}`;
+};
@@ -0,0 +1,364 @@
+// German UI strings. Keys missing here fall back to en.js.
+export default {
+  'app.title': 'Mock Interview AI',
+  'app.tagline': 'Immersive Video-Oberfläche',
+
+  'common.questions_one': '{count} Frage',
+  'common.questions_other': '{count} Fragen',
+  'common.optional': '(optional)',
+  'common.transcript': 'Transkript',
+  'common.newInterview': 'Neues Interview',
+  'common.history': 'Verlauf',
+
+  'phase.intro': 'Vorstellung',
+  'phase.technical': 'Fachlich',
+  'phase.coding': 'Live-Coding',
+  'phase.system_design': 'Systemdesign',
+  'phase.behavioral': 'Verhalten',
+  'phase.candidate_questions': 'Fragen des Kandidaten',
+
+  'experience.junior': 'Praktikum / Junior',
+  'experience.mid': 'Mid-Level',
+  'experience.senior': 'Senior (5+ Jahre)',
+  'experience.staff': 'Staff / Principal',
+  'experience.executive': 'Führungskraft',
+
+  'difficulty.easy': 'leicht',
+  'difficulty.medium': 'mittel',
+  'difficulty.hard': 'schwer',
+  'difficulty.expert': 'Experte',
+
+  'decision.probe': 'nachhaken',
+  'decision.hint': 'Hinweis geben',
+  'decision.move_on': 'weiter',
+  'decision.harder': 'schwerer',
+  'decision.easier': 'leichter',
+
+  'rotation.round_robin': 'Abwechselnd bei jeder Frage',
+  'rotation.by_phase': 'Eine Person pro Phase',
+
+  'recommendation.strong_hire': 'Klare Einstellung',
+  'recommendation.hire': 'Einstellen',
+  'recommendation.lean_hire': 'Eher einstellen',
+  'recommendation.lean_no_hire': 'Eher nicht einstellen',
+  'recommendation.no_hire': 'Nicht einstellen',
+
+  'mode.technical': 'Fachlich',
+  'mode.behavioral': 'Verhaltensbasiert (STAR)',
+
+  'competency.leadership': 'Führung',
+  'competency.conflict': 'Konflikte',
+  'competency.ownership': 'Verantwortung',
+  'competency.failure': 'Scheitern',
+
+  'star.situation': 'Situation',
+  'star.task': 'Aufgabe',
+  'star.action': 'Handlung',
+  'star.result': 'Ergebnis',
+
+  'starCoverage.complete': 'vollständig',
+  'starCoverage.partial': 'teilweise',
+  'starCoverage.missing': 'fehlt',
+
+  'unfinished.title': 'Du hast ein unvollendetes Interview',
+  'unfinished.details_one': '{role} · {count} Frage beantwortet · {time} vergangen · gespeichert {saved}',
+  'unfinished.details_other': '{role} · {count} Fragen beantwortet · {time} vergangen · gespeichert {saved}',
+  'unfinished.resume': 'Interview fortsetzen',
+  'unfinished.discard': 'Verwerfen',
+  'unfinished.confirmDiscard': 'Das unvollendete Interview verwerfen? Das Transkript geht verloren.',
+
+  'setup.customInterview': 'Eigenes Interview',
+  'setup.saveTemplate': 'Als Vorlage speichern',
+  'setup.deleteTemplate': 'Vorlage löschen',
+  'setup.importPack': 'JSON/YAML-Paket importieren',
+  'setup.exportJson': 'Als JSON exportieren',
+  'setup.exportYaml': 'Als YAML exportieren',
+  'setup.templateName': 'Name der Vorlage',
+  'setup.templateSaved': '„{name}“ gespeichert.',
+  'setup.templateSaveFailed': 'Die Vorlage konnte nicht gespeichert werden.',
+  'setup.confirmDeleteTemplate': 'Vorlage „{name}“ löschen?',
+  'setup.packImported_one': '{count} Vorlage aus {file} importiert.',
+  'setup.packImported_other': '{count} Vorlagen aus {file} importiert.',
+  'setup.packEmpty': '{filename} ist leer',
+  'setup.packUnreadable': '{filename} konnte nicht gelesen werden: {message}',
+  'setup.packNotMapping': '{filename} sollte eine Zuordnung mit `templates` (oder eine einzelne Vorlage) enthalten',
+  'setup.packInvalid': 'Ungültiges Interview-Paket:\n{errors}',
+  'setup.language': 'Interviewsprache',
+  'setup.languageHint': 'Gilt für Spracherkennung, Interviewer und Feedback-Bericht.',
+  'setup.mode': 'Interviewart',
+  'setup.modeHint.technical': 'Fachfragen, Live-Coding und Systemdesign. Ein Wechsel setzt den Ablauf zurück.',
+  'setup.modeHint.behavioral': 'Fragen zu echten Situationen je Kompetenz, bewertet nach der STAR-Methode. Ein Wechsel setzt den Ablauf zurück.',
+  'setup.role': 'Zielposition',
+  'setup.experience': 'Erfahrungsstufe',
+  'setup.skills': 'Tech-Stack',
+  'setup.rubric': 'Bewertungskriterien',
+  'setup.plan': 'Interviewablauf',
+  'setup.minBudget': 'Min. Zeitbudget',
+  'setup.questionsUnit': 'Fragen',
+  'setup.removePhase': 'Phase entfernen',
+  'setup.addPhase': 'Phase hinzufügen',
+  'setup.competency': 'Kompetenz',
+  'setup.anyCompetency': 'Beliebige Kompetenz',
+  'setup.panel': 'Panel-Interview',
+  'setup.panelHint': '(die Interviewer wechseln sich ab)',
+  'setup.personaName': 'Name',
+  'setup.personaTitle': 'Position',
+  'setup.personaFocus': 'Schwerpunkte',
+  'setup.personaTone': 'Tonfall',
+  'setup.removePersona': 'Person entfernen',
+  'setup.addPersona': 'Person hinzufügen',
+  'setup.rotation': 'Reihenfolge',
+  'setup.questionBank': 'Fragenkatalog:',
+  'setup.untitled': 'Ohne Titel',
+  'setup.remove': 'Entfernen',
+  'setup.noQuestionBank': 'Kein Fragenkatalog: Der Interviewer improvisiert. Importiere ein Paket, um einen standardisierten zu verwenden.',
+  'setup.resume': 'Lebenslauf',
+  'setup.removeResume': 'Lebenslauf entfernen',
+  'setup.resumeFormats': 'PDF, DOCX oder Text',
+  'setup.resumeHint': 'Wird im Browser ausgelesen; die Fragen beziehen sich auf deine Projekte.',
+  'setup.readingFile': '{name} wird gelesen...',
+  'setup.resumeTruncated': 'Langer Lebenslauf: Nur der erste Teil wird verwendet.',
+  'setup.fileType': '{name} wird nicht unterstützt. Lade eine PDF-, DOCX-, TXT- oder Markdown-Datei hoch.',
+  'setup.legacyDoc': 'Alte .doc-Dateien werden nicht unterstützt. Speichere sie als DOCX oder PDF.',
+  'setup.invalidDocx': '{name} ist keine gültige DOCX-Datei.',
+  'setup.docxCompression': '{name} verwendet eine nicht unterstützte DOCX-Komprimierung.',
+  'setup.noText': 'In {name} wurde kein Text gefunden. Gescannte PDFs müssen zuerst in Text umgewandelt werden.',
+  'setup.jobDescription': 'Stellenbeschreibung',
+  'setup.jobDescriptionPlaceholder': 'Stellenanzeige einfügen, um Lücken gegenüber den Anforderungen abzufragen',
+  'setup.readAloud': 'Fragen vorlesen',
+  'setup.defaultVoice': 'Standardstimme',
+  'setup.rate': 'Tempo {rate}x',
+  'setup.record': 'Dieses Interview aufzeichnen',
+  'setup.recordHint': '(Kamera und Mikrofon, nur auf diesem Gerät gespeichert)',
+  'setup.apiSettings': 'API-Einstellungen',
+  'setup.hideApiSettings': 'API-Einstellungen ausblenden',
+  'setup.mockProvider': 'Geskripteter Offline-Interviewer für Demos und Tests. Es werden keine Netzwerkanfragen gestellt.',
+  'setup.proxyProvider': 'Verwendet den auf dem Interview-Server hinterlegten API-Schlüssel. Lass das Modell leer, um den Standard des Servers zu nutzen.',
+  'setup.modelName': 'Modellname',
+  'setup.baseUrl': 'Basis-URL',
+  'setup.apiKeyRequired': 'Gemini-API-Schlüssel hier einfügen',
+  'setup.apiKeyOptional': 'API-Schlüssel (optional)',
+  'setup.start': 'Video-Interview starten',
+  'setup.pastInterviews': 'Frühere Interviews',
+  'setup.devices': 'Mikrofon & Kamera',
+  'setup.showDeviceNames': 'Gerätenamen anzeigen',
+  'setup.defaultMicrophone': 'Standardmikrofon',
+  'setup.defaultCamera': 'Standardkamera',
+  'setup.microphoneN': 'Mikrofon {number}',
+  'setup.cameraN': 'Kamera {number}',
+
+  'lobby.title': 'Gerätecheck',
+  'lobby.subtitle': 'Prüfen wir, ob alles funktioniert. Die Interviewzeit läuft erst, wenn du startest.',
+  'lobby.camera': 'Kamera',
+  'lobby.microphone': 'Mikrofon',
+  'lobby.speech': 'Spracherkennung',
+  'lobby.api': 'Verbindung zum Interviewer',
+  'lobby.micPrompt': 'Sag etwas: Die Anzeige sollte sich bewegen.',
+  'lobby.micSilent': 'Wir hören nichts. Prüfe, ob dein Mikrofon stummgeschaltet ist und im Setup das richtige gewählt ist, und versuche es erneut.',
+  'lobby.speechPrompt': 'Lies diesen Satz laut vor:',
+  'lobby.testPhrase': 'Ich bin bereit für mein Übungsinterview',
+  'lobby.heard': 'Gehört: „{text}“',
+  'lobby.speechOk': 'Deine Worte kommen an.',
+  'lobby.typedAnswers': 'Du tippst deine Antworten.',
+  'lobby.media.blocked': 'Der Zugriff ist blockiert. Klicke auf das Kamerasymbol in der Adressleiste, erlaube Kamera und Mikrofon und versuche es erneut.',
+  'lobby.media.missing': 'Kein Gerät gefunden. Schließe eins an oder wähle im Setup ein anderes und versuche es erneut.',
+  'lobby.media.busy': 'Das Gerät wird von einer anderen App verwendet. Schließe andere Videoanrufe oder Tabs, die es nutzen, und versuche es erneut.',
+  'lobby.media.insecure': 'Kamera und Mikrofon funktionieren nur über HTTPS oder auf localhost.',
+  'lobby.media.failed': 'Das Gerät konnte nicht gestartet werden. Versuche es erneut oder wähle im Setup ein anderes.',
+  'lobby.apiChecking': 'Verbinde mit {model}...',
+  'lobby.apiOk': '{model} hat in {ms} ms geantwortet.',
+  'lobby.api.missing-key': 'Kein API-Schlüssel. Füge im Setup unter API-Einstellungen einen hinzu.',
+  'lobby.api.bad-key': 'Der API-Schlüssel wurde abgelehnt. Prüfe ihn im Setup unter API-Einstellungen.',
+  'lobby.api.bad-model': 'Das Modell „{model}“ wurde nicht gefunden. Prüfe den Modellnamen im Setup unter API-Einstellungen.',
+  'lobby.api.rate-limited': 'Die API drosselt diesen Schlüssel. Warte eine Minute und versuche es erneut.',
+  'lobby.api.unreachable': '{url} ist nicht erreichbar. Prüfe deine Verbindung und die Basis-URL und versuche es erneut.',
+  'lobby.api.failed': 'Die API hat einen Fehler gemeldet: {message}',
+  'lobby.retry': 'Erneut versuchen',
+  'lobby.skipCamera': 'Ohne Kamera fortfahren',
+  'lobby.skipMic': 'Ohne Mikrofon fortfahren',
+  'lobby.skipSpeech': 'Stattdessen tippen',
+  'lobby.back': 'Zurück zum Setup',
+  'lobby.start': 'Interview starten',
+  'lobby.pending': 'Behebe oder überspringe die Prüfungen oben, um zu starten.',
+  'lobby.ready': 'Alles bereit. Die Zeit läuft, sobald du auf Start drückst.',
+
+  'interview.cameraOff': 'Kamera aus',
+  'interview.interviewer': 'Interviewer',
+  'interview.stop': 'Stopp',
+  'interview.generatingFeedback': 'Feedback-Bericht wird erstellt...',
+  'interview.generatingQuestion': 'Nächste Frage wird erstellt...',
+  'interview.assessingAnswer': 'Deine Antwort wird ausgewertet...',
+  'interview.rec': 'REC',
+  'interview.recordingInterrupted': 'Aufnahme bis zur Unterbrechung gespeichert',
+  'interview.timeLeft': 'noch {time}',
+  'interview.timeUp': 'Zeit abgelaufen: letzte Antwort',
+  'interview.botSpeaking': 'Interviewer spricht... einfach losreden, um zu unterbrechen',
+  'interview.listening': 'Hört zu...',
+  'interview.diagramShared': 'Dein Diagramm wird mit deiner nächsten Antwort an den Interviewer gesendet.',
+  'interview.wrappingUp': 'Abschluss',
+  'interview.position': '{phase} · Frage {current} von {total} · {difficulty}',
+  'interview.whiteboard': 'Whiteboard',
+  'interview.confirmEnd': 'Interview beenden?',
+  'interview.submit': 'Antwort senden',
+  'interview.typeAnswer': 'Antwort eingeben...',
+  'interview.typingHint': 'Enter zum Senden, Umschalt+Enter für eine neue Zeile',
+  'interview.typeInstead': 'Tippen statt sprechen',
+  'interview.offline': 'Offline',
+  'interview.retrying': '{reason} Neuer Versuch in {seconds} s (Versuch {attempt} von {max})...',
+  'interview.waitingForNetwork': 'Du bist offline. Warte auf die Verbindung...',
+  'interview.turnFailed': '{reason} Deine Antwort wurde nicht gesendet und ist noch da.',
+  'interview.openingFailed': '{reason} Das Interview konnte nicht starten.',
+  'interview.retryTurn': 'Diesen Schritt wiederholen',
+
+  'context.title': 'Kontextnutzung',
+  'context.sent': 'Letzte Anfrage',
+  'context.system': 'Systemprompt',
+  'context.notes': 'Interviewnotizen',
+  'context.recent_one': 'Letzte Beiträge ({count} Nachricht)',
+  'context.recent_other': 'Letzte Beiträge ({count} Nachrichten)',
+  'context.fullHistory': 'Ganzer Verlauf wäre',
+  'context.compacting': 'Ältere Beiträge werden in den Notizen zusammengefasst...',
+  'context.summarized_one': 'Sie ersetzen die erste Nachricht.',
+  'context.summarized_other': 'Sie ersetzen die ersten {count} Nachrichten.',
+  'context.noNotes': 'Noch keine: Das Gespräch passt in {budget} Tokens, daher wird jede Nachricht wörtlich gesendet.',
+  'context.perMessage': 'Pro Nachricht',
+  'context.candidate': 'Kandidat',
+  'context.estimateHint': 'Tokenzahlen sind Schätzungen (etwa 4 Zeichen pro Token). Zusammengefasste Nachrichten sind durchgestrichen; der Bericht nutzt weiterhin die Originalantworten.',
+
+  'apiError.offline': 'Du bist offline.',
+  'apiError.network': 'Die API war nicht erreichbar.',
+  'apiError.rate-limited': 'Die API begrenzt gerade die Anfragen.',
+  'apiError.server': 'Die API hatte einen Serverfehler.',
+  'apiError.auth': 'Der API-Schlüssel wurde abgelehnt.',
+  'apiError.not-found': 'Das Modell wurde nicht gefunden.',
+  'apiError.bad-request': 'Die API hat die Anfrage abgelehnt.',
+  'apiError.empty': 'Das Modell hat eine leere Antwort gesendet.',
+
+  'delivery.wpm': '{wpm} Wörter/Min.',
+  'delivery.fillers_one': '{count} Füllwort',
+  'delivery.fillers_other': '{count} Füllwörter',
+  'delivery.longPauses_one': '{count} lange Pause',
+  'delivery.longPauses_other': '{count} lange Pausen',
+  'delivery.longest': '(längste {seconds} s)',
+  'delivery.firstWord': 'erstes Wort nach {seconds} s',
+
+  'speech.idle': 'Mikro pausiert',
+  'speech.stopping': 'Mikro pausiert',
+  'speech.starting': 'Mikro startet...',
+  'speech.listening': 'Hört zu',
+  'speech.restarting': 'Verbinde neu...',
+  'speech.muted': 'Mikro aus',
+  'speech.typing': 'Tippen',
+  'speech.error': 'Sprachfehler',
+  'speech.unsupported': 'Getippte Antworten',
+  'speech.error.not-allowed': 'Der Mikrofonzugriff ist blockiert. Erlaube ihn in den Website-Einstellungen des Browsers und versuche es erneut.',
+  'speech.error.audio-capture': 'Kein Mikrofon gefunden. Schließe eins an oder wähle im Setup ein anderes und versuche es erneut.',
+  'speech.error.network': 'Der Spracherkennungsdienst ist nicht erreichbar. Prüfe deine Verbindung und versuche es erneut.',
+  'speech.error.language-not-supported': 'Dein Browser erkennt diese Sprache nicht. Tippe deine Antworten stattdessen.',
+  'speech.error.start-failed': 'Die Spracherkennung konnte nicht gestartet werden.',
+  'speech.retry': 'Erneut versuchen',
+  'speech.unsupportedHint': 'Dieser Browser hat keine Spracherkennung, daher tippst du deine Antworten.',
+
+  'feedback.errorTitle': 'Der Feedback-Bericht konnte nicht erstellt werden',
+  'feedback.errorHint': 'Dein Transkript ist gesichert. Du kannst den Bericht erneut anfordern oder das Transkript herunterladen.',
+  'feedback.retrying': 'Neuer Versuch...',
+  'feedback.retry': 'Feedback erneut anfordern',
+  'feedback.title': 'Interviewauswertung',
+  'feedback.export': 'Exportieren',
+  'feedback.exportPdf': 'Drucken oder als PDF speichern',
+  'feedback.exportMarkdown': 'Als Markdown für deine Notizen herunterladen',
+  'feedback.exportJson': 'JSON-Paket herunterladen, das du im Verlauf wieder importieren kannst',
+  'feedback.summary': 'Zusammenfassung',
+  'feedback.rating': 'Gesamtbewertung',
+  'feedback.strengths': 'Stärken',
+  'feedback.improvements': 'Verbesserungspotenzial',
+  'feedback.breakdown': 'Auswertung pro Frage',
+  'feedback.questionNumber': 'F{number}',
+  'feedback.followUp': 'Nachfrage',
+  'feedback.question': 'Frage',
+  'feedback.yourAnswer': 'Deine Antwort',
+  'feedback.delivery': 'Vortrag:',
+  'feedback.nextMove': 'Nächster Schritt des Interviewers:',
+  'feedback.assessment': 'Bewertung',
+  'feedback.strongAnswer': 'Eine starke Antwort würde abdecken',
+  'feedback.recording': 'Aufzeichnung',
+  'feedback.jdFit': 'Passung zur Stellenbeschreibung',
+  'feedback.panel': 'Bewertungen des Panels',
+  'feedback.noPanelAssessment': 'Für diese Person wurde keine Bewertung geliefert.',
+  'feedback.competencies': 'Kompetenzmatrix',
+  'feedback.notAssessed': 'Nicht bewertet',
+  'feedback.star': 'STAR',
+  'feedback.starMissing': 'Fehlt oder unvollständig: {parts}',
+  'feedback.demonstrated': 'Nachgewiesen',
+  'feedback.gaps': 'Lücken',
+  'feedback.coding': 'Coding-Runde',
+  'feedback.neverRun': 'Nie ausgeführt',
+  'feedback.run': 'Lauf {number}: {passed}/{total}',
+  'feedback.runSubmitted': 'Lauf {number}: {passed}/{total} · eingereicht',
+  'feedback.design': 'Design-Kritik',
+  'feedback.technical': 'Fachliche Bewertung',
+  'feedback.substance': 'Urteilsvermögen & Wirkung',
+  'feedback.communication': 'Kommunikationsstil',
+  'feedback.pace': 'Tempo',
+  'feedback.paceHint': '{min}-{max} ist angenehm',
+  'feedback.fillerWords': 'Füllwörter',
+  'feedback.fillersHint': '{rate} pro 100 Wörter',
+  'feedback.longPauses': 'Lange Pausen',
+  'feedback.longPausesHint': 'Stille über {seconds} s',
+  'feedback.firstWord': 'Zeit bis zum ersten Wort',
+  'feedback.firstWordHint': 'Durchschnitt pro Frage',
+
+  'history.import': 'Bericht importieren',
+  'history.importHint': 'Ein JSON-Paket importieren, das du aus einer Interviewauswertung exportiert hast',
+  'history.importUnreadable': '{filename} konnte nicht gelesen werden: {message}',
+  'history.importInvalid': 'Ungültiges Berichtspaket:\n{errors}',
+  'history.importEmpty': 'Die Datei ist leer',
+  'history.title': 'Interviewverlauf',
+  'history.progress': 'Fortschritt',
+  'history.backToSetup': 'Zurück zum Setup',
+  'history.empty': 'Noch keine gespeicherten Interviews. Abgeschlossene Interviews erscheinen hier.',
+  'history.answers_one': '{count} Antwort',
+  'history.answers_other': '{count} Antworten',
+  'history.report': 'Bericht',
+  'history.rerun': 'Wiederholen',
+  'history.delete': 'Löschen',
+  'history.confirmDelete': 'Dieses Interview aus deinem Verlauf löschen?',
+
+  'progress.title': 'Dein Fortschritt',
+  'progress.back': 'Zurück zum Verlauf',
+  'progress.empty': 'Schließe ein paar Interviews ab, um deine Bewertungstrends zu sehen.',
+  'progress.sessions_one': '{count} Sitzung',
+  'progress.sessions_other': '{count} Sitzungen',
+  'progress.average': 'Durchschnitt',
+  'progress.sinceFirst': 'Seit dem ersten',
+  'progress.recurring': 'Wiederkehrende Verbesserungsbereiche',
+  'progress.noRecurring': 'Bisher ist keine Schwäche in mehr als einer Sitzung aufgetaucht.',
+  'progress.seenIn_one': '{seen} von {count} Sitzung',
+  'progress.seenIn_other': '{seen} von {count} Sitzungen',
+  'progress.lastSeen': 'Zuletzt am {date}',
+
+  'coding.hiddenTests_one': '{count} versteckter Test läuft bei jeder Einreichung',
+  'coding.hiddenTests_other': '{count} versteckte Tests laufen bei jeder Einreichung',
+  'coding.runs_one': '{count} Lauf',
+  'coding.runs_other': '{count} Läufe',
+  'coding.lastRun': ' · zuletzt: {passed}/{total} bestanden',
+  'coding.runTests': 'Tests ausführen',
+  'coding.submit': 'Code einreichen',
+  'coding.hiddenTest': 'Versteckter Test {number}',
+  'coding.mismatch': 'lieferte {actual}, erwartet {expected}',
+
+  'whiteboard.select': 'Auswählen und verschieben',
+  'whiteboard.box': 'Komponente hinzufügen',
+  'whiteboard.arrow': 'Komponenten verbinden',
+  'whiteboard.delete': 'Auswahl löschen',
+  'whiteboard.export': 'Als PNG exportieren',
+  'whiteboard.componentName': 'Name der Komponente',
+  'whiteboard.defaultComponent': 'Dienst',
+  'whiteboard.arrowLabel': 'Pfeilbeschriftung',
+  'whiteboard.arrowLabelOptional': 'Pfeilbeschriftung (optional)',
+  'whiteboard.boxHint': 'In eine freie Fläche klicken, um eine Komponente hinzuzufügen',
+  'whiteboard.arrowSourceHint': 'Auf die Quellkomponente klicken',
+  'whiteboard.arrowTargetHint': 'Jetzt auf die Zielkomponente klicken',
+  'whiteboard.selectHint': 'Ziehen zum Verschieben, Doppelklick zum Umbenennen',
+  'whiteboard.emptyHint': 'Wähle das Komponenten-Werkzeug und klicke, um deine erste Komponente hinzuzufügen',
+};
@@ -0,0 +1,365 @@
+// English UI strings; the reference set every other locale falls back to.
+// `{name}` placeholders are filled in by the translator, `_one`/`_other` keys are plural forms.
+export default {
+  'app.title': 'Mock Interview AI',
+  'app.tagline': 'Immersive Video Interface',
+
+  'common.questions_one': '{count} question',
+  'common.questions_other': '{count} questions',
+  'common.optional': '(optional)',
+  'common.transcript': 'Transcript',
+  'common.newInterview': 'New Interview',
+  'common.history': 'History',
+
+  'phase.intro': 'Introduction',
+  'phase.technical': 'Technical',
+  'phase.coding': 'Live Coding',
+  'phase.system_design': 'System Design',
+  'phase.behavioral': 'Behavioral',
+  'phase.candidate_questions': 'Candidate Questions',
+
+  'experience.junior': 'Intern / Junior',
+  'experience.mid': 'Mid-Level',
+  'experience.senior': 'Senior (5+ years)',
+  'experience.staff': 'Staff / Principal',
+  'experience.executive': 'Executive',
+
+  'difficulty.easy': 'easy',
+  'difficulty.medium': 'medium',
+  'difficulty.hard': 'hard',
+  'difficulty.expert': 'expert',
+
+  'decision.probe': 'probe',
+  'decision.hint': 'hint',
+  'decision.move_on': 'move on',
+  'decision.harder': 'harder',
+  'decision.easier': 'easier',
+
+  'rotation.round_robin': 'Take turns every question',
+  'rotation.by_phase': 'One panelist per phase',
+
+  'recommendation.strong_hire': 'Strong hire',
+  'recommendation.hire': 'Hire',
+  'recommendation.lean_hire': 'Lean hire',
+  'recommendation.lean_no_hire': 'Lean no hire',
+  'recommendation.no_hire': 'No hire',
+
+  'mode.technical': 'Technical',
+  'mode.behavioral': 'Behavioral (STAR)',
+
+  'competency.leadership': 'Leadership',
+  'competency.conflict': 'Conflict',
+  'competency.ownership': 'Ownership',
+  'competency.failure': 'Failure',
+
+  'star.situation': 'Situation',
+  'star.task': 'Task',
+  'star.action': 'Action',
+  'star.result': 'Result',
+
+  'starCoverage.complete': 'complete',
+  'starCoverage.partial': 'partial',
+  'starCoverage.missing': 'missing',
+
+  'unfinished.title': 'You have an unfinished interview',
+  'unfinished.details_one': '{role} · {count} question answered · {time} elapsed · saved {saved}',
+  'unfinished.details_other': '{role} · {count} questions answered · {time} elapsed · saved {saved}',
+  'unfinished.resume': 'Resume interview',
+  'unfinished.discard': 'Discard',
+  'unfinished.confirmDiscard': 'Discard the unfinished interview? Its transcript will be lost.',
+
+  'setup.customInterview': 'Custom interview',
+  'setup.saveTemplate': 'Save as template',
+  'setup.deleteTemplate': 'Delete template',
+  'setup.importPack': 'Import JSON/YAML pack',
+  'setup.exportJson': 'Export as JSON',
+  'setup.exportYaml': 'Export as YAML',
+  'setup.templateName': 'Template name',
+  'setup.templateSaved': 'Saved "{name}".',
+  'setup.templateSaveFailed': 'Could not save the template.',
+  'setup.confirmDeleteTemplate': 'Delete the "{name}" template?',
+  'setup.packImported_one': 'Imported {count} template from {file}.',
+  'setup.packImported_other': 'Imported {count} templates from {file}.',
+  'setup.packEmpty': '{filename} is empty',
+  'setup.packUnreadable': 'Could not read {filename}: {message}',
+  'setup.packNotMapping': '{filename} should be a mapping with `templates` (or a single template)',
+  'setup.packInvalid': 'Invalid interview pack:\n{errors}',
+  'setup.language': 'Interview Language',
+  'setup.languageHint': 'Used for speech recognition, the interviewer and the feedback report.',
+  'setup.mode': 'Interview Type',
+  'setup.modeHint.technical': 'Technical questions, live coding and system design. Switching type resets the plan.',
+  'setup.modeHint.behavioral': 'Past-situation questions per competency, scored with the STAR method. Switching type resets the plan.',
+  'setup.role': 'Target Role',
+  'setup.experience': 'Experience Level',
+  'setup.skills': 'Tech Stack',
+  'setup.rubric': 'Evaluation Rubric',
+  'setup.plan': 'Interview Plan',
+  'setup.minBudget': 'min budget',
+  'setup.questionsUnit': 'questions',
+  'setup.removePhase': 'Remove phase',
+  'setup.addPhase': 'Add phase',
+  'setup.competency': 'Competency',
+  'setup.anyCompetency': 'Any competency',
+  'setup.panel': 'Panel interview',
+  'setup.panelHint': '(interviewers take turns)',
+  'setup.personaName': 'Name',
+  'setup.personaTitle': 'Title',
+  'setup.personaFocus': 'Focus areas',
+  'setup.personaTone': 'Tone',
+  'setup.removePersona': 'Remove panelist',
+  'setup.addPersona': 'Add panelist',
+  'setup.rotation': 'Rotation',
+  'setup.questionBank': 'Question bank:',
+  'setup.untitled': 'Untitled',
+  'setup.remove': 'Remove',
+  'setup.noQuestionBank': 'No question bank: the interviewer improvises. Import a pack to use a standardized one.',
+  'setup.resume': 'Resume',
+  'setup.removeResume': 'Remove resume',
+  'setup.resumeFormats': 'PDF, DOCX or text',
+  'setup.resumeHint': 'Parsed in your browser; questions will target your projects.',
+  'setup.readingFile': 'Reading {name}...',
+  'setup.resumeTruncated': 'Long resume: only the first part will be used.',
+  'setup.fileType': "{name} isn't a supported file. Upload a PDF, DOCX, TXT or Markdown file.",
+  'setup.legacyDoc': "Legacy .doc files aren't supported. Save it as DOCX or PDF.",
+  'setup.invalidDocx': '{name} is not a valid DOCX file.',
+  'setup.docxCompression': "{name} uses a DOCX compression that isn't supported.",
+  'setup.noText': 'No text found in {name}. Scanned PDFs need to be converted to text first.',
+  'setup.jobDescription': 'Job Description',
+  'setup.jobDescriptionPlaceholder': 'Paste the job posting to probe gaps against its requirements',
+  'setup.readAloud': 'Read questions aloud',
+  'setup.defaultVoice': 'Default voice',
+  'setup.rate': 'Rate {rate}x',
+  'setup.record': 'Record this interview',
+  'setup.recordHint': '(camera and mic, stored only on this device)',
+  'setup.apiSettings': 'API Settings',
+  'setup.hideApiSettings': 'Hide API Settings',
+  'setup.mockProvider': 'Scripted offline interviewer for demos and tests. No network calls are made.',
+  'setup.proxyProvider': 'Uses the API key stored on the interview server. Leave the model empty for the server default.',
+  'setup.modelName': 'Model name',
+  'setup.baseUrl': 'Base URL',
+  'setup.apiKeyRequired': 'Paste your Gemini API Key here',
+  'setup.apiKeyOptional': 'API Key (optional)',
+  'setup.start': 'Start Video Interview',
+  'setup.pastInterviews': 'Past Interviews',
+  'setup.devices': 'Microphone & Camera',
+  'setup.showDeviceNames': 'Show device names',
+  'setup.defaultMicrophone': 'Default microphone',
+  'setup.defaultCamera': 'Default camera',
+  'setup.microphoneN': 'Microphone {number}',
+  'setup.cameraN': 'Camera {number}',
+
+  'lobby.title': 'Device Check',
+  'lobby.subtitle': "Let's make sure everything works. The interview clock only starts when you do.",
+  'lobby.camera': 'Camera',
+  'lobby.microphone': 'Microphone',
+  'lobby.speech': 'Speech Recognition',
+  'lobby.api': 'Interviewer Connection',
+  'lobby.micPrompt': 'Say something: the meter should move.',
+  'lobby.micSilent': "We can't hear anything. Check that your mic isn't muted and the right one is chosen in setup, then retry.",
+  'lobby.speechPrompt': 'Read this sentence aloud:',
+  'lobby.testPhrase': 'I am ready to start my practice interview',
+  'lobby.heard': 'Heard: "{text}"',
+  'lobby.speechOk': 'Your words are coming through.',
+  'lobby.typedAnswers': "You'll type your answers.",
+  'lobby.media.blocked': 'Access is blocked. Click the camera icon in the address bar, allow the camera and microphone, then retry.',
+  'lobby.media.missing': 'No device found. Plug one in or choose another in setup, then retry.',
+  'lobby.media.busy': 'The device is in use by another app. Close other video calls or tabs using it, then retry.',
+  'lobby.media.insecure': 'Camera and microphone only work over HTTPS or on localhost.',
+  'lobby.media.failed': "The device couldn't be started. Retry, or choose another in setup.",
+  'lobby.apiChecking': 'Contacting {model}...',
+  'lobby.apiOk': '{model} replied in {ms} ms.',
+  'lobby.api.missing-key': 'No API key. Add one under API Settings in setup.',
+  'lobby.api.bad-key': 'The API key was rejected. Check it under API Settings in setup.',
+  'lobby.api.bad-model': 'The model "{model}" was not found. Check the model name under API Settings in setup.',
+  'lobby.api.rate-limited': 'The API is rate limiting this key. Wait a minute, then retry.',
+  'lobby.api.unreachable': "Couldn't reach {url}. Check your connection and the base URL, then retry.",
+  'lobby.api.failed': 'The API returned an error: {message}',
+  'lobby.retry': 'Retry',
+  'lobby.skipCamera': 'Continue without camera',
+  'lobby.skipMic': 'Continue without microphone',
+  'lobby.skipSpeech': 'Type answers instead',
+  'lobby.back': 'Back to setup',
+  'lobby.start': 'Start Interview',
+  'lobby.pending': 'Fix or skip the checks above to start.',
+  'lobby.ready': 'All set. The clock starts when you press Start.',
+
+  'interview.cameraOff': 'Camera Off',
+  'interview.interviewer': 'Interviewer',
+  'interview.stop': 'Stop',
+  'interview.generatingFeedback': 'Generating Feedback Report...',
+  'interview.generatingQuestion': 'Generating next question...',
+  'interview.assessingAnswer': 'Reviewing your answer...',
+  'interview.rec': 'REC',
+  'interview.recordingInterrupted': 'Recording saved up to the interruption',
+  'interview.timeLeft': '{time} left',
+  'interview.timeUp': "Time's up: final answer",
+  'interview.botSpeaking': 'Interviewer speaking... start talking to interrupt',
+  'interview.listening': 'Listening...',
+  'interview.diagramShared': 'Your diagram is shared with the interviewer when you submit your next answer.',
+  'interview.wrappingUp': 'Wrapping up',
+  'interview.position': '{phase} · Question {current} of {total} · {difficulty}',
+  'interview.whiteboard': 'Whiteboard',
+  'interview.confirmEnd': 'End interview?',
+  'interview.submit': 'Submit Answer',
+  'interview.typeAnswer': 'Type your answer...',
+  'interview.typingHint': 'Enter to submit, Shift+Enter for a new line',
+  'interview.typeInstead': 'Type instead of speaking',
+  'interview.offline': 'Offline',
+  'interview.retrying': '{reason} Retrying in {seconds}s (attempt {attempt} of {max})...',
+  'interview.waitingForNetwork': "You're offline. Waiting for the connection to come back...",
+  'interview.turnFailed': "{reason} Your answer wasn't sent and is still here.",
+  'interview.openingFailed': "{reason} The interview couldn't start.",
+  'interview.retryTurn': 'Retry this turn',
+
+  'context.title': 'Context usage',
+  'context.sent': 'Last request',
+  'context.system': 'System prompt',
+  'context.notes': 'Interview notes',
+  'context.recent_one': 'Recent turns ({count} message)',
+  'context.recent_other': 'Recent turns ({count} messages)',
+  'context.fullHistory': 'Full history would be',
+  'context.compacting': 'Summarizing older turns into the notes...',
+  'context.summarized_one': 'These replace the first message.',
+  'context.summarized_other': 'These replace the first {count} messages.',
+  'context.noNotes': 'None yet: the conversation fits in {budget} tokens, so every message is sent verbatim.',
+  'context.perMessage': 'Per message',
+  'context.candidate': 'Candidate',
+  'context.estimateHint': 'Token counts are estimates (about 4 characters per token). Summarized messages are struck through; the report still uses the original answers.',
+
+  'apiError.offline': "You're offline.",
+  'apiError.network': "The API couldn't be reached.",
+  'apiError.rate-limited': 'The API is rate limiting requests.',
+  'apiError.server': 'The API had a server error.',
+  'apiError.auth': 'The API key was rejected.',
+  'apiError.not-found': "The model wasn't found.",
+  'apiError.bad-request': 'The API rejected the request.',
+  'apiError.empty': 'The model sent an empty reply.',
+
+  'delivery.wpm': '{wpm} wpm',
+  'delivery.fillers_one': '{count} filler',
+  'delivery.fillers_other': '{count} fillers',
+  'delivery.longPauses_one': '{count} long pause',
+  'delivery.longPauses_other': '{count} long pauses',
+  'delivery.longest': '(longest {seconds}s)',
+  'delivery.firstWord': 'first word after {seconds}s',
+
+  'speech.idle': 'Mic paused',
+  'speech.stopping': 'Mic paused',
+  'speech.starting': 'Starting mic...',
+  'speech.listening': 'Listening',
+  'speech.restarting': 'Reconnecting...',
+  'speech.muted': 'Mic off',
+  'speech.typing': 'Typing',
+  'speech.error': 'Speech error',
+  'speech.unsupported': 'Typed answers',
+  'speech.error.not-allowed': "Microphone access is blocked. Allow it in your browser's site settings, then retry.",
+  'speech.error.audio-capture': 'No microphone found. Connect one or pick another in setup, then retry.',
+  'speech.error.network': "The speech recognition service can't be reached. Check your connection, then retry.",
+  'speech.error.language-not-supported': "Your browser can't recognise speech in this language. Type your answers instead.",
+  'speech.error.start-failed': 'Speech recognition could not start.',
+  'speech.retry': 'Retry',
+  'speech.unsupportedHint': "This browser has no speech recognition, so you'll type your answers.",
+
+  'feedback.errorTitle': 'Feedback report could not be generated',
+  'feedback.errorHint': 'Your transcript is safe. You can retry the report or download the transcript.',
+  'feedback.retrying': 'Retrying...',
+  'feedback.retry': 'Retry feedback',
+  'feedback.title': 'Interview Analysis',
+  'feedback.export': 'Export',
+  'feedback.exportPdf': 'Print or save as PDF',
+  'feedback.exportMarkdown': 'Download as Markdown for your notes',
+  'feedback.exportJson': 'Download a JSON bundle you can import again from History',
+  'feedback.summary': 'Executive Summary',
+  'feedback.rating': 'Overall Rating',
+  'feedback.strengths': 'Key Strengths',
+  'feedback.improvements': 'Areas for Improvement',
+  'feedback.breakdown': 'Question-by-Question Breakdown',
+  'feedback.questionNumber': 'Q{number}',
+  'feedback.followUp': 'Follow-up',
+  'feedback.question': 'Question',
+  'feedback.yourAnswer': 'Your Answer',
+  'feedback.delivery': 'Delivery:',
+  'feedback.nextMove': "Interviewer's next move:",
+  'feedback.assessment': 'Assessment',
+  'feedback.strongAnswer': 'A Strong Answer Would Cover',
+  'feedback.recording': 'Recording',
+  'feedback.jdFit': 'Fit Against Job Description',
+  'feedback.panel': 'Panel Assessments',
+  'feedback.noPanelAssessment': 'No assessment was returned for this panelist.',
+  'feedback.competencies': 'Competency Matrix',
+  'feedback.notAssessed': 'Not assessed',
+  'feedback.star': 'STAR',
+  'feedback.starMissing': 'Missing or incomplete: {parts}',
+  'feedback.demonstrated': 'Demonstrated',
+  'feedback.gaps': 'Gaps',
+  'feedback.coding': 'Coding Round',
+  'feedback.neverRun': 'Never run',
+  'feedback.run': 'Run {number}: {passed}/{total}',
+  'feedback.runSubmitted': 'Run {number}: {passed}/{total} · submitted',
+  'feedback.design': 'Design Critique',
+  'feedback.technical': 'Technical Assessment',
+  'feedback.substance': 'Judgement & Impact',
+  'feedback.communication': 'Communication Style',
+  'feedback.pace': 'Pace',
+  'feedback.paceHint': '{min}-{max} is comfortable',
+  'feedback.fillerWords': 'Filler Words',
+  'feedback.fillersHint': '{rate} per 100 words',
+  'feedback.longPauses': 'Long Pauses',
+  'feedback.longPausesHint': 'silences over {seconds}s',
+  'feedback.firstWord': 'Time to First Word',
+  'feedback.firstWordHint': 'average per question',
+
+  'history.import': 'Import Report',
+  'history.importHint': 'Import a JSON report bundle exported from the feedback screen',
+  'history.importUnreadable': 'Could not read {filename}: {message}',
+  'history.importInvalid': 'Invalid report bundle:\n{errors}',
+  'history.importEmpty': 'File is empty',
+  'history.title': 'Interview History',
+  'history.progress': 'Progress',
+  'history.backToSetup': 'Back to Setup',
+  'history.empty': 'No saved interviews yet. Finished interviews will appear here.',
+  'history.answers_one': '{count} answer',
+  'history.answers_other': '{count} answers',
+  'history.report': 'Report',
+  'history.rerun': 'Re-run',
+  'history.delete': 'Delete',
+  'history.confirmDelete': 'Delete this interview from your history?',
+
+  'progress.title': 'Your Progress',
+  'progress.back': 'Back to History',
+  'progress.empty': 'Complete a few interviews to see your rating trends.',
+  'progress.sessions_one': '{count} session',
+  'progress.sessions_other': '{count} sessions',
+  'progress.average': 'Average',
+  'progress.sinceFirst': 'Since first',
+  'progress.recurring': 'Recurring Areas for Improvement',
+  'progress.noRecurring': 'No weakness has come up in more than one session yet.',
+  'progress.seenIn_one': '{seen} of {count} session',
+  'progress.seenIn_other': '{seen} of {count} sessions',
+  'progress.lastSeen': 'Last seen {date}',
+
+  'coding.hiddenTests_one': '{count} hidden test runs on every submission',
+  'coding.hiddenTests_other': '{count} hidden tests run on every submission',
+  'coding.runs_one': '{count} run',
+  'coding.runs_other': '{count} runs',
+  'coding.lastRun': ' · last: {passed}/{total} passed',
+  'coding.runTests': 'Run Tests',
+  'coding.submit': 'Submit Code',
+  'coding.hiddenTest': 'Hidden test {number}',
+  'coding.mismatch': 'returned {actual}, expected {expected}',
+
+  'whiteboard.select': 'Select and move',
+  'whiteboard.box': 'Add component',
+  'whiteboard.arrow': 'Connect components',
+  'whiteboard.delete': 'Delete selected',
+  'whiteboard.export': 'Export as PNG',
+  'whiteboard.componentName': 'Component name',
+  'whiteboard.defaultComponent': 'Service',
+  'whiteboard.arrowLabel': 'Arrow label',
+  'whiteboard.arrowLabelOptional': 'Arrow label (optional)',
+  'whiteboard.boxHint': 'Click empty space to add a component',
+  'whiteboard.arrowSourceHint': 'Click the source component',
+  'whiteboard.arrowTargetHint': 'Now click the target component',
+  'whiteboard.selectHint': 'Drag to move, double-click to rename',
+  'whiteboard.emptyHint': 'Pick the box tool and click to add your first component',
+};
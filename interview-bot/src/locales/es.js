@@ -0,0 +1,364 @@
+// Spanish UI strings. Keys missing here fall back to en.js.
+export default {
+  'app.title': 'Mock Interview AI',
+  'app.tagline': 'Interfaz de vídeo inmersiva',
+
+  'common.questions_one': '{count} pregunta',
+  'common.questions_other': '{count} preguntas',
+  'common.optional': '(opcional)',
+  'common.transcript': 'Transcripción',
+  'common.newInterview': 'Nueva entrevista',
+  'common.history': 'Historial',
+
+  'phase.intro': 'Presentación',
+  'phase.technical': 'Técnica',
+  'phase.coding': 'Programación en vivo',
+  'phase.system_design': 'Diseño de sistemas',
+  'phase.behavioral': 'Conductual',
+  'phase.candidate_questions': 'Preguntas del candidato',
+
+  'experience.junior': 'Prácticas / Junior',
+  'experience.mid': 'Nivel intermedio',
+  'experience.senior': 'Senior (5+ años)',
+  'experience.staff': 'Staff / Principal',
+  'experience.executive': 'Directivo',
+
+  'difficulty.easy': 'fácil',
+  'difficulty.medium': 'media',
+  'difficulty.hard': 'difícil',
+  'difficulty.expert': 'experto',
+
+  'decision.probe': 'profundizar',
+  'decision.hint': 'dar una pista',
+  'decision.move_on': 'continuar',
+  'decision.harder': 'más difícil',
+  'decision.easier': 'más fácil',
+
+  'rotation.round_robin': 'Turnos en cada pregunta',
+  'rotation.by_phase': 'Un panelista por fase',
+
+  'recommendation.strong_hire': 'Contratar sin dudas',
+  'recommendation.hire': 'Contratar',
+  'recommendation.lean_hire': 'Más bien contratar',
+  'recommendation.lean_no_hire': 'Más bien no contratar',
+  'recommendation.no_hire': 'No contratar',
+
+  'mode.technical': 'Técnica',
+  'mode.behavioral': 'Conductual (STAR)',
+
+  'competency.leadership': 'Liderazgo',
+  'competency.conflict': 'Conflicto',
+  'competency.ownership': 'Responsabilidad',
+  'competency.failure': 'Fracaso',
+
+  'star.situation': 'Situación',
+  'star.task': 'Tarea',
+  'star.action': 'Acción',
+  'star.result': 'Resultado',
+
+  'starCoverage.complete': 'completa',
+  'starCoverage.partial': 'parcial',
+  'starCoverage.missing': 'falta',
+
+  'unfinished.title': 'Tienes una entrevista sin terminar',
+  'unfinished.details_one': '{role} · {count} pregunta respondida · {time} transcurridos · guardada {saved}',
+  'unfinished.details_other': '{role} · {count} preguntas respondidas · {time} transcurridos · guardada {saved}',
+  'unfinished.resume': 'Reanudar entrevista',
+  'unfinished.discard': 'Descartar',
+  'unfinished.confirmDiscard': '¿Descartar la entrevista sin terminar? Se perderá su transcripción.',
+
+  'setup.customInterview': 'Entrevista personalizada',
+  'setup.saveTemplate': 'Guardar como plantilla',
+  'setup.deleteTemplate': 'Eliminar plantilla',
+  'setup.importPack': 'Importar paquete JSON/YAML',
+  'setup.exportJson': 'Exportar como JSON',
+  'setup.exportYaml': 'Exportar como YAML',
+  'setup.templateName': 'Nombre de la plantilla',
+  'setup.templateSaved': 'Se guardó «{name}».',
+  'setup.templateSaveFailed': 'No se pudo guardar la plantilla.',
+  'setup.confirmDeleteTemplate': '¿Eliminar la plantilla «{name}»?',
+  'setup.packImported_one': 'Se importó {count} plantilla de {file}.',
+  'setup.packImported_other': 'Se importaron {count} plantillas de {file}.',
+  'setup.packEmpty': '{filename} está vacío',
+  'setup.packUnreadable': 'No se pudo leer {filename}: {message}',
+  'setup.packNotMapping': '{filename} debería ser un mapa con `templates` (o una sola plantilla)',
+  'setup.packInvalid': 'Paquete de entrevista no válido:\n{errors}',
+  'setup.language': 'Idioma de la entrevista',
+  'setup.languageHint': 'Se usa para el reconocimiento de voz, el entrevistador y el informe.',
+  'setup.mode': 'Tipo de entrevista',
+  'setup.modeHint.technical': 'Preguntas técnicas, programación en vivo y diseño de sistemas. Cambiar de tipo restablece el plan.',
+  'setup.modeHint.behavioral': 'Preguntas sobre situaciones reales por competencia, evaluadas con el método STAR. Cambiar de tipo restablece el plan.',
+  'setup.role': 'Puesto objetivo',
+  'setup.experience': 'Nivel de experiencia',
+  'setup.skills': 'Tecnologías',
+  'setup.rubric': 'Criterios de evaluación',
+  'setup.plan': 'Plan de la entrevista',
+  'setup.minBudget': 'min de tiempo',
+  'setup.questionsUnit': 'preguntas',
+  'setup.removePhase': 'Quitar fase',
+  'setup.addPhase': 'Añadir fase',
+  'setup.competency': 'Competencia',
+  'setup.anyCompetency': 'Cualquier competencia',
+  'setup.panel': 'Entrevista en panel',
+  'setup.panelHint': '(los entrevistadores se turnan)',
+  'setup.personaName': 'Nombre',
+  'setup.personaTitle': 'Cargo',
+  'setup.personaFocus': 'Áreas de enfoque',
+  'setup.personaTone': 'Tono',
+  'setup.removePersona': 'Quitar panelista',
+  'setup.addPersona': 'Añadir panelista',
+  'setup.rotation': 'Rotación',
+  'setup.questionBank': 'Banco de preguntas:',
+  'setup.untitled': 'Sin título',
+  'setup.remove': 'Quitar',
+  'setup.noQuestionBank': 'Sin banco de preguntas: el entrevistador improvisa. Importa un paquete para usar uno estandarizado.',
+  'setup.resume': 'Currículum',
+  'setup.removeResume': 'Quitar currículum',
+  'setup.resumeFormats': 'PDF, DOCX o texto',
+  'setup.resumeHint': 'Se procesa en tu navegador; las preguntas se centrarán en tus proyectos.',
+  'setup.readingFile': 'Leyendo {name}...',
+  'setup.resumeTruncated': 'Currículum largo: solo se usará la primera parte.',
+  'setup.fileType': '{name} no es un archivo compatible. Sube un archivo PDF, DOCX, TXT o Markdown.',
+  'setup.legacyDoc': 'Los archivos .doc antiguos no son compatibles. Guárdalo como DOCX o PDF.',
+  'setup.invalidDocx': '{name} no es un archivo DOCX válido.',
+  'setup.docxCompression': '{name} usa una compresión DOCX no compatible.',
+  'setup.noText': 'No se encontró texto en {name}. Los PDF escaneados deben convertirse a texto primero.',
+  'setup.jobDescription': 'Descripción del puesto',
+  'setup.jobDescriptionPlaceholder': 'Pega la oferta para indagar en las carencias frente a sus requisitos',
+  'setup.readAloud': 'Leer las preguntas en voz alta',
+  'setup.defaultVoice': 'Voz predeterminada',
+  'setup.rate': 'Velocidad {rate}x',
+  'setup.record': 'Grabar esta entrevista',
+  'setup.recordHint': '(cámara y micrófono, guardado solo en este dispositivo)',
+  'setup.apiSettings': 'Ajustes de API',
+  'setup.hideApiSettings': 'Ocultar ajustes de API',
+  'setup.mockProvider': 'Entrevistador sin conexión con guion, para demos y pruebas. No se hace ninguna llamada de red.',
+  'setup.proxyProvider': 'Usa la clave de API guardada en el servidor de entrevistas. Deja el modelo vacío para usar el del servidor.',
+  'setup.modelName': 'Nombre del modelo',
+  'setup.baseUrl': 'URL base',
+  'setup.apiKeyRequired': 'Pega aquí tu clave de API de Gemini',
+  'setup.apiKeyOptional': 'Clave de API (opcional)',
+  'setup.start': 'Empezar entrevista en vídeo',
+  'setup.pastInterviews': 'Entrevistas anteriores',
+  'setup.devices': 'Micrófono y cámara',
+  'setup.showDeviceNames': 'Mostrar nombres de dispositivos',
+  'setup.defaultMicrophone': 'Micrófono predeterminado',
+  'setup.defaultCamera': 'Cámara predeterminada',
+  'setup.microphoneN': 'Micrófono {number}',
+  'setup.cameraN': 'Cámara {number}',
+
+  'lobby.title': 'Comprobación de dispositivos',
+  'lobby.subtitle': 'Comprobemos que todo funciona. El reloj de la entrevista solo empieza cuando tú empiezas.',
+  'lobby.camera': 'Cámara',
+  'lobby.microphone': 'Micrófono',
+  'lobby.speech': 'Reconocimiento de voz',
+  'lobby.api': 'Conexión con el entrevistador',
+  'lobby.micPrompt': 'Di algo: el medidor debería moverse.',
+  'lobby.micSilent': 'No oímos nada. Comprueba que el micrófono no está silenciado y que has elegido el correcto en la configuración, y vuelve a intentarlo.',
+  'lobby.speechPrompt': 'Lee esta frase en voz alta:',
+  'lobby.testPhrase': 'Estoy listo para empezar mi entrevista de práctica',
+  'lobby.heard': 'Oído: «{text}»',
+  'lobby.speechOk': 'Tus palabras llegan bien.',
+  'lobby.typedAnswers': 'Escribirás tus respuestas.',
+  'lobby.media.blocked': 'El acceso está bloqueado. Haz clic en el icono de la cámara en la barra de direcciones, permite la cámara y el micrófono, y vuelve a intentarlo.',
+  'lobby.media.missing': 'No se encontró ningún dispositivo. Conecta uno o elige otro en la configuración y vuelve a intentarlo.',
+  'lobby.media.busy': 'Otra aplicación está usando el dispositivo. Cierra otras videollamadas o pestañas que lo usen y vuelve a intentarlo.',
+  'lobby.media.insecure': 'La cámara y el micrófono solo funcionan con HTTPS o en localhost.',
+  'lobby.media.failed': 'No se pudo iniciar el dispositivo. Vuelve a intentarlo o elige otro en la configuración.',
+  'lobby.apiChecking': 'Contactando con {model}...',
+  'lobby.apiOk': '{model} respondió en {ms} ms.',
+  'lobby.api.missing-key': 'No hay clave de API. Añade una en Ajustes de API, en la configuración.',
+  'lobby.api.bad-key': 'La clave de API fue rechazada. Revísala en Ajustes de API, en la configuración.',
+  'lobby.api.bad-model': 'No se encontró el modelo «{model}». Revisa el nombre del modelo en Ajustes de API, en la configuración.',
+  'lobby.api.rate-limited': 'La API está limitando esta clave. Espera un minuto y vuelve a intentarlo.',
+  'lobby.api.unreachable': 'No se pudo acceder a {url}. Revisa tu conexión y la URL base, y vuelve a intentarlo.',
+  'lobby.api.failed': 'La API devolvió un error: {message}',
+  'lobby.retry': 'Reintentar',
+  'lobby.skipCamera': 'Continuar sin cámara',
+  'lobby.skipMic': 'Continuar sin micrófono',
+  'lobby.skipSpeech': 'Escribir las respuestas',
+  'lobby.back': 'Volver a la configuración',
+  'lobby.start': 'Empezar entrevista',
+  'lobby.pending': 'Resuelve u omite las comprobaciones de arriba para empezar.',
+  'lobby.ready': 'Todo listo. El reloj empieza cuando pulses Empezar.',
+
+  'interview.cameraOff': 'Cámara apagada',
+  'interview.interviewer': 'Entrevistador',
+  'interview.stop': 'Detener',
+  'interview.generatingFeedback': 'Generando el informe...',
+  'interview.generatingQuestion': 'Generando la siguiente pregunta...',
+  'interview.assessingAnswer': 'Revisando tu respuesta...',
+  'interview.rec': 'REC',
+  'interview.recordingInterrupted': 'Grabación guardada hasta la interrupción',
+  'interview.timeLeft': 'quedan {time}',
+  'interview.timeUp': 'Se acabó el tiempo: última respuesta',
+  'interview.botSpeaking': 'El entrevistador está hablando... empieza a hablar para interrumpir',
+  'interview.listening': 'Escuchando...',
+  'interview.diagramShared': 'Tu diagrama se comparte con el entrevistador cuando envíes tu próxima respuesta.',
+  'interview.wrappingUp': 'Cerrando',
+  'interview.position': '{phase} · Pregunta {current} de {total} · {difficulty}',
+  'interview.whiteboard': 'Pizarra',
+  'interview.confirmEnd': '¿Terminar la entrevista?',
+  'interview.submit': 'Enviar respuesta',
+  'interview.typeAnswer': 'Escribe tu respuesta...',
+  'interview.typingHint': 'Intro para enviar, Mayús+Intro para una nueva línea',
+  'interview.typeInstead': 'Escribir en lugar de hablar',
+  'interview.offline': 'Sin conexión',
+  'interview.retrying': '{reason} Reintentando en {seconds} s (intento {attempt} de {max})...',
+  'interview.waitingForNetwork': 'No tienes conexión. Esperando a que vuelva...',
+  'interview.turnFailed': '{reason} Tu respuesta no se envió y sigue aquí.',
+  'interview.openingFailed': '{reason} La entrevista no pudo empezar.',
+  'interview.retryTurn': 'Reintentar este turno',
+
+  'context.title': 'Uso del contexto',
+  'context.sent': 'Última petición',
+  'context.system': 'Prompt del sistema',
+  'context.notes': 'Notas de la entrevista',
+  'context.recent_one': 'Turnos recientes ({count} mensaje)',
+  'context.recent_other': 'Turnos recientes ({count} mensajes)',
+  'context.fullHistory': 'El historial completo sería',
+  'context.compacting': 'Resumiendo los turnos anteriores en las notas...',
+  'context.summarized_one': 'Sustituyen al primer mensaje.',
+  'context.summarized_other': 'Sustituyen a los primeros {count} mensajes.',
+  'context.noNotes': 'Todavía no: la conversación cabe en {budget} tokens, así que cada mensaje se envía literal.',
+  'context.perMessage': 'Por mensaje',
+  'context.candidate': 'Candidato',
+  'context.estimateHint': 'Los tokens son estimaciones (unos 4 caracteres por token). Los mensajes resumidos aparecen tachados; el informe sigue usando las respuestas originales.',
+
+  'apiError.offline': 'No tienes conexión.',
+  'apiError.network': 'No se pudo contactar con la API.',
+  'apiError.rate-limited': 'La API está limitando las solicitudes.',
+  'apiError.server': 'La API tuvo un error del servidor.',
+  'apiError.auth': 'La clave de API fue rechazada.',
+  'apiError.not-found': 'No se encontró el modelo.',
+  'apiError.bad-request': 'La API rechazó la solicitud.',
+  'apiError.empty': 'El modelo envió una respuesta vacía.',
+
+  'delivery.wpm': '{wpm} ppm',
+  'delivery.fillers_one': '{count} muletilla',
+  'delivery.fillers_other': '{count} muletillas',
+  'delivery.longPauses_one': '{count} pausa larga',
+  'delivery.longPauses_other': '{count} pausas largas',
+  'delivery.longest': '(la más larga, {seconds} s)',
+  'delivery.firstWord': 'primera palabra a los {seconds} s',
+
+  'speech.idle': 'Micro en pausa',
+  'speech.stopping': 'Micro en pausa',
+  'speech.starting': 'Iniciando micro...',
+  'speech.listening': 'Escuchando',
+  'speech.restarting': 'Reconectando...',
+  'speech.muted': 'Micro apagado',
+  'speech.typing': 'Escribiendo',
+  'speech.error': 'Error de voz',
+  'speech.unsupported': 'Respuestas escritas',
+  'speech.error.not-allowed': 'El acceso al micrófono está bloqueado. Permítelo en los ajustes del sitio del navegador y vuelve a intentarlo.',
+  'speech.error.audio-capture': 'No se encontró ningún micrófono. Conecta uno o elige otro en la configuración y vuelve a intentarlo.',
+  'speech.error.network': 'No se puede acceder al servicio de reconocimiento de voz. Revisa tu conexión y vuelve a intentarlo.',
+  'speech.error.language-not-supported': 'Tu navegador no reconoce voz en este idioma. Escribe tus respuestas.',
+  'speech.error.start-failed': 'No se pudo iniciar el reconocimiento de voz.',
+  'speech.retry': 'Reintentar',
+  'speech.unsupportedHint': 'Este navegador no tiene reconocimiento de voz, así que escribirás tus respuestas.',
+
+  'feedback.errorTitle': 'No se pudo generar el informe',
+  'feedback.errorHint': 'Tu transcripción está a salvo. Puedes reintentar el informe o descargar la transcripción.',
+  'feedback.retrying': 'Reintentando...',
+  'feedback.retry': 'Reintentar informe',
+  'feedback.title': 'Análisis de la entrevista',
+  'feedback.export': 'Exportar',
+  'feedback.exportPdf': 'Imprimir o guardar como PDF',
+  'feedback.exportMarkdown': 'Descargar en Markdown para tus notas',
+  'feedback.exportJson': 'Descargar un paquete JSON que puedes volver a importar desde el historial',
+  'feedback.summary': 'Resumen ejecutivo',
+  'feedback.rating': 'Valoración global',
+  'feedback.strengths': 'Puntos fuertes',
+  'feedback.improvements': 'Aspectos a mejorar',
+  'feedback.breakdown': 'Desglose por pregunta',
+  'feedback.questionNumber': 'P{number}',
+  'feedback.followUp': 'Repregunta',
+  'feedback.question': 'Pregunta',
+  'feedback.yourAnswer': 'Tu respuesta',
+  'feedback.delivery': 'Expresión:',
+  'feedback.nextMove': 'Siguiente paso del entrevistador:',
+  'feedback.assessment': 'Evaluación',
+  'feedback.strongAnswer': 'Una respuesta sólida cubriría',
+  'feedback.recording': 'Grabación',
+  'feedback.jdFit': 'Encaje con la descripción del puesto',
+  'feedback.panel': 'Evaluaciones del panel',
+  'feedback.noPanelAssessment': 'No se recibió ninguna evaluación de este panelista.',
+  'feedback.competencies': 'Matriz de competencias',
+  'feedback.notAssessed': 'Sin evaluar',
+  'feedback.star': 'STAR',
+  'feedback.starMissing': 'Falta o incompleto: {parts}',
+  'feedback.demonstrated': 'Demostrado',
+  'feedback.gaps': 'Carencias',
+  'feedback.coding': 'Ronda de programación',
+  'feedback.neverRun': 'Nunca ejecutado',
+  'feedback.run': 'Ejecución {number}: {passed}/{total}',
+  'feedback.runSubmitted': 'Ejecución {number}: {passed}/{total} · enviada',
+  'feedback.design': 'Crítica del diseño',
+  'feedback.technical': 'Evaluación técnica',
+  'feedback.substance': 'Criterio e impacto',
+  'feedback.communication': 'Estilo de comunicación',
+  'feedback.pace': 'Ritmo',
+  'feedback.paceHint': '{min}-{max} es cómodo',
+  'feedback.fillerWords': 'Muletillas',
+  'feedback.fillersHint': '{rate} por cada 100 palabras',
+  'feedback.longPauses': 'Pausas largas',
+  'feedback.longPausesHint': 'silencios de más de {seconds} s',
+  'feedback.firstWord': 'Tiempo hasta la primera palabra',
+  'feedback.firstWordHint': 'media por pregunta',
+
+  'history.import': 'Importar informe',
+  'history.importHint': 'Importa un paquete JSON exportado desde el análisis de una entrevista',
+  'history.importUnreadable': 'No se pudo leer {filename}: {message}',
+  'history.importInvalid': 'Paquete de informe no válido:\n{errors}',
+  'history.importEmpty': 'El archivo está vacío',
+  'history.title': 'Historial de entrevistas',
+  'history.progress': 'Progreso',
+  'history.backToSetup': 'Volver a la configuración',
+  'history.empty': 'Aún no hay entrevistas guardadas. Las entrevistas terminadas aparecerán aquí.',
+  'history.answers_one': '{count} respuesta',
+  'history.answers_other': '{count} respuestas',
+  'history.report': 'Informe',
+  'history.rerun': 'Repetir',
+  'history.delete': 'Eliminar',
+  'history.confirmDelete': '¿Eliminar esta entrevista de tu historial?',
+
+  'progress.title': 'Tu progreso',
+  'progress.back': 'Volver al historial',
+  'progress.empty': 'Completa algunas entrevistas para ver la evolución de tus calificaciones.',
+  'progress.sessions_one': '{count} sesión',
+  'progress.sessions_other': '{count} sesiones',
+  'progress.average': 'Media',
+  'progress.sinceFirst': 'Desde la primera',
+  'progress.recurring': 'Áreas de mejora recurrentes',
+  'progress.noRecurring': 'Todavía ninguna debilidad ha aparecido en más de una sesión.',
+  'progress.seenIn_one': '{seen} de {count} sesión',
+  'progress.seenIn_other': '{seen} de {count} sesiones',
+  'progress.lastSeen': 'Visto por última vez el {date}',
+
+  'coding.hiddenTests_one': '{count} prueba oculta se ejecuta en cada envío',
+  'coding.hiddenTests_other': '{count} pruebas ocultas se ejecutan en cada envío',
+  'coding.runs_one': '{count} ejecución',
+  'coding.runs_other': '{count} ejecuciones',
+  'coding.lastRun': ' · última: {passed}/{total} superadas',
+  'coding.runTests': 'Ejecutar pruebas',
+  'coding.submit': 'Enviar código',
+  'coding.hiddenTest': 'Prueba oculta {number}',
+  'coding.mismatch': 'devolvió {actual}, se esperaba {expected}',
+
+  'whiteboard.select': 'Seleccionar y mover',
+  'whiteboard.box': 'Añadir componente',
+  'whiteboard.arrow': 'Conectar componentes',
+  'whiteboard.delete': 'Eliminar selección',
+  'whiteboard.export': 'Exportar como PNG',
+  'whiteboard.componentName': 'Nombre del componente',
+  'whiteboard.defaultComponent': 'Servicio',
+  'whiteboard.arrowLabel': 'Etiqueta de la flecha',
+  'whiteboard.arrowLabelOptional': 'Etiqueta de la flecha (opcional)',
+  'whiteboard.boxHint': 'Haz clic en un espacio vacío para añadir un componente',
+  'whiteboard.arrowSourceHint': 'Haz clic en el componente de origen',
+  'whiteboard.arrowTargetHint': 'Ahora haz clic en el componente de destino',
+  'whiteboard.selectHint': 'Arrastra para mover, doble clic para renombrar',
+  'whiteboard.emptyHint': 'Elige la herramienta de componentes y haz clic para añadir tu primer componente',
+};
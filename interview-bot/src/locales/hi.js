@@ -0,0 +1,364 @@
+// Hindi UI strings. Keys missing here fall back to en.js.
+export default {
+  'app.title': 'Mock Interview AI',
+  'app.tagline': 'इमर्सिव वीडियो इंटरफ़ेस',
+
+  'common.questions_one': '{count} प्रश्न',
+  'common.questions_other': '{count} प्रश्न',
+  'common.optional': '(वैकल्पिक)',
+  'common.transcript': 'ट्रांसक्रिप्ट',
+  'common.newInterview': 'नया इंटरव्यू',
+  'common.history': 'इतिहास',
+
+  'phase.intro': 'परिचय',
+  'phase.technical': 'तकनीकी',
+  'phase.coding': 'लाइव कोडिंग',
+  'phase.system_design': 'सिस्टम डिज़ाइन',
+  'phase.behavioral': 'व्यवहारिक',
+  'phase.candidate_questions': 'उम्मीदवार के प्रश्न',
+
+  'experience.junior': 'इंटर्न / जूनियर',
+  'experience.mid': 'मिड-लेवल',
+  'experience.senior': 'सीनियर (5+ वर्ष)',
+  'experience.staff': 'स्टाफ़ / प्रिंसिपल',
+  'experience.executive': 'एग्ज़ीक्यूटिव',
+
+  'difficulty.easy': 'आसान',
+  'difficulty.medium': 'मध्यम',
+  'difficulty.hard': 'कठिन',
+  'difficulty.expert': 'विशेषज्ञ',
+
+  'decision.probe': 'गहराई से पूछें',
+  'decision.hint': 'संकेत दें',
+  'decision.move_on': 'आगे बढ़ें',
+  'decision.harder': 'कठिन करें',
+  'decision.easier': 'आसान करें',
+
+  'rotation.round_robin': 'हर सवाल पर बारी-बारी से',
+  'rotation.by_phase': 'हर चरण में एक पैनलिस्ट',
+
+  'recommendation.strong_hire': 'ज़रूर हायर करें',
+  'recommendation.hire': 'हायर करें',
+  'recommendation.lean_hire': 'हायर की ओर झुकाव',
+  'recommendation.lean_no_hire': 'न हायर करने की ओर झुकाव',
+  'recommendation.no_hire': 'हायर न करें',
+
+  'mode.technical': 'तकनीकी',
+  'mode.behavioral': 'व्यवहारिक (STAR)',
+
+  'competency.leadership': 'नेतृत्व',
+  'competency.conflict': 'टकराव',
+  'competency.ownership': 'ज़िम्मेदारी',
+  'competency.failure': 'असफलता',
+
+  'star.situation': 'स्थिति',
+  'star.task': 'कार्य',
+  'star.action': 'कदम',
+  'star.result': 'परिणाम',
+
+  'starCoverage.complete': 'पूरा',
+  'starCoverage.partial': 'आंशिक',
+  'starCoverage.missing': 'गायब',
+
+  'unfinished.title': 'आपका एक इंटरव्यू अधूरा है',
+  'unfinished.details_one': '{role} · {count} सवाल का जवाब दिया · {time} बीते · {saved} को सेव हुआ',
+  'unfinished.details_other': '{role} · {count} सवालों के जवाब दिए · {time} बीते · {saved} को सेव हुआ',
+  'unfinished.resume': 'इंटरव्यू जारी रखें',
+  'unfinished.discard': 'हटाएँ',
+  'unfinished.confirmDiscard': 'अधूरा इंटरव्यू हटाएँ? उसका ट्रांसक्रिप्ट खो जाएगा।',
+
+  'setup.customInterview': 'कस्टम इंटरव्यू',
+  'setup.saveTemplate': 'टेम्पलेट के रूप में सहेजें',
+  'setup.deleteTemplate': 'टेम्पलेट हटाएँ',
+  'setup.importPack': 'JSON/YAML पैक आयात करें',
+  'setup.exportJson': 'JSON के रूप में निर्यात करें',
+  'setup.exportYaml': 'YAML के रूप में निर्यात करें',
+  'setup.templateName': 'टेम्पलेट का नाम',
+  'setup.templateSaved': '"{name}" सहेजा गया।',
+  'setup.templateSaveFailed': 'टेम्पलेट सहेजा नहीं जा सका।',
+  'setup.confirmDeleteTemplate': '"{name}" टेम्पलेट हटाएँ?',
+  'setup.packImported_one': '{file} से {count} टेम्पलेट आयात किया गया।',
+  'setup.packImported_other': '{file} से {count} टेम्पलेट आयात किए गए।',
+  'setup.packEmpty': '{filename} खाली है',
+  'setup.packUnreadable': '{filename} पढ़ी नहीं जा सकी: {message}',
+  'setup.packNotMapping': '{filename} में `templates` वाली मैपिंग (या एक टेम्पलेट) होनी चाहिए',
+  'setup.packInvalid': 'अमान्य इंटरव्यू पैक:\n{errors}',
+  'setup.language': 'इंटरव्यू की भाषा',
+  'setup.languageHint': 'वाक् पहचान, इंटरव्यूअर और फ़ीडबैक रिपोर्ट के लिए उपयोग होती है।',
+  'setup.mode': 'इंटरव्यू का प्रकार',
+  'setup.modeHint.technical': 'तकनीकी सवाल, लाइव कोडिंग और सिस्टम डिज़ाइन। प्रकार बदलने पर योजना रीसेट हो जाती है।',
+  'setup.modeHint.behavioral': 'हर क्षमता पर पिछली असली स्थितियों के सवाल, STAR पद्धति से आंके गए। प्रकार बदलने पर योजना रीसेट हो जाती है।',
+  'setup.role': 'लक्षित पद',
+  'setup.experience': 'अनुभव स्तर',
+  'setup.skills': 'टेक स्टैक',
+  'setup.rubric': 'मूल्यांकन मानदंड',
+  'setup.plan': 'इंटरव्यू योजना',
+  'setup.minBudget': 'मिनट का समय',
+  'setup.questionsUnit': 'प्रश्न',
+  'setup.removePhase': 'चरण हटाएँ',
+  'setup.addPhase': 'चरण जोड़ें',
+  'setup.competency': 'क्षमता',
+  'setup.anyCompetency': 'कोई भी क्षमता',
+  'setup.panel': 'पैनल इंटरव्यू',
+  'setup.panelHint': '(इंटरव्यूअर बारी-बारी से पूछते हैं)',
+  'setup.personaName': 'नाम',
+  'setup.personaTitle': 'पद',
+  'setup.personaFocus': 'फ़ोकस क्षेत्र',
+  'setup.personaTone': 'लहजा',
+  'setup.removePersona': 'पैनलिस्ट हटाएँ',
+  'setup.addPersona': 'पैनलिस्ट जोड़ें',
+  'setup.rotation': 'क्रम',
+  'setup.questionBank': 'प्रश्न बैंक:',
+  'setup.untitled': 'बिना शीर्षक',
+  'setup.remove': 'हटाएँ',
+  'setup.noQuestionBank': 'कोई प्रश्न बैंक नहीं: इंटरव्यूअर स्वयं प्रश्न बनाएगा। मानकीकृत बैंक के लिए कोई पैक आयात करें।',
+  'setup.resume': 'रिज़्यूमे',
+  'setup.removeResume': 'रिज़्यूमे हटाएँ',
+  'setup.resumeFormats': 'PDF, DOCX या टेक्स्ट',
+  'setup.resumeHint': 'आपके ब्राउज़र में ही पढ़ा जाता है; प्रश्न आपके प्रोजेक्ट्स पर केंद्रित होंगे।',
+  'setup.readingFile': '{name} पढ़ा जा रहा है...',
+  'setup.resumeTruncated': 'लंबा रिज़्यूमे: केवल पहला भाग उपयोग होगा।',
+  'setup.fileType': '{name} समर्थित फ़ाइल नहीं है। PDF, DOCX, TXT या Markdown फ़ाइल अपलोड करें।',
+  'setup.legacyDoc': 'पुरानी .doc फ़ाइलें समर्थित नहीं हैं। इसे DOCX या PDF के रूप में सहेजें।',
+  'setup.invalidDocx': '{name} मान्य DOCX फ़ाइल नहीं है।',
+  'setup.docxCompression': '{name} ऐसे DOCX कम्प्रेशन का उपयोग करती है जो समर्थित नहीं है।',
+  'setup.noText': '{name} में कोई टेक्स्ट नहीं मिला। स्कैन किए गए PDF को पहले टेक्स्ट में बदलना होगा।',
+  'setup.jobDescription': 'जॉब विवरण',
+  'setup.jobDescriptionPlaceholder': 'आवश्यकताओं के मुकाबले कमियाँ जाँचने के लिए जॉब पोस्टिंग चिपकाएँ',
+  'setup.readAloud': 'प्रश्न पढ़कर सुनाएँ',
+  'setup.defaultVoice': 'डिफ़ॉल्ट आवाज़',
+  'setup.rate': 'गति {rate}x',
+  'setup.record': 'यह इंटरव्यू रिकॉर्ड करें',
+  'setup.recordHint': '(कैमरा और माइक, केवल इसी डिवाइस पर सहेजा जाता है)',
+  'setup.apiSettings': 'API सेटिंग्स',
+  'setup.hideApiSettings': 'API सेटिंग्स छिपाएँ',
+  'setup.mockProvider': 'डेमो और टेस्ट के लिए स्क्रिप्टेड ऑफ़लाइन इंटरव्यूअर। कोई नेटवर्क कॉल नहीं होती।',
+  'setup.proxyProvider': 'इंटरव्यू सर्वर पर रखी API key का उपयोग करता है। सर्वर का डिफ़ॉल्ट मॉडल इस्तेमाल करने के लिए मॉडल खाली छोड़ें।',
+  'setup.modelName': 'मॉडल का नाम',
+  'setup.baseUrl': 'बेस URL',
+  'setup.apiKeyRequired': 'अपनी Gemini API कुंजी यहाँ चिपकाएँ',
+  'setup.apiKeyOptional': 'API कुंजी (वैकल्पिक)',
+  'setup.start': 'वीडियो इंटरव्यू शुरू करें',
+  'setup.pastInterviews': 'पिछले इंटरव्यू',
+  'setup.devices': 'माइक्रोफ़ोन और कैमरा',
+  'setup.showDeviceNames': 'डिवाइस के नाम दिखाएँ',
+  'setup.defaultMicrophone': 'डिफ़ॉल्ट माइक्रोफ़ोन',
+  'setup.defaultCamera': 'डिफ़ॉल्ट कैमरा',
+  'setup.microphoneN': 'माइक्रोफ़ोन {number}',
+  'setup.cameraN': 'कैमरा {number}',
+
+  'lobby.title': 'डिवाइस जाँच',
+  'lobby.subtitle': 'आइए देखें कि सब ठीक काम कर रहा है। इंटरव्यू की घड़ी तभी शुरू होगी जब आप शुरू करेंगे।',
+  'lobby.camera': 'कैमरा',
+  'lobby.microphone': 'माइक्रोफ़ोन',
+  'lobby.speech': 'वाक् पहचान',
+  'lobby.api': 'इंटरव्यूअर से कनेक्शन',
+  'lobby.micPrompt': 'कुछ बोलें: मीटर हिलना चाहिए।',
+  'lobby.micSilent': 'हमें कुछ सुनाई नहीं दे रहा। जाँचें कि माइक म्यूट नहीं है और सेटअप में सही माइक चुना गया है, फिर दोबारा कोशिश करें।',
+  'lobby.speechPrompt': 'यह वाक्य ज़ोर से पढ़ें:',
+  'lobby.testPhrase': 'मैं अपना अभ्यास इंटरव्यू शुरू करने के लिए तैयार हूँ',
+  'lobby.heard': 'सुना गया: "{text}"',
+  'lobby.speechOk': 'आपके शब्द ठीक से पहुँच रहे हैं।',
+  'lobby.typedAnswers': 'आप अपने उत्तर लिखेंगे।',
+  'lobby.media.blocked': 'अनुमति अवरुद्ध है। एड्रेस बार में कैमरा आइकन पर क्लिक करें, कैमरा और माइक्रोफ़ोन की अनुमति दें, फिर दोबारा कोशिश करें।',
+  'lobby.media.missing': 'कोई डिवाइस नहीं मिला। एक जोड़ें या सेटअप में दूसरा चुनें, फिर दोबारा कोशिश करें।',
+  'lobby.media.busy': 'यह डिवाइस किसी दूसरे ऐप में इस्तेमाल हो रहा है। उसे इस्तेमाल कर रहे वीडियो कॉल या टैब बंद करें, फिर दोबारा कोशिश करें।',
+  'lobby.media.insecure': 'कैमरा और माइक्रोफ़ोन केवल HTTPS या localhost पर काम करते हैं।',
+  'lobby.media.failed': 'डिवाइस शुरू नहीं हो सका। दोबारा कोशिश करें या सेटअप में दूसरा चुनें।',
+  'lobby.apiChecking': '{model} से संपर्क किया जा रहा है...',
+  'lobby.apiOk': '{model} ने {ms} ms में जवाब दिया।',
+  'lobby.api.missing-key': 'कोई API कुंजी नहीं है। सेटअप में API सेटिंग्स के अंतर्गत एक जोड़ें।',
+  'lobby.api.bad-key': 'API कुंजी अस्वीकार कर दी गई। सेटअप में API सेटिंग्स के अंतर्गत इसे जाँचें।',
+  'lobby.api.bad-model': 'मॉडल "{model}" नहीं मिला। सेटअप में API सेटिंग्स के अंतर्गत मॉडल का नाम जाँचें।',
+  'lobby.api.rate-limited': 'API इस कुंजी की दर सीमित कर रहा है। एक मिनट रुकें, फिर दोबारा कोशिश करें।',
+  'lobby.api.unreachable': '{url} तक नहीं पहुँचा जा सका। अपना कनेक्शन और बेस URL जाँचें, फिर दोबारा कोशिश करें।',
+  'lobby.api.failed': 'API ने एक त्रुटि लौटाई: {message}',
+  'lobby.retry': 'दोबारा कोशिश करें',
+  'lobby.skipCamera': 'कैमरे के बिना जारी रखें',
+  'lobby.skipMic': 'माइक्रोफ़ोन के बिना जारी रखें',
+  'lobby.skipSpeech': 'इसके बजाय उत्तर लिखें',
+  'lobby.back': 'सेटअप पर वापस जाएँ',
+  'lobby.start': 'इंटरव्यू शुरू करें',
+  'lobby.pending': 'शुरू करने के लिए ऊपर की जाँचें ठीक करें या छोड़ें।',
+  'lobby.ready': 'सब तैयार है। स्टार्ट दबाते ही घड़ी शुरू होगी।',
+
+  'interview.cameraOff': 'कैमरा बंद',
+  'interview.interviewer': 'इंटरव्यूअर',
+  'interview.stop': 'रोकें',
+  'interview.generatingFeedback': 'फ़ीडबैक रिपोर्ट बन रही है...',
+  'interview.generatingQuestion': 'अगला प्रश्न बन रहा है...',
+  'interview.assessingAnswer': 'आपके उत्तर की समीक्षा हो रही है...',
+  'interview.rec': 'REC',
+  'interview.recordingInterrupted': 'रुकावट तक की रिकॉर्डिंग सहेजी गई',
+  'interview.timeLeft': '{time} शेष',
+  'interview.timeUp': 'समय समाप्त: अंतिम उत्तर',
+  'interview.botSpeaking': 'इंटरव्यूअर बोल रहा है... बीच में बोलने के लिए बोलना शुरू करें',
+  'interview.listening': 'सुन रहा है...',
+  'interview.diagramShared': 'अगला उत्तर भेजने पर आपका डायग्राम इंटरव्यूअर के साथ साझा होगा।',
+  'interview.wrappingUp': 'समापन',
+  'interview.position': '{phase} · प्रश्न {current} / {total} · {difficulty}',
+  'interview.whiteboard': 'व्हाइटबोर्ड',
+  'interview.confirmEnd': 'इंटरव्यू समाप्त करें?',
+  'interview.submit': 'उत्तर भेजें',
+  'interview.typeAnswer': 'अपना उत्तर लिखें...',
+  'interview.typingHint': 'भेजने के लिए Enter, नई पंक्ति के लिए Shift+Enter',
+  'interview.typeInstead': 'बोलने के बजाय लिखें',
+  'interview.offline': 'ऑफ़लाइन',
+  'interview.retrying': '{reason} {seconds} सेकंड में फिर कोशिश (प्रयास {attempt} / {max})...',
+  'interview.waitingForNetwork': 'आप ऑफ़लाइन हैं। कनेक्शन लौटने का इंतज़ार है...',
+  'interview.turnFailed': '{reason} आपका जवाब नहीं भेजा गया, वह अभी भी यहीं है।',
+  'interview.openingFailed': '{reason} इंटरव्यू शुरू नहीं हो सका।',
+  'interview.retryTurn': 'यह टर्न फिर से आज़माएँ',
+
+  'context.title': 'संदर्भ उपयोग',
+  'context.sent': 'पिछला अनुरोध',
+  'context.system': 'सिस्टम प्रॉम्प्ट',
+  'context.notes': 'इंटरव्यू नोट्स',
+  'context.recent_one': 'हाल के टर्न ({count} संदेश)',
+  'context.recent_other': 'हाल के टर्न ({count} संदेश)',
+  'context.fullHistory': 'पूरा इतिहास होता',
+  'context.compacting': 'पुराने टर्न नोट्स में सारांशित हो रहे हैं...',
+  'context.summarized_one': 'पहले संदेश की जगह लेते हैं।',
+  'context.summarized_other': 'पहले {count} संदेशों की जगह लेते हैं।',
+  'context.noNotes': 'अभी नहीं: बातचीत {budget} टोकन में आ जाती है, इसलिए हर संदेश ज्यों का त्यों भेजा जाता है।',
+  'context.perMessage': 'प्रति संदेश',
+  'context.candidate': 'उम्मीदवार',
+  'context.estimateHint': 'टोकन गिनती अनुमान है (लगभग 4 अक्षर प्रति टोकन)। सारांशित संदेश कटे हुए दिखते हैं; रिपोर्ट अब भी मूल जवाबों का उपयोग करती है।',
+
+  'apiError.offline': 'आप ऑफ़लाइन हैं।',
+  'apiError.network': 'API तक नहीं पहुँचा जा सका।',
+  'apiError.rate-limited': 'API अनुरोधों को सीमित कर रहा है।',
+  'apiError.server': 'API में सर्वर त्रुटि हुई।',
+  'apiError.auth': 'API key अस्वीकार कर दी गई।',
+  'apiError.not-found': 'मॉडल नहीं मिला।',
+  'apiError.bad-request': 'API ने अनुरोध अस्वीकार कर दिया।',
+  'apiError.empty': 'मॉडल ने खाली जवाब भेजा।',
+
+  'delivery.wpm': '{wpm} शब्द/मिनट',
+  'delivery.fillers_one': '{count} भराव शब्द',
+  'delivery.fillers_other': '{count} भराव शब्द',
+  'delivery.longPauses_one': '{count} लंबा विराम',
+  'delivery.longPauses_other': '{count} लंबे विराम',
+  'delivery.longest': '(सबसे लंबा {seconds} से.)',
+  'delivery.firstWord': 'पहला शब्द {seconds} से. बाद',
+
+  'speech.idle': 'माइक रुका है',
+  'speech.stopping': 'माइक रुका है',
+  'speech.starting': 'माइक शुरू हो रहा है...',
+  'speech.listening': 'सुन रहा है',
+  'speech.restarting': 'फिर से जुड़ रहा है...',
+  'speech.muted': 'माइक बंद',
+  'speech.typing': 'लिख रहे हैं',
+  'speech.error': 'वाक् त्रुटि',
+  'speech.unsupported': 'लिखित उत्तर',
+  'speech.error.not-allowed': 'माइक्रोफ़ोन की अनुमति अवरुद्ध है। ब्राउज़र की साइट सेटिंग्स में इसे अनुमति दें, फिर दोबारा कोशिश करें।',
+  'speech.error.audio-capture': 'कोई माइक्रोफ़ोन नहीं मिला। एक जोड़ें या सेटअप में दूसरा चुनें, फिर दोबारा कोशिश करें।',
+  'speech.error.network': 'वाक् पहचान सेवा तक नहीं पहुँचा जा सका। अपना कनेक्शन जाँचें, फिर दोबारा कोशिश करें।',
+  'speech.error.language-not-supported': 'आपका ब्राउज़र इस भाषा में वाक् पहचान नहीं करता। कृपया अपने उत्तर लिखें।',
+  'speech.error.start-failed': 'वाक् पहचान शुरू नहीं हो सकी।',
+  'speech.retry': 'दोबारा कोशिश करें',
+  'speech.unsupportedHint': 'इस ब्राउज़र में वाक् पहचान नहीं है, इसलिए आप अपने उत्तर लिखेंगे।',
+
+  'feedback.errorTitle': 'फ़ीडबैक रिपोर्ट नहीं बन सकी',
+  'feedback.errorHint': 'आपका ट्रांसक्रिप्ट सुरक्षित है। आप रिपोर्ट दोबारा बना सकते हैं या ट्रांसक्रिप्ट डाउनलोड कर सकते हैं।',
+  'feedback.retrying': 'दोबारा कोशिश हो रही है...',
+  'feedback.retry': 'फ़ीडबैक दोबारा बनाएँ',
+  'feedback.title': 'इंटरव्यू विश्लेषण',
+  'feedback.export': 'निर्यात करें',
+  'feedback.exportPdf': 'प्रिंट करें या PDF के रूप में सहेजें',
+  'feedback.exportMarkdown': 'अपने नोट्स के लिए Markdown में डाउनलोड करें',
+  'feedback.exportJson': 'JSON बंडल डाउनलोड करें जिसे आप इतिहास से फिर से आयात कर सकते हैं',
+  'feedback.summary': 'सारांश',
+  'feedback.rating': 'कुल रेटिंग',
+  'feedback.strengths': 'मुख्य ताकतें',
+  'feedback.improvements': 'सुधार के क्षेत्र',
+  'feedback.breakdown': 'प्रश्न-दर-प्रश्न विश्लेषण',
+  'feedback.questionNumber': 'प्र{number}',
+  'feedback.followUp': 'अनुवर्ती',
+  'feedback.question': 'प्रश्न',
+  'feedback.yourAnswer': 'आपका उत्तर',
+  'feedback.delivery': 'प्रस्तुति:',
+  'feedback.nextMove': 'इंटरव्यूअर का अगला कदम:',
+  'feedback.assessment': 'मूल्यांकन',
+  'feedback.strongAnswer': 'एक मज़बूत उत्तर में यह होना चाहिए',
+  'feedback.recording': 'रिकॉर्डिंग',
+  'feedback.jdFit': 'जॉब विवरण से मेल',
+  'feedback.panel': 'पैनल के आकलन',
+  'feedback.noPanelAssessment': 'इस पैनलिस्ट का कोई आकलन नहीं मिला।',
+  'feedback.competencies': 'क्षमता मैट्रिक्स',
+  'feedback.notAssessed': 'आकलन नहीं हुआ',
+  'feedback.star': 'STAR',
+  'feedback.starMissing': 'गायब या अधूरा: {parts}',
+  'feedback.demonstrated': 'प्रदर्शित',
+  'feedback.gaps': 'कमियाँ',
+  'feedback.coding': 'कोडिंग राउंड',
+  'feedback.neverRun': 'कभी नहीं चलाया',
+  'feedback.run': 'रन {number}: {passed}/{total}',
+  'feedback.runSubmitted': 'रन {number}: {passed}/{total} · सबमिट किया',
+  'feedback.design': 'डिज़ाइन समीक्षा',
+  'feedback.technical': 'तकनीकी मूल्यांकन',
+  'feedback.substance': 'विवेक और प्रभाव',
+  'feedback.communication': 'संवाद शैली',
+  'feedback.pace': 'गति',
+  'feedback.paceHint': '{min}-{max} सहज है',
+  'feedback.fillerWords': 'भराव शब्द',
+  'feedback.fillersHint': 'प्रति 100 शब्द {rate}',
+  'feedback.longPauses': 'लंबे विराम',
+  'feedback.longPausesHint': '{seconds} से. से अधिक की चुप्पी',
+  'feedback.firstWord': 'पहले शब्द तक का समय',
+  'feedback.firstWordHint': 'प्रति प्रश्न औसत',
+
+  'history.import': 'रिपोर्ट आयात करें',
+  'history.importHint': 'इंटरव्यू विश्लेषण से निर्यात किया गया JSON बंडल आयात करें',
+  'history.importUnreadable': '{filename} पढ़ी नहीं जा सकी: {message}',
+  'history.importInvalid': 'अमान्य रिपोर्ट बंडल:\n{errors}',
+  'history.importEmpty': 'फ़ाइल खाली है',
+  'history.title': 'इंटरव्यू इतिहास',
+  'history.progress': 'प्रगति',
+  'history.backToSetup': 'सेटअप पर वापस जाएँ',
+  'history.empty': 'अभी तक कोई इंटरव्यू सहेजा नहीं गया है। पूरे हुए इंटरव्यू यहाँ दिखेंगे।',
+  'history.answers_one': '{count} उत्तर',
+  'history.answers_other': '{count} उत्तर',
+  'history.report': 'रिपोर्ट',
+  'history.rerun': 'फिर से चलाएँ',
+  'history.delete': 'हटाएँ',
+  'history.confirmDelete': 'इस इंटरव्यू को अपने इतिहास से हटाएँ?',
+
+  'progress.title': 'आपकी प्रगति',
+  'progress.back': 'इतिहास पर वापस जाएँ',
+  'progress.empty': 'रेटिंग के रुझान देखने के लिए कुछ इंटरव्यू पूरे करें।',
+  'progress.sessions_one': '{count} सत्र',
+  'progress.sessions_other': '{count} सत्र',
+  'progress.average': 'औसत',
+  'progress.sinceFirst': 'पहले से अब तक',
+  'progress.recurring': 'बार-बार आने वाले सुधार के क्षेत्र',
+  'progress.noRecurring': 'अभी तक कोई कमज़ोरी एक से अधिक सत्र में नहीं आई है।',
+  'progress.seenIn_one': '{count} में से {seen} सत्र',
+  'progress.seenIn_other': '{count} में से {seen} सत्र',
+  'progress.lastSeen': 'अंतिम बार {date} को दिखा',
+
+  'coding.hiddenTests_one': '{count} छिपा टेस्ट हर सबमिशन पर चलता है',
+  'coding.hiddenTests_other': '{count} छिपे टेस्ट हर सबमिशन पर चलते हैं',
+  'coding.runs_one': '{count} रन',
+  'coding.runs_other': '{count} रन',
+  'coding.lastRun': ' · पिछला: {passed}/{total} पास',
+  'coding.runTests': 'टेस्ट चलाएँ',
+  'coding.submit': 'कोड सबमिट करें',
+  'coding.hiddenTest': 'छिपा टेस्ट {number}',
+  'coding.mismatch': '{actual} लौटाया, अपेक्षित {expected}',
+
+  'whiteboard.select': 'चुनें और खिसकाएँ',
+  'whiteboard.box': 'कंपोनेंट जोड़ें',
+  'whiteboard.arrow': 'कंपोनेंट्स को तीर से जोड़ें',
+  'whiteboard.delete': 'चयनित हटाएँ',
+  'whiteboard.export': 'PNG के रूप में निर्यात करें',
+  'whiteboard.componentName': 'कंपोनेंट का नाम',
+  'whiteboard.defaultComponent': 'सर्विस',
+  'whiteboard.arrowLabel': 'तीर का लेबल',
+  'whiteboard.arrowLabelOptional': 'तीर का लेबल (वैकल्पिक)',
+  'whiteboard.boxHint': 'कंपोनेंट जोड़ने के लिए खाली जगह पर क्लिक करें',
+  'whiteboard.arrowSourceHint': 'स्रोत कंपोनेंट पर क्लिक करें',
+  'whiteboard.arrowTargetHint': 'अब लक्ष्य कंपोनेंट पर क्लिक करें',
+  'whiteboard.selectHint': 'खिसकाने के लिए खींचें, नाम बदलने के लिए डबल-क्लिक करें',
+  'whiteboard.emptyHint': 'कंपोनेंट टूल चुनें और अपना पहला कंपोनेंट जोड़ने के लिए क्लिक करें',
+};
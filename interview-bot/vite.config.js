@@ -5,4 +5,10 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/Mock-Interview-Bot/',
+  // `npm run dev` forwards the "Server proxy" provider's calls to proxy/ on its default port
+  server: {
+    proxy: {
+      '/api': 'http://localhost:8787',
+    },
+  },
 })
@@ -0,0 +1,24 @@
+// --- Proxy Configuration ---
+// Everything comes from the environment so the same image runs locally, in
+// docker compose and against the mock upstream.
+
+const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' ? Number(value) : fallback);
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const defaultModel = process.env.GEMINI_MODEL || 'gemini-2.5-flash-preview-09-2025';
+
+export const config = {
+  port: number(process.env.PORT, 8787),
+  apiKey: process.env.GEMINI_API_KEY || '',
+  upstreamUrl: (process.env.UPSTREAM_URL || 'https://generativelanguage.googleapis.com/v1beta').replace(/\/+$/, ''),
+  upstreamTimeoutMs: number(process.env.UPSTREAM_TIMEOUT_MS, 60_000),
+  defaultModel,
+  // Clients may ask for one of these; anything else is rejected so the key can't be spent on pricier models
+  allowedModels: [defaultModel, ...list(process.env.ALLOWED_MODELS)],
+  rateLimitPerMinute: number(process.env.RATE_LIMIT_PER_MINUTE, 30),
+  maxBodyBytes: number(process.env.MAX_BODY_BYTES, 1_048_576),
+  maxMessages: number(process.env.MAX_MESSAGES, 200),
+  // Behind nginx every request comes from the same address; nginx passes the real one in X-Real-IP
+  trustProxy: ['1', 'true', 'yes'].includes((process.env.TRUST_PROXY || '').toLowerCase()),
+  corsOrigin: process.env.CORS_ORIGIN || '',
+};
@@ -0,0 +1,90 @@
+// --- Gemini Upstream ---
+// Requests arrive in the app's own chat format ({ role: 'user' | 'bot', text, images? })
+// and are converted here, so the browser never needs to know the key or the upstream URL.
+// The key travels in a header rather than the query string, keeping it out of access logs.
+
+export class UpstreamError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'UpstreamError';
+    this.status = status;
+  }
+}
+
+const toGeminiBody = ({ messages, systemInstruction, responseSchema }) => ({
+  contents: messages.map(msg => ({
+    role: msg.role === 'bot' ? 'model' : 'user',
+    parts: [
+      { text: msg.text },
+      ...(msg.images || []).map(img => ({ inline_data: { mime_type: img.mimeType, data: img.data } }))
+    ]
+  })),
+  systemInstruction: systemInstruction ? { parts: [{ text: systemInstruction }] } : undefined,
+  generationConfig: responseSchema ? { responseMimeType: 'application/json', responseSchema } : undefined
+});
+
+const readText = (data) => data.candidates?.[0]?.content?.parts?.map(p => p.text || '').join('') || '';
+
+// The caller sees the upstream status, except that a rejected key is the server's
+// problem, not the client's, so it becomes a 502.
+const toUpstreamError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  const message = data.error?.message || response.statusText;
+  if (response.status === 401 || response.status === 403 || /api key/i.test(message)) {
+    return new UpstreamError(502, 'The upstream rejected the proxy\'s GEMINI_API_KEY');
+  }
+  return new UpstreamError(response.status, `Upstream error: ${message}`);
+};
+
+const post = async (url, request, { apiKey, signal }) => {
+  let response;
+  try {
+    response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+      body: JSON.stringify(toGeminiBody(request)),
+      signal
+    });
+  } catch (err) {
+    if (err.name === 'AbortError' || err.name === 'TimeoutError') throw err;
+    throw new UpstreamError(502, `Upstream unreachable: ${err.cause?.code || err.message}`);
+  }
+  if (!response.ok) throw await toUpstreamError(response);
+  return response;
+};
+
+export const generate = async (request, { upstreamUrl, model, apiKey, signal }) => {
+  const response = await post(`${upstreamUrl}/models/${model}:generateContent`, request, { apiKey, signal });
+  const text = readText(await response.json());
+  if (!text) throw new UpstreamError(502, 'No candidates returned from upstream');
+  return text;
+};
+
+// Calls `onToken(chunk)` for every piece of text in Gemini's SSE stream.
+export const stream = async (request, { upstreamUrl, model, apiKey, signal, onToken }) => {
+  const response = await post(`${upstreamUrl}/models/${model}:streamGenerateContent?alt=sse`, request, { apiKey, signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let sent = false;
+
+  const handleLine = (line) => {
+    if (!line.startsWith('data:')) return;
+    const chunk = readText(JSON.parse(line.slice(5).trim()));
+    if (chunk) {
+      sent = true;
+      onToken(chunk);
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    lines.forEach(line => handleLine(line.trim()));
+  }
+  handleLine(buffer.trim());
+  if (!sent) throw new UpstreamError(502, 'No candidates returned from upstream');
+};
@@ -0,0 +1,81 @@
+// --- Mock Gemini Upstream ---
+// A stand-in for generativelanguage.googleapis.com so the proxy can be exercised
+// without a real key: point UPSTREAM_URL at http://localhost:8788/v1beta and set
+// GEMINI_API_KEY to MOCK_API_KEY. Model "missing" answers 404, any other key answers
+// like a rejected Gemini key, and JSON-schema requests get a JSON reply.
+import http from 'node:http';
+
+const PORT = Number(process.env.MOCK_PORT ?? 8788);
+const API_KEY = process.env.MOCK_API_KEY || 'test-key';
+
+const ROUTE = /^\/v1beta\/models\/([^/:]+):(generateContent|streamGenerateContent)$/;
+
+const sendJson = (res, status, body) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+};
+
+const candidate = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] } }] });
+
+const readJson = async (req) => {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+};
+
+const buildReply = (body) => {
+  const last = body.contents?.at(-1)?.parts?.[0]?.text || '';
+  if (body.generationConfig?.responseMimeType === 'application/json') {
+    return JSON.stringify({ summary: 'Mock summary', rating: 'Mock rating', strengths: [], improvements: [] });
+  }
+  return `Mock interviewer heard ${body.contents?.length || 0} message(s). Last one: "${last.slice(0, 80)}"`;
+};
+
+const server = http.createServer(async (req, res) => {
+  const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+  const match = req.method === 'POST' && pathname.match(ROUTE);
+  if (!match) {
+    sendJson(res, 404, { error: { code: 404, message: `Unknown route ${pathname}` } });
+    return;
+  }
+  const [, model, method] = match;
+
+  if (req.headers['x-goog-api-key'] !== API_KEY) {
+    sendJson(res, 400, { error: { code: 400, message: 'API key not valid. Please pass a valid API key.' } });
+    return;
+  }
+  if (model === 'missing') {
+    sendJson(res, 404, { error: { code: 404, message: `models/${model} is not found` } });
+    return;
+  }
+
+  let body;
+  try {
+    body = await readJson(req);
+  } catch {
+    sendJson(res, 400, { error: { code: 400, message: 'Invalid JSON payload' } });
+    return;
+  }
+  const reply = buildReply(body);
+
+  if (method === 'generateContent') {
+    sendJson(res, 200, candidate(reply));
+    return;
+  }
+
+  // Real Gemini only sends SSE with ?alt=sse; without it the stream is one JSON array
+  if (searchParams.get('alt') !== 'sse') {
+    sendJson(res, 200, [candidate(reply)]);
+    return;
+  }
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const word of reply.match(/\S+\s*/g)) {
+    res.write(`data: ${JSON.stringify(candidate(word))}\r\n\r\n`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  res.end();
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock Gemini upstream on :${server.address().port} (key "${API_KEY}")`);
+});
@@ -0,0 +1,42 @@
+// --- Per-client Rate Limiting ---
+// A token bucket per client: `perMinute` requests can be made in a burst, and
+// the bucket refills at the same rate. Idle buckets are pruned so the map stays small.
+
+const PRUNE_INTERVAL_MS = 5 * 60_000;
+
+export const createRateLimiter = ({ perMinute, now = Date.now }) => {
+  const buckets = new Map(); // client -> { tokens, updatedAt }
+  const refillPerMs = perMinute / 60_000;
+
+  const refill = (client) => {
+    const time = now();
+    const bucket = buckets.get(client) || { tokens: perMinute, updatedAt: time };
+    bucket.tokens = Math.min(perMinute, bucket.tokens + (time - bucket.updatedAt) * refillPerMs);
+    bucket.updatedAt = time;
+    buckets.set(client, bucket);
+    return bucket;
+  };
+
+  const pruneTimer = setInterval(() => {
+    const time = now();
+    for (const [client, bucket] of buckets) {
+      // A bucket that would be full again carries no state worth keeping
+      if (bucket.tokens + (time - bucket.updatedAt) * refillPerMs >= perMinute) buckets.delete(client);
+    }
+  }, PRUNE_INTERVAL_MS);
+  pruneTimer.unref();
+
+  return {
+    // Returns { allowed, retryAfterSeconds }
+    take: (client) => {
+      if (perMinute <= 0) return { allowed: true, retryAfterSeconds: 0 };
+      const bucket = refill(client);
+      if (bucket.tokens >= 1) {
+        bucket.tokens -= 1;
+        return { allowed: true, retryAfterSeconds: 0 };
+      }
+      return { allowed: false, retryAfterSeconds: Math.ceil((1 - bucket.tokens) / refillPerMs / 1000) };
+    },
+    stop: () => clearInterval(pruneTimer),
+  };
+};
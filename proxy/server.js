@@ -0,0 +1,195 @@
+// --- Interview Proxy ---
+// A dependency-free Node service that keeps the Gemini API key on the server.
+// The frontend's "Server proxy" provider posts chats to POST /api/interview/chat;
+// this checks the client's rate limit and the request's size and shape, then
+// forwards it upstream with the key. GET /api/health reports whether a key is configured.
+import http from 'node:http';
+import { config } from './config.js';
+import { createRateLimiter } from './rateLimit.js';
+import { UpstreamError, generate, stream } from './gemini.js';
+
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+
+class RequestError extends Error {
+  constructor(status, message, headers = {}) {
+    super(message);
+    this.status = status;
+    this.headers = headers;
+  }
+}
+
+const limiter = createRateLimiter({ perMinute: config.rateLimitPerMinute });
+
+const getClientId = (req) => (config.trustProxy && req.headers['x-real-ip']) || req.socket.remoteAddress || 'unknown';
+
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+};
+
+// Errors use Gemini's `{ error: { message } }` shape, which the frontend already reads
+const sendError = (res, status, message, headers) => sendJson(res, status, { error: { code: status, message } }, headers);
+
+// Stops buffering as soon as the body passes the cap. The rest is drained rather than the
+// socket destroyed, so the client still gets the 413; the connection closes after it.
+const readBody = (req) => new Promise((resolve, reject) => {
+  const tooLarge = () => {
+    req.removeAllListeners('data');
+    req.resume();
+    reject(new RequestError(413, `Request body is larger than ${config.maxBodyBytes} bytes`, { Connection: 'close' }));
+  };
+  if (Number(req.headers['content-length']) > config.maxBodyBytes) {
+    tooLarge();
+    return;
+  }
+  const chunks = [];
+  let size = 0;
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > config.maxBodyBytes) {
+      tooLarge();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+  req.on('error', reject);
+});
+
+const isString = (value) => typeof value === 'string';
+
+// Only the fields the upstream call needs survive, so clients can't smuggle in other settings
+const parseChatRequest = (raw) => {
+  let body;
+  try {
+    body = JSON.parse(raw);
+  } catch {
+    throw new RequestError(400, 'Request body must be JSON');
+  }
+
+  const { messages, systemInstruction, responseSchema, model } = body || {};
+  if (!Array.isArray(messages) || messages.length === 0) {
+    throw new RequestError(400, '`messages` must be a non-empty array');
+  }
+  if (messages.length > config.maxMessages) {
+    throw new RequestError(413, `At most ${config.maxMessages} messages are allowed`);
+  }
+  messages.forEach((msg, i) => {
+    if (!msg || !['user', 'bot'].includes(msg.role) || !isString(msg.text)) {
+      throw new RequestError(400, `messages[${i}] needs a role of "user" or "bot" and a text`);
+    }
+    if (msg.images !== undefined && (!Array.isArray(msg.images)
+      || !msg.images.every(img => IMAGE_TYPES.includes(img?.mimeType) && isString(img.data)))) {
+      throw new RequestError(400, `messages[${i}].images must be PNG, JPEG or WebP attachments`);
+    }
+  });
+  if (systemInstruction !== undefined && !isString(systemInstruction)) {
+    throw new RequestError(400, '`systemInstruction` must be a string');
+  }
+  if (responseSchema !== undefined && (typeof responseSchema !== 'object' || responseSchema === null)) {
+    throw new RequestError(400, '`responseSchema` must be an object');
+  }
+  if (model && !config.allowedModels.includes(model)) {
+    throw new RequestError(400, `Model "${model}" is not allowed; use one of ${config.allowedModels.join(', ')}`);
+  }
+
+  return {
+    request: {
+      messages: messages.map(({ role, text, images }) => ({ role, text, ...(images && { images }) })),
+      systemInstruction,
+      responseSchema
+    },
+    model: model || config.defaultModel,
+    stream: body.stream === true && !responseSchema
+  };
+};
+
+const handleChat = async (req, res) => {
+  if (!config.apiKey) {
+    sendError(res, 503, 'The proxy has no GEMINI_API_KEY configured');
+    return;
+  }
+
+  const { allowed, retryAfterSeconds } = limiter.take(getClientId(req));
+  if (!allowed) {
+    sendError(res, 429, `Rate limit exceeded; retry in ${retryAfterSeconds}s`, { 'Retry-After': String(retryAfterSeconds) });
+    return;
+  }
+
+  const { request, model, stream: wantsStream } = parseChatRequest(await readBody(req));
+
+  // Stop paying for tokens nobody will read once the client goes away
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  const signal = AbortSignal.any([controller.signal, AbortSignal.timeout(config.upstreamTimeoutMs)]);
+  const upstream = { upstreamUrl: config.upstreamUrl, model, apiKey: config.apiKey, signal };
+
+  if (!wantsStream) {
+    sendJson(res, 200, { text: await generate(request, upstream) });
+    return;
+  }
+
+  // Headers go out with the first chunk, so an upstream failure before it can still be a proper error status
+  const writeEvent = (data) => {
+    if (!res.headersSent) {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no' });
+    }
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+  try {
+    await stream(request, { ...upstream, onToken: (text) => writeEvent({ text }) });
+    res.end('data: [DONE]\n\n');
+  } catch (err) {
+    if (!res.headersSent) throw err;
+    console.error('Stream failed:', err.message);
+    writeEvent({ error: err.message });
+    res.end();
+  }
+};
+
+const applyCors = (req, res) => {
+  if (!config.corsOrigin) return;
+  res.setHeader('Access-Control-Allow-Origin', config.corsOrigin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Vary', 'Origin');
+};
+
+const server = http.createServer(async (req, res) => {
+  applyCors(req, res);
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  try {
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204).end();
+    } else if (pathname === '/api/health' && req.method === 'GET') {
+      sendJson(res, 200, { ok: true, configured: Boolean(config.apiKey), model: config.defaultModel });
+    } else if (pathname === '/api/interview/chat' && req.method === 'POST') {
+      await handleChat(req, res);
+    } else {
+      sendError(res, 404, `No route for ${req.method} ${pathname}`);
+    }
+  } catch (err) {
+    if (res.headersSent || res.destroyed) return;
+    if (err instanceof RequestError) {
+      sendError(res, err.status, err.message, err.headers);
+    } else if (err instanceof UpstreamError) {
+      sendError(res, err.status, err.message);
+    } else if (err.name === 'TimeoutError') {
+      sendError(res, 504, 'The upstream did not answer in time');
+    } else if (err.name === 'AbortError') {
+      res.destroy();
+    } else {
+      console.error('Unexpected error:', err);
+      sendError(res, 500, 'Internal proxy error');
+    }
+  }
+});
+
+// PORT=0 picks a free port; the log line reports the real one (the tests read it)
+server.listen(config.port, () => {
+  console.log(`Interview proxy listening on :${server.address().port}, forwarding to ${config.upstreamUrl} (${config.defaultModel})`);
+  if (!config.apiKey) console.warn('GEMINI_API_KEY is not set; chat requests will be refused');
+});
@@ -0,0 +1,158 @@
+// --- Proxy Tests ---
+// Starts mockUpstream.js and server.js as child processes on free ports and talks to
+// them over HTTP, so nothing here reaches the real Gemini API. Run with `npm test`.
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import http from 'node:http';
+
+const children = [];
+
+// Resolves with the port once the process logs ":<port>"
+const start = (script, env) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [script], {
+    cwd: import.meta.dirname,
+    env: { ...process.env, ...env },
+    stdio: ['ignore', 'pipe', 'inherit'],
+  });
+  children.push(child);
+  child.once('exit', (code) => reject(new Error(`${script} exited with ${code}`)));
+  child.stdout.setEncoding('utf8');
+  child.stdout.on('data', (text) => {
+    const port = text.match(/:(\d+)/)?.[1];
+    if (port) resolve(Number(port));
+  });
+});
+
+after(() => children.forEach(child => child.kill()));
+
+// Raw requests, so the tests control Content-Length and chunking themselves
+const request = (port, { method = 'POST', path = '/api/interview/chat', headers = {}, chunks = [] } = {}) => new Promise((resolve, reject) => {
+  const req = http.request({ port, method, path, headers }, (res) => {
+    let body = '';
+    res.setEncoding('utf8');
+    res.on('data', (chunk) => { body += chunk; });
+    res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+  });
+  req.on('error', reject);
+  chunks.forEach(chunk => req.write(chunk));
+  req.end();
+});
+
+const postJson = (port, body) => {
+  const text = JSON.stringify(body);
+  return request(port, {
+    headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(text) },
+    chunks: [text],
+  });
+};
+
+const chat = (text = 'Hello') => ({ messages: [{ role: 'user', text }] });
+
+const MAX_BODY_BYTES = 2000;
+
+describe('proxy against the mock upstream', () => {
+  let upstreamPort;
+  let proxyPort;
+
+  before(async () => {
+    upstreamPort = await start('mockUpstream.js', { MOCK_PORT: '0', MOCK_API_KEY: 'test-key' });
+    proxyPort = await start('server.js', {
+      PORT: '0',
+      UPSTREAM_URL: `http://localhost:${upstreamPort}/v1beta`,
+      GEMINI_API_KEY: 'test-key',
+      GEMINI_MODEL: 'mock-model',
+      ALLOWED_MODELS: 'missing',
+      MAX_BODY_BYTES: String(MAX_BODY_BYTES),
+      RATE_LIMIT_PER_MINUTE: '0',
+    });
+  });
+
+  test('reports its configuration on /api/health', async () => {
+    const res = await request(proxyPort, { method: 'GET', path: '/api/health' });
+    assert.equal(res.status, 200);
+    assert.deepEqual(JSON.parse(res.body), { ok: true, configured: true, model: 'mock-model' });
+  });
+
+  test('forwards a chat and returns the reply', async () => {
+    const res = await postJson(proxyPort, chat('Tell me about yourself'));
+    assert.equal(res.status, 200);
+    assert.match(JSON.parse(res.body).text, /Tell me about yourself/);
+  });
+
+  test('passes a streamed reply through as server-sent events', async () => {
+    const res = await postJson(proxyPort, { ...chat('Stream this'), stream: true });
+    assert.equal(res.status, 200);
+    assert.match(res.headers['content-type'], /text\/event-stream/);
+    const events = res.body.split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''));
+    assert.equal(events.at(-1), '[DONE]');
+    const text = events.slice(0, -1).map(event => JSON.parse(event).text).join('');
+    assert.match(text, /Stream this/);
+  });
+
+  test('rejects a malformed chat with 400', async () => {
+    const res = await postJson(proxyPort, { messages: [{ role: 'system', text: 'hi' }] });
+    assert.equal(res.status, 400);
+  });
+
+  test('rejects models outside the allow-list with 400', async () => {
+    const res = await postJson(proxyPort, { ...chat(), model: 'gemini-ultra' });
+    assert.equal(res.status, 400);
+    assert.match(JSON.parse(res.body).error.message, /not allowed/);
+  });
+
+  test('passes the upstream status through for an allowed but unknown model', async () => {
+    const res = await postJson(proxyPort, { ...chat(), model: 'missing' });
+    assert.equal(res.status, 404);
+  });
+
+  test('answers 413 to a body whose Content-Length is over the cap', async () => {
+    const res = await postJson(proxyPort, chat('x'.repeat(MAX_BODY_BYTES)));
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, 'close');
+    assert.match(JSON.parse(res.body).error.message, /larger than/);
+  });
+
+  // Regression: the socket used to be destroyed before the 413 was written
+  test('answers 413 to a chunked body that grows over the cap', async () => {
+    const text = JSON.stringify(chat('x'.repeat(MAX_BODY_BYTES)));
+    const res = await request(proxyPort, {
+      headers: { 'Content-Type': 'application/json', 'Transfer-Encoding': 'chunked' },
+      chunks: text.match(/[\s\S]{1,500}/g),
+    });
+    assert.equal(res.status, 413);
+    assert.equal(res.headers.connection, 'close');
+    assert.match(JSON.parse(res.body).error.message, /larger than/);
+  });
+});
+
+describe('proxy rate limiting', () => {
+  let proxyPort;
+
+  before(async () => {
+    const upstreamPort = await start('mockUpstream.js', { MOCK_PORT: '0', MOCK_API_KEY: 'test-key' });
+    proxyPort = await start('server.js', {
+      PORT: '0',
+      UPSTREAM_URL: `http://localhost:${upstreamPort}/v1beta`,
+      GEMINI_API_KEY: 'test-key',
+      RATE_LIMIT_PER_MINUTE: '2',
+    });
+  });
+
+  test('answers 429 with Retry-After once the bucket is empty', async () => {
+    assert.equal((await postJson(proxyPort, chat())).status, 200);
+    assert.equal((await postJson(proxyPort, chat())).status, 200);
+    const res = await postJson(proxyPort, chat());
+    assert.equal(res.status, 429);
+    // Two per minute refill one request every 30 seconds
+    assert.ok(Number(res.headers['retry-after']) > 0 && Number(res.headers['retry-after']) <= 30);
+  });
+});
+
+describe('proxy without a key', () => {
+  test('refuses chats with 503', async () => {
+    const proxyPort = await start('server.js', { PORT: '0', GEMINI_API_KEY: '' });
+    const res = await postJson(proxyPort, chat());
+    assert.equal(res.status, 503);
+  });
+});